@@ -0,0 +1,92 @@
+/**
+ * Batch Runner for StatusBeacon Probe
+ *
+ * Runs a list of async jobs with bounded concurrency:
+ * - At most `concurrency` jobs in flight at once
+ * - A total time budget for the whole batch
+ * - One outcome per item, in input order
+ * - A failing item never aborts the rest of the batch
+ */
+
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_BUDGET_MS = 60000;
+
+/**
+ * Race a job against the remaining batch budget
+ *
+ * Losing the race only stops the batch waiting: the job itself is detached, not
+ * cancelled, and runs on in the background with its result dropped. Workers get
+ * the batch deadline so they can bound their own work by it.
+ */
+function withBudget(promise, remainingMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error(`Batch time budget exceeded after ${remainingMs}ms`));
+    }, Math.max(remainingMs, 0));
+
+    promise.then(
+      value => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      error => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Run a worker over every item with bounded concurrency and a time budget
+ * @param {Array} items - Items to process
+ * @param {function} worker - async (item, index, { deadline }) => result; `deadline` is
+ *   the batch budget's end as a Date.now() timestamp
+ * @param {object} options - { concurrency, budgetMs }
+ * @returns {Promise<Array>} One outcome per item, in order:
+ *   { status: 'fulfilled', value } | { status: 'rejected', reason } | { status: 'skipped', reason }
+ */
+async function runBatch(items, worker, options = {}) {
+  const concurrency = Math.max(1, Math.floor(options.concurrency || DEFAULT_CONCURRENCY));
+  const budgetMs = options.budgetMs || DEFAULT_BUDGET_MS;
+  const deadline = Date.now() + budgetMs;
+  const outcomes = new Array(items.length);
+  let nextIndex = 0;
+
+  const runLane = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const remainingMs = deadline - Date.now();
+
+      // Budget spent - don't start any more work
+      if (remainingMs <= 0) {
+        outcomes[index] = {
+          status: 'skipped',
+          reason: new Error(`Batch time budget of ${budgetMs}ms exhausted before check started`),
+        };
+        continue;
+      }
+
+      try {
+        const value = await withBudget(Promise.resolve().then(() => worker(items[index], index, { deadline })), remainingMs);
+        outcomes[index] = { status: 'fulfilled', value };
+      } catch (error) {
+        outcomes[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const lanes = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    lanes.push(runLane());
+  }
+  await Promise.all(lanes);
+
+  return outcomes;
+}
+
+module.exports = {
+  runBatch,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_BUDGET_MS,
+};
@@ -0,0 +1,132 @@
+/**
+ * Quorum Confirmation for StatusBeacon Probe
+ *
+ * Re-checks a failed target before reporting it down, so transient packet
+ * loss doesn't page anyone:
+ * - Retries a failed check N times with a delay between attempts
+ * - Optionally forces a fresh connection and a fresh DNS lookup per retry
+ * - Reports 'down' only when a quorum of attempts failed
+ * - Keeps every attempt's outcome, so flapping is visible
+ *
+ * Per-check policy (ProbeRequest.confirmation):
+ *   { retries: 2, delayMs: 2000, quorum: 3, freshConnection: true, freshDns: true }
+ *   quorum defaults to every attempt (retries + 1)
+ *
+ * Configuration:
+ *   PROBE_CONFIRMATION_MAX_RETRIES = 5 (upper bound for a check's retries)
+ */
+
+const MAX_RETRIES = parseInt(process.env.PROBE_CONFIRMATION_MAX_RETRIES || '5', 10);
+const DEFAULT_DELAY_MS = 2000;
+const MAX_DELAY_MS = 30000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalize a check's confirmation policy
+ * @param {object} policy - { retries, delayMs, quorum, freshConnection, freshDns }
+ * @returns {object|null} null when confirmation is off
+ */
+function normalizePolicy(policy) {
+  if (!policy || !(policy.retries > 0)) {
+    return null;
+  }
+
+  const retries = Math.min(Math.floor(policy.retries), MAX_RETRIES);
+  const attempts = retries + 1;
+
+  return {
+    retries,
+    delayMs: Math.min(Math.max(policy.delayMs ?? DEFAULT_DELAY_MS, 0), MAX_DELAY_MS),
+    // Default: every attempt has to fail
+    quorum: Math.min(Math.max(Math.floor(policy.quorum || attempts), 1), attempts),
+    freshConnection: policy.freshConnection === true,
+    freshDns: policy.freshDns === true,
+  };
+}
+
+function summarizeAttempt(attempt, result, startedAt) {
+  return {
+    attempt,
+    startedAt,
+    status: result.status,
+    statusCode: result.statusCode ?? null,
+    responseTimeMs: result.responseTimeMs,
+    errorMessage: result.errorMessage ?? null,
+  };
+}
+
+/**
+ * Run a check, re-running it on failure until the quorum is reached or can no
+ * longer be reached
+ *
+ * @param {object} config - ProbeRequest (uses config.confirmation)
+ * @param {function} runOnce - async (config) => ProbeResult
+ * @param {object} options - { log }
+ * @returns {Promise<object>} The deciding attempt's result plus `confirmation`
+ */
+async function runWithConfirmation(config, runOnce, options = {}) {
+  const policy = normalizePolicy(config.confirmation);
+  const log = options.log || (() => {});
+
+  let startedAt = new Date().toISOString();
+  let result = await runOnce(config);
+
+  if (!policy || result.status !== 'down') {
+    return result;
+  }
+
+  const totalAttempts = policy.retries + 1;
+  const attempts = [summarizeAttempt(1, result, startedAt)];
+  let failures = 1;
+  let lastFailure = result;
+  let lastSuccess = null;
+
+  // Retries can bypass pooled keep-alive sockets and the DNS cache
+  const retryConfig = {
+    ...config,
+    freshConnection: policy.freshConnection,
+    freshDns: policy.freshDns,
+  };
+
+  while (attempts.length < totalAttempts) {
+    const successes = attempts.length - failures;
+    if (failures >= policy.quorum || successes > totalAttempts - policy.quorum) {
+      break;
+    }
+
+    log(`attempt ${attempts.length}/${totalAttempts} ${attempts[attempts.length - 1].status} - retrying in ${policy.delayMs}ms`);
+    await sleep(policy.delayMs);
+
+    startedAt = new Date().toISOString();
+    result = await runOnce(retryConfig);
+    attempts.push(summarizeAttempt(attempts.length + 1, result, startedAt));
+
+    if (result.status === 'down') {
+      failures++;
+      lastFailure = result;
+    } else {
+      lastSuccess = result;
+    }
+  }
+
+  const confirmed = failures >= policy.quorum;
+  const decidingResult = confirmed ? lastFailure : lastSuccess;
+
+  return {
+    ...decidingResult,
+    confirmation: {
+      confirmed,
+      quorum: policy.quorum,
+      failures,
+      flapping: failures > 0 && failures < attempts.length,
+      attempts,
+    },
+  };
+}
+
+module.exports = {
+  runWithConfirmation,
+};
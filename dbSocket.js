@@ -0,0 +1,218 @@
+/**
+ * Database Connection Helper for StatusBeacon Probe
+ *
+ * Shared plumbing for the database / cache protocol checks:
+ * - TCP connection through a pre-resolved lookup, with an overall deadline
+ * - Buffered reads (exact byte counts or up to a delimiter), so protocol code
+ *   can be written as a sequence of awaits
+ * - In-place TLS upgrade (Postgres SSLRequest, MySQL CLIENT_SSL) or TLS from the start
+ * - Named phases for the protocol-level timing breakdown
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { performance } = require('perf_hooks');
+const { inspectTlsSocket } = require('./tlsInspection');
+const { elapsedMs } = require('./timingBreakdown');
+
+/**
+ * TLS setting for protocols that use TLS from the first byte (Redis, MongoDB).
+ * They have no in-protocol negotiation to fall back from, so 'prefer' is refused
+ * rather than quietly meaning 'require'.
+ * @returns {boolean}
+ */
+function directTlsOption(value, protocol) {
+  if (value === true || value === 'require') {
+    return true;
+  }
+  if (value === undefined || value === null || value === false || value === 'disable') {
+    return false;
+  }
+  throw new Error(`${protocol} has no TLS negotiation to fall back from: tls must be true or false (got ${JSON.stringify(value)})`);
+}
+
+/**
+ * Open a connection and wait for it to connect (and to finish TLS when options.tls is set)
+ *
+ * @param {string} host - Hostname (SNI and certificate name)
+ * @param {number} port - TCP port
+ * @param {object} options - { lookup, timeoutMs, protocol, tls, servername }
+ * @returns {Promise<object>} { read, readUntil, write, startTls, mark, close, timings, tlsReport() }
+ */
+async function openDbConnection(host, port, options = {}) {
+  const timeoutMs = options.timeoutMs || 10000;
+  const startTime = performance.now();
+  const timings = {};
+  let lastMark = startTime;
+  let buffer = Buffer.alloc(0);
+  let failure = null;
+  let ended = false;
+  let wake = null;
+  let tlsReport = null;
+
+  const notify = () => {
+    if (wake) {
+      const resolve = wake;
+      wake = null;
+      resolve();
+    }
+  };
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    notify();
+  };
+  const onEnd = () => {
+    ended = true;
+    notify();
+  };
+  const onError = (error) => fail(error);
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('end', onEnd);
+    target.on('close', onEnd);
+    target.on('error', onError);
+  };
+  const detach = (target) => {
+    target.removeListener('data', onData);
+    target.removeListener('end', onEnd);
+    target.removeListener('close', onEnd);
+    target.removeListener('error', onError);
+  };
+
+  let socket = net.connect({ host, port, lookup: options.lookup });
+  attach(socket);
+
+  function fail(error) {
+    if (!failure) {
+      failure = error;
+    }
+    socket.destroy();
+    notify();
+  }
+
+  const deadline = setTimeout(() => {
+    fail(new Error(`${options.protocol || 'Connection'} check of ${host}:${port} timed out after ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  // Wait for an event on the socket, or for the connection to fail / close first
+  const waitFor = (event, closedMessage) => new Promise((resolve, reject) => {
+    if (failure) {
+      return reject(failure);
+    }
+    const onEvent = () => {
+      wake = null;
+      resolve();
+    };
+    socket.once(event, onEvent);
+    wake = () => {
+      socket.removeListener(event, onEvent);
+      reject(failure || new Error(closedMessage));
+    };
+  });
+
+  const ensureReadable = () => {
+    if (failure) {
+      throw failure;
+    }
+    if (ended) {
+      throw new Error(`Connection closed by ${host}:${port}`);
+    }
+  };
+
+  const connection = {
+    timings,
+
+    tlsReport: () => tlsReport,
+
+    /**
+     * Record the time since the previous mark under a phase name (connectMs, authMs, ...)
+     */
+    mark(phase) {
+      const now = performance.now();
+      timings[phase] = elapsedMs(lastMark, now);
+      lastMark = now;
+    },
+
+    /**
+     * Wrap the connected socket in TLS. Certificate problems are recorded in the
+     * TLS report rather than failing the handshake - the caller judges them.
+     */
+    async startTls(servername = host) {
+      detach(socket);
+      socket = tls.connect({
+        socket,
+        servername: net.isIP(servername) ? undefined : servername,
+        rejectUnauthorized: false,
+      });
+      attach(socket);
+      await waitFor('secureConnect', 'Connection closed during TLS handshake');
+      tlsReport = inspectTlsSocket(socket, servername);
+      connection.mark('tlsMs');
+    },
+
+    write(data) {
+      socket.write(data);
+    },
+
+    /**
+     * Read exactly n bytes
+     */
+    async read(n) {
+      while (buffer.length < n) {
+        ensureReadable();
+        await new Promise(resolve => { wake = resolve; });
+      }
+      const data = buffer.subarray(0, n);
+      buffer = buffer.subarray(n);
+      return data;
+    },
+
+    /**
+     * Read up to a delimiter; the delimiter is consumed but not returned
+     */
+    async readUntil(delimiter) {
+      while (true) {
+        const index = buffer.indexOf(delimiter);
+        if (index !== -1) {
+          const data = buffer.subarray(0, index);
+          buffer = buffer.subarray(index + delimiter.length);
+          return data;
+        }
+        ensureReadable();
+        await new Promise(resolve => { wake = resolve; });
+      }
+    },
+
+    /**
+     * Close, optionally sending a protocol goodbye (Terminate, COM_QUIT, ...)
+     */
+    close(goodbye) {
+      clearTimeout(deadline);
+      if (goodbye && !failure && !ended) {
+        socket.end(goodbye);
+      } else {
+        socket.destroy();
+      }
+      timings.totalMs = elapsedMs(startTime);
+    },
+  };
+
+  try {
+    await waitFor('connect', `Connection to ${host}:${port} closed`);
+    connection.mark('connectMs');
+    if (options.tls) {
+      await connection.startTls(options.servername || host);
+    }
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+
+  return connection;
+}
+
+module.exports = {
+  directTlsOption,
+  openDbConnection,
+};
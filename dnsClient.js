@@ -0,0 +1,281 @@
+/**
+ * DNS Client for StatusBeacon Probe
+ *
+ * Sends raw DNS queries (see dnsWire.js) straight to a resolver:
+ * - UDP with automatic retry over TCP when the answer is truncated
+ * - TCP (2-byte length-prefixed messages)
+ * - DNS-over-HTTPS (RFC 8484, POST application/dns-message)
+ * - DNS-over-TLS (RFC 7858)
+ * - Timing for every query
+ * - Defaults to the host's configured system resolvers
+ */
+
+const dgram = require('dgram');
+const dns = require('dns');
+const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { performance } = require('perf_hooks');
+const { encodeQuery, decodeMessage } = require('./dnsWire');
+const { elapsedMs } = require('./timingBreakdown');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// A DNS message can't be longer than this (2-byte length on TCP), so a bigger DoH
+// body isn't a DNS answer
+const MAX_DOH_RESPONSE_BYTES = 65535;
+
+/**
+ * Parse "1.2.3.4", "1.2.3.4:5353", "[2001:db8::1]:53" or "2001:db8::1" into { host, port }
+ */
+function parseServerAddress(address, defaultPort = 53) {
+  const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(address);
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2], 10) : defaultPort };
+  }
+
+  if (net.isIPv6(address)) {
+    return { host: address, port: defaultPort };
+  }
+
+  const [host, port] = address.split(':');
+  return { host, port: port ? parseInt(port, 10) : defaultPort };
+}
+
+/**
+ * The host's configured resolvers, as { host, port, protocol }
+ */
+function getSystemResolvers() {
+  return dns.getServers().map(address => ({ ...parseServerAddress(address), protocol: 'udp' }));
+}
+
+/**
+ * Send one query over UDP
+ */
+function sendUdp(server, message, id, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type: net.isIPv6(server.host) ? 'udp6' : 'udp4', lookup: server.lookup });
+
+    const done = (error, response) => {
+      clearTimeout(timer);
+      socket.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(response);
+      }
+    };
+
+    const timer = setTimeout(() => done(new Error(`DNS query to ${server.host}:${server.port} timed out after ${timeout}ms`)), timeout);
+
+    socket.on('message', (response) => {
+      // Ignore stray packets that don't answer our query
+      if (response.length >= 2 && response.readUInt16BE(0) === id) {
+        done(null, response);
+      }
+    });
+
+    socket.on('error', done);
+    socket.send(message, server.port, server.host, (error) => {
+      if (error) {
+        done(error);
+      }
+    });
+  });
+}
+
+/**
+ * Send one query over a stream socket using 2-byte length framing (TCP and DoT)
+ * @param {object} socket - A connecting net.Socket or tls.TLSSocket
+ * @param {string} readyEvent - 'connect' or 'secureConnect'
+ */
+function sendFramed(socket, readyEvent, server, message, timeout) {
+  return new Promise((resolve, reject) => {
+    let buffered = Buffer.alloc(0);
+
+    const done = (error, response) => {
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(response);
+      }
+    };
+
+    const timer = setTimeout(() => done(new Error(`DNS query to ${server.host}:${server.port} timed out after ${timeout}ms`)), timeout);
+
+    socket.once(readyEvent, () => {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(message.length, 0);
+      socket.write(Buffer.concat([length, message]));
+    });
+
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      if (buffered.length >= 2) {
+        const expected = buffered.readUInt16BE(0);
+        if (buffered.length >= expected + 2) {
+          done(null, buffered.subarray(2, expected + 2));
+        }
+      }
+    });
+
+    socket.on('error', done);
+    socket.on('end', () => done(new Error(`DNS server ${server.host}:${server.port} closed the connection`)));
+  });
+}
+
+function sendTcp(server, message, timeout) {
+  const socket = net.connect({ host: server.host, port: server.port, lookup: server.lookup });
+  return sendFramed(socket, 'connect', server, message, timeout);
+}
+
+function sendDot(server, message, timeout) {
+  const socket = tls.connect({
+    host: server.host,
+    port: server.port,
+    lookup: server.lookup,
+    servername: server.servername || (net.isIP(server.host) ? undefined : server.host),
+    rejectUnauthorized: server.insecure !== true,
+  });
+  return sendFramed(socket, 'secureConnect', server, message, timeout);
+}
+
+/**
+ * Send one query as a DNS-over-HTTPS POST. `timeout` covers the whole exchange,
+ * so a server trickling its response can't hold the query open.
+ */
+function sendDoh(server, message, timeout) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(server.url);
+    const httpModule = parsedUrl.protocol === 'https:' ? https : http;
+    let settled = false;
+
+    const done = (error, response) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        req.destroy();
+        reject(error);
+      } else {
+        resolve(response);
+      }
+    };
+
+    const timer = setTimeout(() => done(new Error(`DNS query to ${server.url} timed out after ${timeout}ms`)), timeout);
+
+    const req = httpModule.request(parsedUrl, {
+      method: 'POST',
+      lookup: server.lookup,
+      rejectUnauthorized: server.insecure !== true,
+      headers: {
+        'Content-Type': 'application/dns-message',
+        'Accept': 'application/dns-message',
+        'Content-Length': message.length,
+      },
+    }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        done(new Error(`DoH server ${server.url} returned ${res.statusCode}`));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > MAX_DOH_RESPONSE_BYTES) {
+          done(new Error(`DoH response from ${server.url} exceeds ${MAX_DOH_RESPONSE_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+      res.on('error', done);
+    });
+
+    req.on('error', done);
+    req.end(message);
+  });
+}
+
+/**
+ * Query a single resolver
+ * @param {object} server - { host, port, protocol: 'udp' | 'tcp' | 'dot' | 'doh', url, servername, insecure, lookup }
+ *   `lookup` replaces dns.lookup when the server is given by name
+ * @param {string} name - Domain name
+ * @param {string} type - Record type (A, AAAA, MX, ...)
+ * @param {object} options - { timeout }
+ * @returns {Promise<object>} Decoded message plus { responseTimeMs, protocol, truncatedRetry }
+ */
+async function queryServer(server, name, type, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  const protocol = server.protocol || 'udp';
+  const startTime = performance.now();
+  // DoH messages use ID 0 so responses stay HTTP-cacheable (RFC 8484 section 4.1)
+  const { id, message } = encodeQuery(name, type, protocol === 'doh' ? { id: 0 } : {});
+
+  let raw;
+  let truncatedRetry = false;
+
+  if (protocol === 'tcp') {
+    raw = await sendTcp(server, message, timeout);
+  } else if (protocol === 'dot') {
+    raw = await sendDot(server, message, timeout);
+  } else if (protocol === 'doh') {
+    raw = await sendDoh(server, message, timeout);
+  } else {
+    raw = await sendUdp(server, message, id, timeout);
+
+    // Answer didn't fit in a datagram - ask again over TCP
+    if (decodeMessage(raw).flags.tc) {
+      truncatedRetry = true;
+      raw = await sendTcp(server, message, Math.max(timeout - elapsedMs(startTime), 1));
+    }
+  }
+
+  const response = decodeMessage(raw);
+  if (response.id !== id) {
+    throw new Error(`DNS response ID mismatch from ${server.url || `${server.host}:${server.port}`}`);
+  }
+
+  return {
+    ...response,
+    protocol: truncatedRetry ? 'tcp' : protocol,
+    truncatedRetry,
+    responseTimeMs: elapsedMs(startTime),
+  };
+}
+
+/**
+ * Query the system resolvers in order until one answers
+ */
+async function querySystem(name, type, options = {}) {
+  const resolvers = getSystemResolvers();
+  let lastError = new Error('No system DNS resolvers configured');
+
+  for (const server of resolvers) {
+    try {
+      const response = await queryServer(server, name, type, options);
+      return { ...response, server: `${server.host}:${server.port}` };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  parseServerAddress,
+  getSystemResolvers,
+  sendFramed,
+  queryServer,
+  querySystem,
+};
@@ -6,7 +6,10 @@
  */
 
 const dns = require('dns');
+const net = require('net');
 const { promisify } = require('util');
+const { performance } = require('perf_hooks');
+const { elapsedMs } = require('./timingBreakdown');
 
 const resolve4 = promisify(dns.resolve4);
 const resolve6 = promisify(dns.resolve6);
@@ -148,12 +151,25 @@ async function resolveDnsWithTimeout(hostname, timeout, ipVersion = 4) {
  * Check if a string is an IP address (IPv4 or IPv6)
  */
 function isIpAddress(hostname) {
-  // IPv4 pattern: xxx.xxx.xxx.xxx
-  const ipv4Pattern = /^(\d{1,3}\.){3}\d{1,3}$/;
-  // IPv6 pattern: simplified check for colons
-  const ipv6Pattern = /^([0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}$/i;
+  return canonicalizeIp(hostname) !== null;
+}
+
+/**
+ * An IP literal in canonical form, so every spelling of an address reaches the
+ * egress policy the same way ("[0:0:0:0:0:ffff:7f00:1]" -> "::ffff:7f00:1")
+ * @returns {string | null} null if not an IP address
+ */
+function canonicalizeIp(value) {
+  const address = String(value).trim().replace(/^\[|\]$/g, '');
+  const type = net.isIP(address);
+  if (type !== 6) {
+    return type === 4 ? address : null;
+  }
 
-  return ipv4Pattern.test(hostname) || ipv6Pattern.test(hostname);
+  // The URL parser compresses and lower-cases IPv6 hosts; it rejects zone IDs, so keep those aside
+  const [ip, zone] = address.split('%');
+  const canonical = new URL(`http://[${ip}]`).hostname.slice(1, -1);
+  return zone === undefined ? canonical : `${canonical}%${zone}`;
 }
 
 /**
@@ -165,13 +181,14 @@ function isIpAddress(hostname) {
  * @returns {Promise<Object>} DNS resolution result with timing and hijacking detection
  */
 async function resolveDns(hostname, timeout = 5000, useCache = true) {
-  const startTime = Date.now();
+  const startTime = performance.now();
 
   // IMPORTANT: If hostname is already an IP address, skip DNS resolution
-  if (isIpAddress(hostname)) {
+  const literalIp = canonicalizeIp(hostname);
+  if (literalIp) {
     return {
       success: true,
-      ips: [hostname],
+      ips: [literalIp],
       responseTimeMs: 0,
       cached: false,
       hijacked: false,
@@ -210,7 +227,7 @@ async function resolveDns(hostname, timeout = 5000, useCache = true) {
       }
     }
 
-    const responseTimeMs = Date.now() - startTime;
+    const responseTimeMs = elapsedMs(startTime);
 
     // Check for DNS hijacking
     const hijackCheck = detectDnsHijacking(hostname, ips);
@@ -229,7 +246,7 @@ async function resolveDns(hostname, timeout = 5000, useCache = true) {
       hijackReason: hijackCheck.reason,
     };
   } catch (error) {
-    const responseTimeMs = Date.now() - startTime;
+    const responseTimeMs = elapsedMs(startTime);
 
     return {
       success: false,
@@ -242,6 +259,93 @@ async function resolveDns(hostname, timeout = 5000, useCache = true) {
   }
 }
 
+/**
+ * Build a dns.lookup-compatible function that answers from a fixed IP list.
+ * Passed as `lookup` to http/https/net so the connection goes to the IPs
+ * already resolved (and timed) by resolveDns, without a second lookup.
+ */
+function createStaticLookup(ips) {
+  const addresses = ips.map(ip => ({ address: ip, family: net.isIP(ip) }));
+
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    const family = typeof options === 'number' ? options : options?.family;
+    const candidates = family === 4 || family === 6
+      ? addresses.filter(a => a.family === family)
+      : addresses;
+
+    if (candidates.length === 0) {
+      const error = new Error(`No ${family ? `IPv${family} ` : ''}address for ${hostname}`);
+      error.code = 'ENOTFOUND';
+      return callback(error);
+    }
+
+    if (options?.all) {
+      return callback(null, candidates);
+    }
+    callback(null, candidates[0].address, candidates[0].family);
+  };
+}
+
+/**
+ * Normalize per-check host -> IP overrides (curl --resolve style).
+ * Accepts either a map or a list of curl-style strings:
+ *   { "example.com": "203.0.113.10", "api.example.com:8443": ["203.0.113.11", "2001:db8::11"] }
+ *   ["example.com:443:203.0.113.10", "example.com:80:[2001:db8::10]"]
+ * A key without a port applies to every port.
+ *
+ * @returns {Map<string, string[]>} "host" or "host:port" -> IPs
+ */
+function parseResolveOverrides(overrides) {
+  const parsed = new Map();
+  if (!overrides) {
+    return parsed;
+  }
+
+  const entries = Array.isArray(overrides)
+    ? overrides.map(spec => {
+        const match = /^([^:]+):(\d+|\*):(.+)$/.exec(String(spec).trim());
+        if (!match) {
+          throw new Error(`Invalid resolve override "${spec}" (expected host:port:address)`);
+        }
+        return [match[2] === '*' ? match[1] : `${match[1]}:${match[2]}`, match[3].split(',')];
+      })
+    : Object.entries(overrides);
+
+  for (const [key, value] of entries) {
+    const addresses = (Array.isArray(value) ? value : [value])
+      .map(ip => String(ip).trim())
+      .filter(Boolean);
+
+    const invalid = addresses.find(ip => canonicalizeIp(ip) === null);
+    if (addresses.length === 0 || invalid !== undefined) {
+      throw new Error(`Invalid resolve override for ${key}: ${invalid ?? 'no addresses'}`);
+    }
+    const ips = addresses.map(canonicalizeIp);
+
+    const existing = parsed.get(key.toLowerCase()) || [];
+    parsed.set(key.toLowerCase(), [...existing, ...ips]);
+  }
+
+  return parsed;
+}
+
+/**
+ * Find the pinned IPs for a host/port, preferring a port-specific entry
+ * @returns {string[] | null}
+ */
+function findResolveOverride(overrides, hostname, port) {
+  if (!overrides || overrides.size === 0) {
+    return null;
+  }
+  const host = hostname.toLowerCase();
+  return overrides.get(`${host}:${port}`) || overrides.get(host) || null;
+}
+
 /**
  * Extract hostname from URL
  */
@@ -284,6 +388,11 @@ function getDnsCacheStats() {
 
 module.exports = {
   resolveDns,
+  createStaticLookup,
+  parseResolveOverrides,
+  findResolveOverride,
+  isIpAddress,
+  canonicalizeIp,
   extractHostname,
   clearDnsCache,
   getDnsCacheStats,
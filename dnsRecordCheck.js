@@ -0,0 +1,336 @@
+/**
+ * DNS Record Checks for StatusBeacon Probe
+ *
+ * Backs the `dns` monitor type:
+ * - Queries A, AAAA, CNAME, MX, TXT, NS, SOA, CAA and SRV records
+ * - Asserts on expected values (exact set, contains, regex)
+ * - Asserts on minimum / maximum TTL
+ * - Tracks record sets between checks and reports what changed,
+ *   including SOA serial bumps
+ */
+
+const { querySystem } = require('./dnsClient');
+const { canonicalizeIp } = require('./dnsMonitoring');
+
+const SUPPORTED_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'CAA', 'SRV'];
+
+// Last seen record set per monitor/name/type: key -> { values, serial, checkedAt, seenAt }
+// Kept in least-recently-checked order so the oldest entry is evicted first
+const previousAnswers = new Map();
+
+// History older than this is forgotten, so a monitor that stopped running doesn't
+// hold memory forever (and a stale answer isn't compared against)
+const HISTORY_TTL = 24 * 3600 * 1000; // milliseconds
+const MAX_HISTORY_ENTRIES = 10000;
+
+/**
+ * Lowercase a DNS name and drop the trailing dot
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Render record data as a single comparable string (zone-file style)
+ */
+function formatRecordValue(type, data) {
+  switch (type) {
+    case 'A':
+    case 'AAAA':
+      return String(data).toLowerCase();
+    case 'CNAME':
+    case 'NS':
+      return normalizeName(data);
+    case 'MX':
+      return `${data.priority} ${normalizeName(data.exchange)}`;
+    case 'TXT':
+      return Array.isArray(data) ? data.join('') : String(data);
+    case 'SOA':
+      return `${normalizeName(data.nsname)} ${normalizeName(data.hostmaster)} ${data.serial} ${data.refresh} ${data.retry} ${data.expire} ${data.minttl}`;
+    case 'CAA':
+      return `${data.critical ? 128 : 0} ${data.tag} "${data.value}"`;
+    case 'SRV':
+      return `${data.priority} ${data.weight} ${data.port} ${normalizeName(data.target)}`;
+    default:
+      return typeof data === 'string' ? data : JSON.stringify(data);
+  }
+}
+
+/**
+ * Normalize an expected value the same way as answers (names are case-insensitive)
+ */
+function normalizeExpected(type, value) {
+  const text = String(value).trim();
+  // Answers are decoded to compressed IPv6, so 2001:db8:0:0::1 has to become 2001:db8::1
+  if (type === 'A' || type === 'AAAA') {
+    return canonicalizeIp(text) ?? normalizeName(text);
+  }
+  if (type === 'CNAME' || type === 'NS') {
+    return normalizeName(text);
+  }
+  if (type === 'MX' || type === 'SRV') {
+    return text.split(/\s+/).map((part, i, parts) => (i === parts.length - 1 ? normalizeName(part) : part)).join(' ');
+  }
+  return text;
+}
+
+/**
+ * Check record values against the configured expectation
+ */
+function assertValues(type, values, dnsConfig) {
+  const errors = [];
+  const expected = dnsConfig.expectedValues || [];
+  if (expected.length === 0) {
+    return errors;
+  }
+
+  const matchMode = dnsConfig.matchMode || 'exact';
+
+  switch (matchMode) {
+    case 'exact': {
+      const expectedSet = new Set(expected.map(v => normalizeExpected(type, v)));
+      const actualSet = new Set(values);
+      const missing = [...expectedSet].filter(v => !actualSet.has(v));
+      const unexpected = [...actualSet].filter(v => !expectedSet.has(v));
+      if (missing.length > 0) {
+        errors.push(`Missing expected ${type} record(s): ${missing.join(', ')}`);
+      }
+      if (unexpected.length > 0) {
+        errors.push(`Unexpected ${type} record(s): ${unexpected.join(', ')}`);
+      }
+      break;
+    }
+
+    case 'contains': {
+      const actualSet = new Set(values);
+      const missing = expected.map(v => normalizeExpected(type, v)).filter(v => !actualSet.has(v));
+      if (missing.length > 0) {
+        errors.push(`Missing expected ${type} record(s): ${missing.join(', ')}`);
+      }
+      break;
+    }
+
+    case 'regex':
+      for (const pattern of expected) {
+        let regex;
+        try {
+          regex = new RegExp(pattern);
+        } catch (error) {
+          errors.push(`Invalid regex pattern: ${error.message}`);
+          continue;
+        }
+        if (!values.some(value => regex.test(value))) {
+          errors.push(`No ${type} record matches pattern: ${pattern}`);
+        }
+      }
+      break;
+
+    default:
+      errors.push(`Unknown DNS match mode: ${matchMode}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check record TTLs against min/max bounds
+ */
+function assertTtls(records, dnsConfig) {
+  const errors = [];
+
+  for (const record of records) {
+    if (dnsConfig.minTtl !== undefined && record.ttl < dnsConfig.minTtl) {
+      errors.push(`TTL ${record.ttl}s below minimum ${dnsConfig.minTtl}s for ${record.type} ${record.value}`);
+    }
+    if (dnsConfig.maxTtl !== undefined && record.ttl > dnsConfig.maxTtl) {
+      errors.push(`TTL ${record.ttl}s above maximum ${dnsConfig.maxTtl}s for ${record.type} ${record.value}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compare with the previous answer for this monitor and remember the new one
+ */
+function trackChanges(key, type, records) {
+  const values = records.map(r => r.value).sort();
+  const serial = type === 'SOA' && records.length > 0 ? records[0].data.serial : null;
+  const now = Date.now();
+  const previous = previousAnswers.get(key);
+
+  // Re-insert so the Map stays ordered by last check
+  previousAnswers.delete(key);
+  previousAnswers.set(key, { values, serial, checkedAt: new Date(now).toISOString(), seenAt: now });
+  pruneHistory(now);
+
+  if (!previous || now - previous.seenAt > HISTORY_TTL) {
+    return null;
+  }
+
+  const added = values.filter(v => !previous.values.includes(v));
+  const removed = previous.values.filter(v => !values.includes(v));
+  const serialChanged = serial !== null && previous.serial !== null && serial !== previous.serial;
+
+  if (added.length === 0 && removed.length === 0 && !serialChanged) {
+    return null;
+  }
+
+  const changes = {
+    recordType: type,
+    added,
+    removed,
+    previousCheckAt: previous.checkedAt,
+  };
+
+  if (serialChanged) {
+    changes.serial = { from: previous.serial, to: serial };
+  }
+
+  return changes;
+}
+
+/**
+ * Drop expired history, then the least recently checked entries over the cap
+ */
+function pruneHistory(now = Date.now()) {
+  for (const [key, entry] of previousAnswers.entries()) {
+    if (now - entry.seenAt <= HISTORY_TTL) {
+      break;
+    }
+    previousAnswers.delete(key);
+  }
+
+  while (previousAnswers.size > MAX_HISTORY_ENTRIES) {
+    previousAnswers.delete(previousAnswers.keys().next().value);
+  }
+}
+
+/**
+ * Describe a change for errorMessage / logs
+ */
+function describeChanges(changes) {
+  // A serial bump already explains a changed SOA record
+  if (changes.serial) {
+    return `SOA serial changed: ${changes.serial.from} -> ${changes.serial.to}`;
+  }
+
+  const parts = [];
+  if (changes.added.length > 0) {
+    parts.push(`added ${changes.added.join(', ')}`);
+  }
+  if (changes.removed.length > 0) {
+    parts.push(`removed ${changes.removed.join(', ')}`);
+  }
+  return `${changes.recordType} records changed: ${parts.join('; ')}`;
+}
+
+/**
+ * Run a DNS record check
+ *
+ * @param {string} hostname - Name to query
+ * @param {object} dnsConfig - { recordType, expectedValues, matchMode, minTtl, maxTtl, onChange }
+ * @param {object} options - { monitorId, timeout, query }
+ *   `query` overrides how the lookup is done: async (name, type) => decoded response
+ * @returns {Promise<object>} { passed, status, records, fromAuthority, errors, changes, rcode, server, responseTimeMs }
+ */
+async function checkDnsRecords(hostname, dnsConfig = {}, options = {}) {
+  const recordType = String(dnsConfig.recordType || 'A').toUpperCase();
+  const name = normalizeName(hostname);
+
+  if (!SUPPORTED_RECORD_TYPES.includes(recordType)) {
+    return {
+      passed: false,
+      status: 'down',
+      records: [],
+      fromAuthority: false,
+      errors: [`Unsupported DNS record type: ${recordType}`],
+      changes: null,
+      responseTimeMs: 0,
+    };
+  }
+
+  const query = options.query || ((qname, qtype) => querySystem(qname, qtype, { timeout: options.timeout }));
+  const response = await query(name, recordType);
+
+  // Keep only records of the queried type (drop CNAME hops unless CNAME was asked for).
+  // Below a zone apex the SOA comes back in the authority section, not as an answer.
+  let matching = response.answers.filter(record => record.type === recordType);
+  let fromAuthority = false;
+  if (recordType === 'SOA' && matching.length === 0) {
+    matching = (response.authorities || []).filter(record => record.type === 'SOA');
+    fromAuthority = matching.length > 0;
+  }
+  const records = matching
+    .map(record => ({
+      name: normalizeName(record.name),
+      type: record.type,
+      ttl: record.ttl,
+      value: formatRecordValue(record.type, record.data),
+      data: record.data,
+      ...(fromAuthority ? { fromAuthority: true } : {}),
+    }));
+
+  const cnameChain = response.answers
+    .filter(record => record.type === 'CNAME' && recordType !== 'CNAME')
+    .map(record => `${normalizeName(record.name)} -> ${normalizeName(record.data)}`);
+
+  const errors = [];
+
+  if (response.rcodeName !== 'NOERROR') {
+    errors.push(`DNS query for ${name} ${recordType} failed: ${response.rcodeName}`);
+  } else if (records.length === 0) {
+    errors.push(`No ${recordType} records found for ${name}`);
+  } else {
+    errors.push(...assertValues(recordType, records.map(r => r.value), dnsConfig));
+    errors.push(...assertTtls(records, dnsConfig));
+  }
+
+  // Only track change history for answers with records, so an outage or an empty
+  // (NODATA) answer isn't reported as "all records removed"
+  const changes = options.monitorId && response.rcodeName === 'NOERROR' && records.length > 0
+    ? trackChanges(`${options.monitorId}:${name}:${recordType}`, recordType, records)
+    : null;
+
+  let status = errors.length > 0 ? 'down' : 'up';
+  if (status === 'up' && changes && dnsConfig.onChange && dnsConfig.onChange !== 'up') {
+    status = dnsConfig.onChange;
+  }
+
+  return {
+    passed: errors.length === 0,
+    status,
+    records,
+    fromAuthority,
+    cnameChain,
+    errors,
+    changes,
+    changeSummary: changes ? describeChanges(changes) : null,
+    rcode: response.rcodeName,
+    authoritative: response.flags?.aa || false,
+    server: response.server || null,
+    responseTimeMs: response.responseTimeMs,
+  };
+}
+
+/**
+ * Forget change history for a monitor (or everything)
+ */
+function clearDnsHistory(monitorId) {
+  if (!monitorId) {
+    previousAnswers.clear();
+    return;
+  }
+  for (const key of previousAnswers.keys()) {
+    if (key.startsWith(`${monitorId}:`)) {
+      previousAnswers.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  checkDnsRecords,
+  clearDnsHistory,
+  formatRecordValue,
+  SUPPORTED_RECORD_TYPES,
+};
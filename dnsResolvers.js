@@ -0,0 +1,276 @@
+/**
+ * Per-Check DNS Resolvers for StatusBeacon Probe
+ *
+ * Lets a check name the resolvers it wants answers from, so
+ * "the site is down" can be told apart from "this probe's ISP resolver
+ * is broken or hijacked":
+ * - Plain DNS over UDP or TCP, DNS-over-HTTPS and DNS-over-TLS
+ * - The host's system resolver ('system') for comparison
+ * - Per-resolver answers, rcodes and timings
+ * - Flags resolvers whose answers disagree with the majority
+ *
+ * Resolver specs:
+ *   '1.1.1.1', 'udp://1.1.1.1:53', 'tcp://8.8.8.8',
+ *   'https://dns.google/dns-query' (DoH), 'tls://1.1.1.1:853' (DoT), 'system'
+ * or objects: { protocol: 'udp'|'tcp'|'doh'|'dot'|'system', host, port, url, servername, insecure, name }
+ */
+
+const net = require('net');
+const { URL } = require('url');
+const { queryServer, querySystem, parseServerAddress } = require('./dnsClient');
+const { formatRecordValue } = require('./dnsRecordCheck');
+const { assertEgressAllowed, egressLookup } = require('./egressPolicy');
+
+const DEFAULT_PORTS = { udp: 53, tcp: 53, dot: 853 };
+
+/**
+ * Normalize a resolver spec into { protocol, host, port, url, label, ... }
+ */
+function parseResolver(spec) {
+  if (spec && typeof spec === 'object') {
+    const protocol = spec.protocol || 'udp';
+    if (protocol === 'doh') {
+      if (!spec.url) {
+        throw new Error('DoH resolver requires a url');
+      }
+      return { ...spec, protocol, label: spec.name || spec.url };
+    }
+    if (protocol === 'system') {
+      return { protocol, label: spec.name || 'system' };
+    }
+    if (!spec.host) {
+      throw new Error(`${protocol.toUpperCase()} resolver requires a host`);
+    }
+    const port = spec.port || DEFAULT_PORTS[protocol];
+    return { ...spec, protocol, port, label: spec.name || `${protocol}://${spec.host}:${port}` };
+  }
+
+  const text = String(spec || '').trim();
+
+  if (text === 'system') {
+    return { protocol: 'system', label: 'system' };
+  }
+
+  if (/^https?:\/\//i.test(text)) {
+    return { protocol: 'doh', url: text, label: text };
+  }
+
+  const match = /^(udp|tcp|tls|dot):\/\/(.+)$/i.exec(text);
+  if (!match && text.includes('://')) {
+    throw new Error(`Unsupported resolver scheme: ${text}`);
+  }
+
+  const scheme = match ? match[1].toLowerCase() : 'udp';
+  const protocol = scheme === 'tls' ? 'dot' : scheme;
+  const address = match ? match[2] : text;
+
+  // Optional "#servername" suffix for DoT certificate checks, e.g. tls://1.1.1.1#one.one.one.one
+  const [hostPort, servername] = address.split('#');
+  const { host, port } = parseServerAddress(hostPort, DEFAULT_PORTS[protocol]);
+
+  if (!host || !Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid resolver: ${text}`);
+  }
+
+  return {
+    protocol,
+    host,
+    port,
+    servername: servername || undefined,
+    label: `${protocol}://${net.isIPv6(host) ? `[${host}]` : host}:${port}`,
+  };
+}
+
+/**
+ * Query one parsed resolver. Resolvers named by a check are egress
+ * targets like any other, so they go through the egress policy.
+ */
+function queryResolver(resolver, name, type, options = {}) {
+  if (resolver.protocol === 'system') {
+    return querySystem(name, type, options);
+  }
+
+  // IP literals never reach a lookup function - check them here
+  const host = resolver.protocol === 'doh' ? new URL(resolver.url).hostname.replace(/^\[|\]$/g, '') : resolver.host;
+  if (net.isIP(host)) {
+    assertEgressAllowed([host], host);
+  }
+
+  return queryServer({ ...resolver, lookup: egressLookup }, name, type, options);
+}
+
+/**
+ * Comparable fingerprint of an answer: rcode plus sorted values
+ */
+function answerFingerprint(entry) {
+  if (!entry.success) {
+    return null;
+  }
+  return `${entry.rcode}|${[...entry.values].sort().join(',')}`;
+}
+
+/**
+ * Compare the answers of the resolvers that responded and set `agreesWithMajority`
+ * on every entry. The majority is the answer given by the most resolvers; when two
+ * answers are tied for most there is none, and every resolver that answered counts
+ * as disagreeing.
+ *
+ * @param {Array} entries - Per-resolver entries ({ resolver, success, rcode, values })
+ * @returns {object} { majority: { rcode, values, count } | null, disagreement, disagreeing }
+ */
+function compareAnswers(entries) {
+  const tally = new Map();
+  for (const entry of entries) {
+    const fingerprint = answerFingerprint(entry);
+    if (fingerprint !== null) {
+      const seen = tally.get(fingerprint);
+      tally.set(fingerprint, { entry: seen ? seen.entry : entry, count: seen ? seen.count + 1 : 1 });
+    }
+  }
+
+  let majority = null;
+  let majorityCount = 0;
+  let tied = false;
+  for (const [fingerprint, { count }] of tally.entries()) {
+    if (count > majorityCount) {
+      majority = fingerprint;
+      majorityCount = count;
+      tied = false;
+    } else if (count === majorityCount) {
+      tied = true;
+    }
+  }
+  if (tied) {
+    majority = null;
+  }
+
+  for (const entry of entries) {
+    entry.agreesWithMajority = entry.success && majority !== null ? answerFingerprint(entry) === majority : null;
+  }
+
+  const disagreement = tally.size > 1;
+  const disagreeing = entries
+    .filter(entry => entry.success && disagreement && answerFingerprint(entry) !== majority)
+    .map(entry => entry.resolver);
+
+  const { entry: majorityEntry } = majority !== null ? tally.get(majority) : {};
+  return {
+    majority: majorityEntry ? { rcode: majorityEntry.rcode, values: [...majorityEntry.values].sort(), count: majorityCount } : null,
+    disagreement,
+    disagreeing,
+  };
+}
+
+/**
+ * Query every resolver in parallel and compare their answers
+ *
+ * @param {Array} resolverSpecs - Resolver specs (see module header)
+ * @param {string} name - Domain name
+ * @param {string} type - Record type
+ * @param {object} options - { timeout }
+ * @returns {Promise<object>} { resolvers: [...], answered, disagreement, disagreeing, majority }
+ *   (see compareAnswers)
+ */
+async function queryResolvers(resolverSpecs, name, type, options = {}) {
+  const resolvers = resolverSpecs.map(spec => {
+    try {
+      return parseResolver(spec);
+    } catch (error) {
+      return { invalid: true, label: String(spec && spec.url ? spec.url : JSON.stringify(spec)), error: error.message };
+    }
+  });
+
+  const entries = await Promise.all(resolvers.map(async (resolver) => {
+    if (resolver.invalid) {
+      return { resolver: resolver.label, success: false, error: resolver.error, responseTimeMs: 0 };
+    }
+
+    try {
+      const response = await queryResolver(resolver, name, type, options);
+      const records = response.answers.filter(record => record.type === type);
+      return {
+        resolver: resolver.label,
+        protocol: response.protocol || resolver.protocol,
+        success: true,
+        rcode: response.rcodeName,
+        values: records.map(record => formatRecordValue(record.type, record.data)),
+        ttls: records.map(record => record.ttl),
+        responseTimeMs: response.responseTimeMs,
+        response,
+      };
+    } catch (error) {
+      return { resolver: resolver.label, protocol: resolver.protocol, success: false, error: error.message, responseTimeMs: null };
+    }
+  }));
+
+  const { majority, disagreement, disagreeing } = compareAnswers(entries);
+
+  return {
+    name,
+    type,
+    resolvers: entries,
+    answered: entries.filter(entry => entry.success).length,
+    disagreement,
+    disagreeing,
+    majority,
+  };
+}
+
+/**
+ * Public view of a resolver comparison (drops the raw decoded messages)
+ */
+function describeResolverReport(report) {
+  return {
+    ...report,
+    resolvers: report.resolvers.map(({ response, ...entry }) => entry),
+  };
+}
+
+/**
+ * Resolve a hostname to IPs through the check's resolvers.
+ * Every resolver is asked (for the comparison report); the first listed
+ * resolver that returns addresses is the one the connection uses.
+ *
+ * @returns {Promise<object>} { success, ips, responseTimeMs, resolver, report, error }
+ */
+async function resolveHostWithResolvers(hostname, resolverSpecs, options = {}) {
+  let report = await queryResolvers(resolverSpecs, hostname, 'A', options);
+  let chosen = report.resolvers.find(entry => entry.success && entry.rcode === 'NOERROR' && entry.values.length > 0);
+
+  // No IPv4 answers anywhere - try IPv6
+  if (!chosen) {
+    const reportV6 = await queryResolvers(resolverSpecs, hostname, 'AAAA', options);
+    const chosenV6 = reportV6.resolvers.find(entry => entry.success && entry.rcode === 'NOERROR' && entry.values.length > 0);
+    if (chosenV6) {
+      report = reportV6;
+      chosen = chosenV6;
+    }
+  }
+
+  if (!chosen) {
+    const reasons = report.resolvers.map(entry => `${entry.resolver}: ${entry.success ? entry.rcode : entry.error}`);
+    return {
+      success: false,
+      ips: [],
+      responseTimeMs: Math.max(0, ...report.resolvers.map(entry => entry.responseTimeMs || 0)),
+      error: `No resolver returned addresses (${reasons.join('; ')})`,
+      report: describeResolverReport(report),
+    };
+  }
+
+  return {
+    success: true,
+    ips: chosen.values,
+    responseTimeMs: chosen.responseTimeMs,
+    resolver: chosen.resolver,
+    report: describeResolverReport(report),
+  };
+}
+
+module.exports = {
+  parseResolver,
+  compareAnswers,
+  queryResolvers,
+  describeResolverReport,
+  resolveHostWithResolvers,
+};
@@ -0,0 +1,345 @@
+/**
+ * DNS Wire Format Codec (RFC 1035)
+ *
+ * Minimal encoder/decoder for DNS messages, so the probe can talk to
+ * resolvers directly and see everything Node's resolver API hides:
+ * - TTLs for every record type
+ * - Response codes (NXDOMAIN, SERVFAIL, ...) and header flags
+ * - A, AAAA, CNAME, MX, TXT, NS, SOA, CAA, SRV and PTR record data
+ */
+
+const crypto = require('crypto');
+
+const RECORD_TYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  PTR: 12,
+  MX: 15,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  OPT: 41,
+  CAA: 257,
+};
+
+const RECORD_TYPE_NAMES = Object.fromEntries(Object.entries(RECORD_TYPES).map(([name, code]) => [code, name]));
+
+const RCODE_NAMES = {
+  0: 'NOERROR',
+  1: 'FORMERR',
+  2: 'SERVFAIL',
+  3: 'NXDOMAIN',
+  4: 'NOTIMP',
+  5: 'REFUSED',
+};
+
+// EDNS0 UDP payload size (DNS flag day 2020 recommendation)
+const EDNS_UDP_SIZE = 1232;
+
+/**
+ * Encode a domain name as length-prefixed labels
+ */
+function encodeName(name) {
+  const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+  const parts = [];
+
+  for (const label of labels) {
+    const bytes = Buffer.from(label, 'utf8');
+    if (bytes.length > 63) {
+      throw new Error(`DNS label too long: ${label}`);
+    }
+    parts.push(Buffer.from([bytes.length]), bytes);
+  }
+  parts.push(Buffer.from([0]));
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Build a query message
+ * @param {string} name - Domain name to query
+ * @param {string} type - Record type name (A, AAAA, MX, ...)
+ * @param {object} options - { id, recursionDesired, edns }
+ * @returns {{ id: number, message: Buffer }}
+ */
+function encodeQuery(name, type, options = {}) {
+  const typeCode = RECORD_TYPES[type];
+  if (!typeCode) {
+    throw new Error(`Unsupported DNS record type: ${type}`);
+  }
+
+  const id = options.id ?? crypto.randomInt(0, 65536);
+  const useEdns = options.edns !== false;
+
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(options.recursionDesired === false ? 0 : 0x0100, 2); // RD flag
+  header.writeUInt16BE(1, 4); // QDCOUNT
+  header.writeUInt16BE(0, 6); // ANCOUNT
+  header.writeUInt16BE(0, 8); // NSCOUNT
+  header.writeUInt16BE(useEdns ? 1 : 0, 10); // ARCOUNT
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(typeCode, 0);
+  question.writeUInt16BE(1, 2); // class IN
+
+  const parts = [header, encodeName(name), question];
+
+  if (useEdns) {
+    // OPT pseudo-record: root name, type OPT, class = UDP size, TTL = 0, no options
+    const opt = Buffer.alloc(11);
+    opt.writeUInt8(0, 0);
+    opt.writeUInt16BE(RECORD_TYPES.OPT, 1);
+    opt.writeUInt16BE(EDNS_UDP_SIZE, 3);
+    opt.writeUInt32BE(0, 5);
+    opt.writeUInt16BE(0, 9);
+    parts.push(opt);
+  }
+
+  return { id, message: Buffer.concat(parts) };
+}
+
+/**
+ * Decode a (possibly compressed) name starting at offset
+ * @returns {{ name: string, offset: number }} offset just past the name in the original position
+ */
+function decodeName(buf, offset) {
+  const labels = [];
+  let position = offset;
+  let endOffset = null;
+  let jumps = 0;
+
+  while (true) {
+    if (position >= buf.length) {
+      throw new Error('DNS name runs past end of message');
+    }
+
+    const length = buf[position];
+
+    // Compression pointer
+    if ((length & 0xc0) === 0xc0) {
+      if (endOffset === null) {
+        endOffset = position + 2;
+      }
+      if (++jumps > 64) {
+        throw new Error('DNS name compression loop');
+      }
+      position = buf.readUInt16BE(position) & 0x3fff;
+      continue;
+    }
+
+    if (length === 0) {
+      position += 1;
+      break;
+    }
+
+    labels.push(buf.toString('utf8', position + 1, position + 1 + length));
+    position += 1 + length;
+  }
+
+  return { name: labels.join('.'), offset: endOffset ?? position };
+}
+
+/**
+ * Format a 16-byte IPv6 address in compressed notation
+ */
+function formatIpv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i).toString(16));
+  }
+
+  // Find longest run of zero groups to compress
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== '0') {
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === '0') {
+      j++;
+    }
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Decode RDATA for a known record type
+ */
+function decodeRecordData(buf, type, offset, length) {
+  const end = offset + length;
+
+  switch (type) {
+    case RECORD_TYPES.A:
+      return Array.from(buf.subarray(offset, end)).join('.');
+
+    case RECORD_TYPES.AAAA:
+      return formatIpv6(buf.subarray(offset, end));
+
+    case RECORD_TYPES.CNAME:
+    case RECORD_TYPES.NS:
+    case RECORD_TYPES.PTR:
+      return decodeName(buf, offset).name;
+
+    case RECORD_TYPES.MX:
+      return {
+        priority: buf.readUInt16BE(offset),
+        exchange: decodeName(buf, offset + 2).name,
+      };
+
+    case RECORD_TYPES.TXT: {
+      // One or more length-prefixed character strings
+      const chunks = [];
+      let position = offset;
+      while (position < end) {
+        const chunkLength = buf[position];
+        chunks.push(buf.toString('utf8', position + 1, position + 1 + chunkLength));
+        position += 1 + chunkLength;
+      }
+      return chunks;
+    }
+
+    case RECORD_TYPES.SOA: {
+      const mname = decodeName(buf, offset);
+      const rname = decodeName(buf, mname.offset);
+      const position = rname.offset;
+      return {
+        nsname: mname.name,
+        hostmaster: rname.name,
+        serial: buf.readUInt32BE(position),
+        refresh: buf.readUInt32BE(position + 4),
+        retry: buf.readUInt32BE(position + 8),
+        expire: buf.readUInt32BE(position + 12),
+        minttl: buf.readUInt32BE(position + 16),
+      };
+    }
+
+    case RECORD_TYPES.SRV:
+      return {
+        priority: buf.readUInt16BE(offset),
+        weight: buf.readUInt16BE(offset + 2),
+        port: buf.readUInt16BE(offset + 4),
+        target: decodeName(buf, offset + 6).name,
+      };
+
+    case RECORD_TYPES.CAA: {
+      const flags = buf[offset];
+      const tagLength = buf[offset + 1];
+      return {
+        critical: (flags & 0x80) !== 0,
+        tag: buf.toString('ascii', offset + 2, offset + 2 + tagLength),
+        value: buf.toString('utf8', offset + 2 + tagLength, end),
+      };
+    }
+
+    default:
+      return buf.subarray(offset, end).toString('hex');
+  }
+}
+
+/**
+ * Decode one resource record section
+ */
+function decodeRecords(buf, offset, count) {
+  const records = [];
+  let position = offset;
+
+  for (let i = 0; i < count; i++) {
+    const { name, offset: afterName } = decodeName(buf, position);
+    const type = buf.readUInt16BE(afterName);
+    const recordClass = buf.readUInt16BE(afterName + 2);
+    const ttl = buf.readUInt32BE(afterName + 4);
+    const length = buf.readUInt16BE(afterName + 8);
+    const dataOffset = afterName + 10;
+
+    if (dataOffset + length > buf.length) {
+      throw new Error('DNS record runs past end of message');
+    }
+
+    if (type !== RECORD_TYPES.OPT) {
+      records.push({
+        name,
+        type: RECORD_TYPE_NAMES[type] || `TYPE${type}`,
+        class: recordClass,
+        ttl,
+        data: decodeRecordData(buf, type, dataOffset, length),
+      });
+    }
+
+    position = dataOffset + length;
+  }
+
+  return { records, offset: position };
+}
+
+/**
+ * Decode a DNS response message
+ */
+function decodeMessage(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) {
+    throw new Error('DNS message too short');
+  }
+
+  const flags = buf.readUInt16BE(2);
+  const counts = {
+    qd: buf.readUInt16BE(4),
+    an: buf.readUInt16BE(6),
+    ns: buf.readUInt16BE(8),
+    ar: buf.readUInt16BE(10),
+  };
+
+  let position = 12;
+  const questions = [];
+  for (let i = 0; i < counts.qd; i++) {
+    const { name, offset } = decodeName(buf, position);
+    questions.push({
+      name,
+      type: RECORD_TYPE_NAMES[buf.readUInt16BE(offset)] || `TYPE${buf.readUInt16BE(offset)}`,
+    });
+    position = offset + 4;
+  }
+
+  const answers = decodeRecords(buf, position, counts.an);
+  const authorities = decodeRecords(buf, answers.offset, counts.ns);
+  const additionals = decodeRecords(buf, authorities.offset, counts.ar);
+
+  const rcode = flags & 0x000f;
+
+  return {
+    id: buf.readUInt16BE(0),
+    flags: {
+      qr: (flags & 0x8000) !== 0,
+      aa: (flags & 0x0400) !== 0,
+      tc: (flags & 0x0200) !== 0,
+      rd: (flags & 0x0100) !== 0,
+      ra: (flags & 0x0080) !== 0,
+    },
+    rcode,
+    rcodeName: RCODE_NAMES[rcode] || `RCODE${rcode}`,
+    questions,
+    answers: answers.records,
+    authorities: authorities.records,
+    additionals: additionals.records,
+  };
+}
+
+module.exports = {
+  RECORD_TYPES,
+  encodeQuery,
+  decodeMessage,
+};
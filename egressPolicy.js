@@ -0,0 +1,271 @@
+/**
+ * Egress Policy for StatusBeacon Probe
+ *
+ * Stops the probe from being used to reach internal addresses (SSRF):
+ * - Blocks private, loopback, link-local, CGNAT, multicast and reserved
+ *   ranges, plus cloud metadata endpoints, for IPv4 and IPv6
+ * - Checks resolved IPs, so DNS names pointing inside are caught too
+ * - Operator allowlist / denylist in CIDR form
+ *
+ * Configuration:
+ *   PROBE_EGRESS_POLICY = enforce (default) | off
+ *   PROBE_EGRESS_ALLOW  = comma-separated CIDRs/IPs allowed despite the built-in blocks
+ *   PROBE_EGRESS_DENY   = comma-separated CIDRs/IPs always blocked (wins over the allowlist)
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Built-in blocked ranges
+const BLOCKED_RANGES = [
+  { cidr: '0.0.0.0/8', label: 'unspecified' },
+  { cidr: '10.0.0.0/8', label: 'private' },
+  { cidr: '100.64.0.0/10', label: 'carrier-grade NAT' },
+  { cidr: '127.0.0.0/8', label: 'loopback' },
+  { cidr: '169.254.0.0/16', label: 'link-local / cloud metadata' },
+  { cidr: '172.16.0.0/12', label: 'private' },
+  { cidr: '192.0.0.0/24', label: 'IETF protocol assignments' },
+  { cidr: '192.168.0.0/16', label: 'private' },
+  { cidr: '198.18.0.0/15', label: 'benchmarking' },
+  { cidr: '224.0.0.0/4', label: 'multicast' },
+  { cidr: '240.0.0.0/4', label: 'reserved' },
+  { cidr: '::/128', label: 'unspecified' },
+  { cidr: '::1/128', label: 'loopback' },
+  { cidr: '100::/64', label: 'discard-only' },
+  { cidr: 'fc00::/7', label: 'unique local / cloud metadata' },
+  { cidr: 'fe80::/10', label: 'link-local' },
+  { cidr: 'fec0::/10', label: 'site-local' },
+  { cidr: 'ff00::/8', label: 'multicast' },
+];
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare IP into a matcher
+ */
+function parseCidr(cidr, label) {
+  const [address, prefixText] = String(cidr).trim().split('/');
+  const type = net.isIP(address);
+  if (type === 0) {
+    throw new Error(`Invalid egress CIDR: ${cidr}`);
+  }
+
+  const maxPrefix = type === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : parseInt(prefixText, 10);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    throw new Error(`Invalid egress CIDR: ${cidr}`);
+  }
+
+  const blockList = new net.BlockList();
+  blockList.addSubnet(address, prefix, type === 4 ? 'ipv4' : 'ipv6');
+
+  return { cidr: `${address}/${prefix}`, label, type, blockList };
+}
+
+function parseCidrList(value, label) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => parseCidr(entry, label));
+}
+
+const EGRESS_POLICY = (process.env.PROBE_EGRESS_POLICY || 'enforce').toLowerCase();
+const allowRules = parseCidrList(process.env.PROBE_EGRESS_ALLOW, 'allowlist');
+const denyRules = parseCidrList(process.env.PROBE_EGRESS_DENY, 'denylist');
+const blockedRules = BLOCKED_RANGES.map(range => parseCidr(range.cidr, range.label));
+
+/**
+ * The 16 bytes of a valid IPv6 address, whatever its notation
+ * (zero-compressed, fully written out, trailing dotted quad)
+ */
+function ipv6ToBytes(address) {
+  let text = address.toLowerCase();
+  let dottedTail = null;
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    dottedTail = dotted[1].split('.').map(Number);
+    text = `${text.slice(0, -dotted[1].length)}0:0`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  const bytes = [];
+  for (const group of groups) {
+    const value = parseInt(group, 16);
+    bytes.push(value >> 8, value & 0xff);
+  }
+  if (dottedTail) {
+    bytes.splice(12, 4, ...dottedTail);
+  }
+  return bytes;
+}
+
+/**
+ * The IPv4 addresses an IPv6 address carries, if it is one of the forms that
+ * end up at an IPv4 host: IPv4-mapped (::ffff:0:0/96), IPv4-translated
+ * (::ffff:0:0:0/96), IPv4-compatible (::/96), NAT64 (64:ff9b::/96), 6to4 (2002::/16)
+ * and Teredo (2001::/32, which carries both the server and the client address)
+ */
+function embeddedIpv4s(bytes) {
+  const zero = (from, to) => bytes.slice(from, to).every(byte => byte === 0);
+  const ipv4At = (offset) => bytes.slice(offset, offset + 4).join('.');
+
+  if (zero(0, 10) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return [ipv4At(12)];
+  }
+  if (zero(0, 8) && bytes[8] === 0xff && bytes[9] === 0xff && zero(10, 12)) {
+    return [ipv4At(12)];
+  }
+  // :: and ::1 keep their IPv6 meaning
+  if (zero(0, 12) && !zero(12, 15)) {
+    return [ipv4At(12)];
+  }
+  if (bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b && zero(4, 12)) {
+    return [ipv4At(12)];
+  }
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) {
+    return [ipv4At(2)];
+  }
+  // Teredo: server in bytes 4-7, client in the last 4 bytes with every bit inverted (RFC 4380)
+  if (bytes[0] === 0x20 && bytes[1] === 0x01 && zero(2, 4)) {
+    return [ipv4At(4), bytes.slice(12, 16).map(byte => byte ^ 0xff).join('.')];
+  }
+  return [];
+}
+
+/**
+ * Every address an IP has to be judged as: itself, plus the IPv4 addresses
+ * embedded in it (::ffff:10.0.0.1, 0:0:0:0:0:ffff:a00:1, 64:ff9b::a00:1, ...)
+ * @returns {Array<{ address: string, type: number }> | null} null if not an IP
+ */
+function addressesToCheck(ip) {
+  const address = String(ip).trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  const type = net.isIP(address);
+  if (type === 0) {
+    return null;
+  }
+  if (type === 4) {
+    return [{ address, type }];
+  }
+
+  const addresses = [{ address, type }];
+  for (const ipv4 of embeddedIpv4s(ipv6ToBytes(address))) {
+    addresses.push({ address: ipv4, type: 4 });
+  }
+  return addresses;
+}
+
+function findRule(rules, address, type) {
+  return rules.find(rule => rule.type === type && rule.blockList.check(address, type === 4 ? 'ipv4' : 'ipv6')) || null;
+}
+
+/**
+ * Decide whether the probe may connect to an IP. An IPv6 address carrying an
+ * IPv4 address is denied if either form is denied or blocked (and not allowed).
+ * @returns {{ allowed: boolean, rule: string | null, reason: string | null }}
+ */
+function checkEgress(ip) {
+  if (EGRESS_POLICY === 'off') {
+    return { allowed: true, rule: null, reason: null };
+  }
+
+  const addresses = addressesToCheck(ip);
+  if (!addresses) {
+    return { allowed: false, rule: null, reason: `not an IP address: ${ip}` };
+  }
+
+  for (const { address, type } of addresses) {
+    const denied = findRule(denyRules, address, type);
+    if (denied) {
+      return { allowed: false, rule: denied.cidr, reason: `${denied.cidr} (${denied.label})` };
+    }
+  }
+
+  for (const { address, type } of addresses) {
+    if (findRule(allowRules, address, type)) {
+      continue;
+    }
+    const blocked = findRule(blockedRules, address, type);
+    if (blocked) {
+      return { allowed: false, rule: blocked.cidr, reason: `${blocked.cidr} (${blocked.label})` };
+    }
+  }
+
+  return { allowed: true, rule: null, reason: null };
+}
+
+/**
+ * Throw if any of a host's resolved IPs is blocked. One bad address blocks
+ * the host, so a record mixing public and internal IPs can't slip through.
+ *
+ * @param {string[]} ips - Resolved addresses
+ * @param {string} hostname - Name they came from (for the message)
+ */
+function assertEgressAllowed(ips, hostname) {
+  for (const ip of ips) {
+    const decision = checkEgress(ip);
+    if (!decision.allowed) {
+      const target = hostname && hostname !== ip ? `${hostname} (${ip})` : ip;
+      const error = new Error(`Egress blocked by probe policy: ${target} is in ${decision.reason}`);
+      error.code = 'EGRESS_BLOCKED';
+      throw error;
+    }
+  }
+}
+
+/**
+ * dns.lookup replacement that enforces the policy on whatever the name resolves to.
+ * For sockets and requests whose hostname is resolved internally (DoH, DoT, ...).
+ */
+function egressLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  const lookupOptions = typeof options === 'number' ? { family: options } : { ...options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    try {
+      assertEgressAllowed(addresses.map(entry => entry.address), hostname);
+    } catch (policyError) {
+      return callback(policyError);
+    }
+
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function isEgressBlocked(error) {
+  return Boolean(error && error.code === 'EGRESS_BLOCKED');
+}
+
+/**
+ * Current policy, for logs and diagnostics
+ */
+function getEgressPolicy() {
+  return {
+    mode: EGRESS_POLICY === 'off' ? 'off' : 'enforce',
+    allow: allowRules.map(rule => rule.cidr),
+    deny: denyRules.map(rule => rule.cidr),
+    blocked: blockedRules.map(rule => `${rule.cidr} (${rule.label})`),
+  };
+}
+
+module.exports = {
+  checkEgress,
+  assertEgressAllowed,
+  egressLookup,
+  isEgressBlocked,
+  getEgressPolicy,
+};
@@ -0,0 +1,306 @@
+/**
+ * gRPC Health Checks for StatusBeacon Probe
+ *
+ * Calls the standard health service (grpc.health.v1.Health/Check) over HTTP/2:
+ * - Plaintext (h2c with prior knowledge) or TLS with ALPN h2
+ * - Optional service name and custom metadata
+ * - Reports the serving status, grpc-status code / message and a timing breakdown
+ *
+ * The request and response messages are tiny, so they are encoded by hand
+ * instead of pulling in a protobuf library.
+ */
+
+const http2 = require('http2');
+const net = require('net');
+const tls = require('tls');
+const { performance } = require('perf_hooks');
+const { inspectTlsSocket } = require('./tlsInspection');
+const { elapsedMs } = require('./timingBreakdown');
+
+const HEALTH_CHECK_PATH = '/grpc.health.v1.Health/Check';
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// grpc.health.v1.HealthCheckResponse.ServingStatus
+const SERVING_STATUSES = ['UNKNOWN', 'SERVING', 'NOT_SERVING', 'SERVICE_UNKNOWN'];
+
+const GRPC_STATUS_NAMES = [
+  'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND',
+  'ALREADY_EXISTS', 'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION',
+  'ABORTED', 'OUT_OF_RANGE', 'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS',
+  'UNAUTHENTICATED',
+];
+
+// Metadata can't override what the protocol itself sends
+const RESERVED_METADATA = /^(:|grpc-|content-type$|te$|user-agent$)/i;
+
+function encodeVarint(value) {
+  const bytes = [];
+  while (value > 0x7f) {
+    bytes.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+function decodeVarint(buf, offset) {
+  let value = 0;
+  let shift = 0;
+  while (offset < buf.length) {
+    const byte = buf[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) {
+      return { value, offset };
+    }
+    shift += 7;
+  }
+  throw new Error('Truncated varint in gRPC response');
+}
+
+/**
+ * HealthCheckRequest { string service = 1; } in a gRPC length-prefixed frame
+ */
+function encodeHealthCheckRequest(service) {
+  const name = Buffer.from(service || '', 'utf8');
+  const message = name.length > 0 ? Buffer.concat([Buffer.from([0x0a]), encodeVarint(name.length), name]) : Buffer.alloc(0);
+  const prefix = Buffer.alloc(5);
+  prefix.writeUInt32BE(message.length, 1);
+  return Buffer.concat([prefix, message]);
+}
+
+/**
+ * HealthCheckResponse { ServingStatus status = 1; } from a gRPC frame; unknown fields are skipped
+ */
+function decodeHealthCheckResponse(body) {
+  if (body.length < 5) {
+    throw new Error('Empty gRPC response');
+  }
+  if (body[0] !== 0) {
+    throw new Error('Compressed gRPC responses are not supported');
+  }
+  const length = body.readUInt32BE(1);
+  const message = body.subarray(5, 5 + length);
+
+  let status = 0;
+  let offset = 0;
+  while (offset < message.length) {
+    const tag = decodeVarint(message, offset);
+    offset = tag.offset;
+    const field = Math.floor(tag.value / 8);
+    const wireType = tag.value & 7;
+
+    if (wireType === 0) {
+      const value = decodeVarint(message, offset);
+      offset = value.offset;
+      if (field === 1) {
+        status = value.value;
+      }
+    } else if (wireType === 2) {
+      const length = decodeVarint(message, offset);
+      offset = length.offset + length.value;
+    } else if (wireType === 1) {
+      offset += 8;
+    } else if (wireType === 5) {
+      offset += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType} in gRPC response`);
+    }
+  }
+
+  return SERVING_STATUSES[status] || `UNKNOWN_STATUS_${status}`;
+}
+
+/**
+ * Metadata as HTTP/2 headers: lower-case names, reserved names rejected
+ */
+function buildMetadata(metadata = {}) {
+  const headers = {};
+  for (const [name, value] of Object.entries(metadata)) {
+    if (RESERVED_METADATA.test(name)) {
+      throw new Error(`Metadata key "${name}" is reserved`);
+    }
+    headers[name.toLowerCase()] = String(value);
+  }
+  return headers;
+}
+
+/**
+ * Connect (and finish TLS with ALPN h2 when secure) before handing the socket to http2
+ */
+function openTransport(host, port, options, marks, sockets) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port, lookup: options.lookup });
+    sockets.push(socket);
+    socket.once('error', reject);
+    socket.once('connect', () => {
+      marks.connected = performance.now();
+      if (!options.tls) {
+        socket.removeListener('error', reject);
+        resolve({ socket, tlsReport: null });
+        return;
+      }
+
+      const servername = options.servername || host;
+      const secureSocket = tls.connect({
+        socket,
+        servername: net.isIP(servername) ? undefined : servername,
+        ALPNProtocols: ['h2'],
+        rejectUnauthorized: false,
+      });
+      sockets.push(secureSocket);
+      secureSocket.once('error', (error) => {
+        reject(error.code === 'ERR_SSL_TLSV1_ALERT_NO_APPLICATION_PROTOCOL'
+          ? new Error('Server does not support HTTP/2 (ALPN h2 refused)')
+          : error);
+      });
+      secureSocket.once('secureConnect', () => {
+        marks.secured = performance.now();
+        secureSocket.removeListener('error', reject);
+        if (secureSocket.alpnProtocol !== 'h2') {
+          secureSocket.destroy();
+          reject(new Error(`Server did not negotiate HTTP/2 (ALPN ${secureSocket.alpnProtocol || 'none'})`));
+          return;
+        }
+        resolve({ socket: secureSocket, tlsReport: inspectTlsSocket(secureSocket, servername) });
+      });
+    });
+  });
+}
+
+/**
+ * Call grpc.health.v1.Health/Check
+ *
+ * @param {string} host - Hostname (authority, SNI)
+ * @param {number} port - Port
+ * @param {object} grpc - { service, tls, metadata, servername }
+ * @param {object} options - { lookup, timeoutMs }
+ * @returns {Promise<object>} { service, servingStatus, grpcStatus, grpcStatusName, grpcMessage, httpStatus, tls, timings }
+ */
+async function runGrpcHealthCheck(host, port, grpc = {}, options = {}) {
+  const timeoutMs = options.timeoutMs || 10000;
+  const metadata = buildMetadata(grpc.metadata);
+  const startTime = performance.now();
+  const marks = {};
+  const sockets = [];
+  let session = null;
+  let transport = null;
+  let timer;
+
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error(`gRPC health check of ${host}:${port} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  const call = async () => {
+    transport = await openTransport(host, port, { ...options, tls: grpc.tls, servername: grpc.servername }, marks, sockets);
+    const authority = net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+
+    session = http2.connect(`${grpc.tls ? 'https' : 'http'}://${authority}`, {
+      createConnection: () => transport.socket,
+    });
+    session.on('error', () => {});
+    await new Promise((resolve, reject) => {
+      session.once('connect', resolve);
+      session.once('error', reject);
+    });
+    marks.session = performance.now();
+
+    const remainingMs = Math.max(1, Math.floor(timeoutMs - (performance.now() - startTime)));
+    const stream = session.request({
+      ':method': 'POST',
+      ':path': HEALTH_CHECK_PATH,
+      'content-type': 'application/grpc',
+      te: 'trailers',
+      'grpc-timeout': `${remainingMs}m`,
+      'user-agent': 'statusbeacon-probe grpc-health',
+      ...metadata,
+    });
+
+    return new Promise((resolve, reject) => {
+      let headers = {};
+      let trailers = {};
+      const chunks = [];
+      let size = 0;
+
+      stream.on('response', (responseHeaders) => {
+        marks.firstByte = performance.now();
+        headers = responseHeaders;
+      });
+      stream.on('trailers', (responseTrailers) => {
+        trailers = responseTrailers;
+      });
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          stream.close(http2.constants.NGHTTP2_CANCEL);
+          reject(new Error(`gRPC response exceeds ${MAX_RESPONSE_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('error', reject);
+      stream.on('close', () => {
+        marks.done = performance.now();
+        resolve({ headers, trailers, body: Buffer.concat(chunks) });
+      });
+      stream.end(encodeHealthCheckRequest(grpc.service));
+    });
+  };
+
+  try {
+    const { headers, trailers, body } = await Promise.race([call(), deadline]);
+
+    // Trailers-only responses carry grpc-status in the headers
+    const statusHeader = trailers['grpc-status'] ?? headers['grpc-status'];
+    const grpcStatus = statusHeader !== undefined ? parseInt(statusHeader, 10) : null;
+    const rawMessage = trailers['grpc-message'] ?? headers['grpc-message'];
+    let grpcMessage = null;
+    if (rawMessage) {
+      try {
+        grpcMessage = decodeURIComponent(rawMessage);
+      } catch {
+        grpcMessage = rawMessage;
+      }
+    }
+
+    const httpStatus = headers[':status'] || null;
+    if (httpStatus === null) {
+      throw new Error(`No HTTP/2 response from ${host}:${port} (check grpc.tls)`);
+    }
+    if (httpStatus !== 200 && grpcStatus === null) {
+      throw Object.assign(new Error(`Not a gRPC endpoint (HTTP ${httpStatus})`), { statusCode: httpStatus });
+    }
+
+    const endTime = marks.done || performance.now();
+    const connectedAt = marks.connected || startTime;
+    const sessionFrom = marks.secured || connectedAt;
+    return {
+      service: grpc.service || '',
+      servingStatus: grpcStatus === 0 ? decodeHealthCheckResponse(body) : null,
+      grpcStatus,
+      grpcStatusName: grpcStatus !== null ? GRPC_STATUS_NAMES[grpcStatus] || `CODE_${grpcStatus}` : null,
+      grpcMessage,
+      httpStatus,
+      tls: transport.tlsReport,
+      timings: {
+        connectMs: elapsedMs(startTime, connectedAt),
+        tlsMs: marks.secured ? elapsedMs(connectedAt, marks.secured) : null,
+        sessionMs: elapsedMs(sessionFrom, marks.session),
+        firstByteMs: marks.firstByte ? elapsedMs(marks.session, marks.firstByte) : null,
+        responseMs: elapsedMs(marks.session, endTime),
+        totalMs: elapsedMs(startTime, endTime),
+      },
+    };
+  } finally {
+    clearTimeout(timer);
+    if (session) {
+      session.destroy();
+    }
+    sockets.forEach(socket => socket.destroy());
+  }
+}
+
+module.exports = {
+  runGrpcHealthCheck,
+};
@@ -0,0 +1,205 @@
+/**
+ * HTTP/2 Transport for StatusBeacon Probe
+ *
+ * Lets HTTP checks run over HTTP/2 (see timingBreakdown.js):
+ * - Opens the connection itself and negotiates the protocol via ALPN:
+ *   h2 only, or h2 with an http/1.1 fallback ("auto", like a browser)
+ * - h2c with prior knowledge for http:// URLs when h2 is required
+ * - Runs one request over an HTTP/2 session and returns it in the same
+ *   shape as an HTTP/1.1 response (status, headers, body)
+ *
+ * Connections are never pooled: every request negotiates from scratch.
+ */
+
+const http2 = require('http2');
+const net = require('net');
+const tls = require('tls');
+const { performance } = require('perf_hooks');
+const { inspectTlsSocket, watchOcspStapling, elapsedMs } = require('./tlsInspection');
+
+const HTTP_VERSIONS = ['h1', 'h2', 'auto'];
+
+// Connection-specific headers HTTP/2 forbids (RFC 9113 section 8.2.2)
+const CONNECTION_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Connect and settle on a protocol
+ *
+ * @param {URL} parsedUrl - Request URL
+ * @param {object} options - { httpVersion ('h2' | 'auto'), lookup, timeout, rejectUnauthorized, inspectTls, signal }
+ * @returns {Promise<object>} { socket, protocol ('h2' | 'http/1.1'), startTime, readyTime, tcpMs, tlsMs, remoteAddress, tls }
+ */
+function negotiateConnection(parsedUrl, options = {}) {
+  return new Promise((resolve, reject) => {
+    const isHttps = parsedUrl.protocol === 'https:';
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    const port = parseInt(parsedUrl.port, 10) || (isHttps ? 443 : 80);
+    const startTime = performance.now();
+    const connection = { protocol: null, startTime, readyTime: null, tcpMs: null, tlsMs: null, remoteAddress: null, tls: undefined };
+    let connectedTime = null;
+
+    const socket = isHttps
+      ? tls.connect({
+        host: hostname,
+        port,
+        lookup: options.lookup,
+        servername: net.isIP(hostname) ? undefined : hostname,
+        ALPNProtocols: options.httpVersion === 'h2' ? ['h2'] : ['h2', 'http/1.1'],
+        rejectUnauthorized: options.rejectUnauthorized !== false,
+        requestOCSP: options.inspectTls === true,
+      })
+      : net.connect({ host: hostname, port, lookup: options.lookup });
+    const ocspStapled = isHttps && options.inspectTls === true ? watchOcspStapling(socket) : null;
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(error.code === 'ERR_SSL_TLSV1_ALERT_NO_APPLICATION_PROTOCOL'
+        ? new Error('Server does not support HTTP/2 (ALPN h2 refused)')
+        : error);
+    };
+    const onAbort = () => fail(new Error('Request aborted'));
+    if (options.signal) {
+      if (options.signal.aborted) {
+        onAbort();
+        return;
+      }
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+    socket.once('error', fail);
+    socket.setTimeout(options.timeout || 30000, () => fail(new Error('Request timeout')));
+
+    socket.once('connect', () => {
+      connectedTime = performance.now();
+      connection.tcpMs = elapsedMs(startTime, connectedTime);
+      connection.remoteAddress = socket.remoteAddress || null;
+      if (!isHttps) {
+        // Plain http: only reached when h2 is required, so h2c with prior knowledge
+        connection.protocol = 'h2';
+        connection.readyTime = connectedTime;
+        done();
+      }
+    });
+
+    socket.once('secureConnect', () => {
+      const secureTime = performance.now();
+      connection.tlsMs = elapsedMs(connectedTime || startTime, secureTime);
+      connection.readyTime = secureTime;
+      // Servers that ignore ALPN speak HTTP/1.1
+      connection.protocol = socket.alpnProtocol || 'http/1.1';
+      if (options.httpVersion === 'h2' && connection.protocol !== 'h2') {
+        fail(new Error(`Server did not negotiate HTTP/2 (ALPN ${socket.alpnProtocol || 'none'})`));
+        return;
+      }
+      if (options.inspectTls === true) {
+        connection.tls = inspectTlsSocket(socket, hostname, { ocspStapled: ocspStapled() });
+      }
+      done();
+    });
+
+    function done() {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+      socket.removeListener('error', fail);
+      socket.setTimeout(0);
+      connection.socket = socket;
+      resolve(connection);
+    }
+  });
+}
+
+/**
+ * Run a request over an HTTP/2 connection from negotiateConnection
+ *
+ * @param {URL} parsedUrl - Request URL
+ * @param {object} connection - Negotiated connection (protocol 'h2')
+ * @param {object} options - { method, headers, body, timeout, skipBodyFor, signal }
+ * @returns {Promise<object>} { statusCode, headers, body, firstByteTime, endTime }
+ */
+function performHttp2Request(parsedUrl, connection, options = {}) {
+  return new Promise((resolve, reject) => {
+    const requestHeaders = {};
+    let authority = parsedUrl.host;
+    for (const [name, value] of Object.entries(options.headers || {})) {
+      const key = name.toLowerCase();
+      if (key === 'host') {
+        authority = value;
+      } else if (!CONNECTION_HEADERS.includes(key)) {
+        requestHeaders[key] = value;
+      }
+    }
+
+    const session = http2.connect(parsedUrl.origin, { createConnection: () => connection.socket });
+    let settled = false;
+    const onAbort = () => fail(new Error('Request aborted'));
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        if (options.signal) {
+          options.signal.removeEventListener('abort', onAbort);
+        }
+        session.destroy();
+        reject(error);
+      }
+    };
+    session.on('error', fail);
+    if (options.signal) {
+      if (options.signal.aborted) {
+        onAbort();
+        return;
+      }
+      options.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const stream = session.request({
+      ...requestHeaders,
+      ':method': options.method || 'GET',
+      ':path': parsedUrl.pathname + parsedUrl.search,
+      ':authority': authority,
+    });
+    stream.setTimeout(options.timeout || 30000, () => fail(new Error('Request timeout')));
+    stream.on('error', fail);
+
+    let statusCode = 0;
+    let headers = {};
+    let firstByteTime = null;
+    let body;
+
+    stream.on('response', (responseHeaders) => {
+      firstByteTime = performance.now();
+      statusCode = responseHeaders[':status'];
+      headers = Object.fromEntries(Object.entries(responseHeaders).filter(([name]) => !name.startsWith(':')));
+      body = (options.skipBodyFor || []).includes(statusCode) ? undefined : '';
+    });
+
+    stream.on('data', (chunk) => {
+      if (body === undefined) {
+        return;
+      }
+      body += chunk.toString().slice(0, 10000); // Limit to 10KB, as over HTTP/1.1
+    });
+
+    stream.on('end', () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+      session.close();
+      resolve({ statusCode, headers, body, firstByteTime: firstByteTime || performance.now(), endTime: performance.now() });
+    });
+
+    // Reset by the server (RST_STREAM / GOAWAY) before the response completed
+    stream.on('close', () => fail(new Error(`HTTP/2 stream closed before the response completed (code ${stream.rstCode})`)));
+
+    stream.end(options.body);
+  });
+}
+
+module.exports = {
+  HTTP_VERSIONS,
+  negotiateConnection,
+  performHttp2Request,
+};
@@ -0,0 +1,87 @@
+/**
+ * Latency Statistics for StatusBeacon Probe
+ *
+ * Summarizes a series of latency samples instead of trusting a single one:
+ * - min / median / p95 / max and mean
+ * - Standard deviation
+ * - Jitter: mean absolute difference between consecutive samples (RFC 3550 style)
+ * - Per-phase statistics for HTTP timing breakdowns
+ *
+ * Used by sampled HTTP checks and TCP series checks.
+ */
+
+const { TIMING_PHASES } = require('./timingBreakdown');
+
+// Statistics a degraded threshold can be compared against
+const LATENCY_STATISTICS = ['min', 'median', 'p95', 'max', 'mean'];
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Percentile of sorted values, linearly interpolated between ranks
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) {
+    return sorted[0];
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Distribution of a series of samples, in the order they were taken
+ * @param {Array<number|null>} samples - Values in ms (non-numbers are ignored)
+ * @returns {object|null} { count, min, median, p95, max, mean, stdDev, jitter } or null when empty
+ */
+function computeLatencyStats(samples) {
+  const values = samples.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  let jitter = 0;
+  for (let i = 1; i < values.length; i++) {
+    jitter += Math.abs(values[i] - values[i - 1]);
+  }
+  jitter = values.length > 1 ? jitter / (values.length - 1) : 0;
+
+  return {
+    count: values.length,
+    min: round3(sorted[0]),
+    median: round3(percentile(sorted, 50)),
+    p95: round3(percentile(sorted, 95)),
+    max: round3(sorted[sorted.length - 1]),
+    mean: round3(mean),
+    stdDev: round3(Math.sqrt(variance)),
+    jitter: round3(jitter),
+  };
+}
+
+/**
+ * Per-phase statistics over several timing breakdowns (see summarizeTimings)
+ * @param {Array<object|null>} breakdowns - One timingBreakdown per sample
+ * @returns {object} { dnsMs: stats, tcpMs: stats, ... }
+ */
+function computePhaseStats(breakdowns) {
+  const phases = {};
+  for (const phase of TIMING_PHASES) {
+    phases[phase] = computeLatencyStats(breakdowns.map(timings => (timings ? timings[phase] : null)));
+  }
+  return phases;
+}
+
+module.exports = {
+  LATENCY_STATISTICS,
+  computeLatencyStats,
+  computePhaseStats,
+};
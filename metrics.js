@@ -0,0 +1,220 @@
+/**
+ * Prometheus Metrics for StatusBeacon Probe
+ *
+ * Exposes probe health and check outcomes in Prometheus text format:
+ * - Check counters by monitor type, status and region
+ * - Response time and timing phase histograms
+ * - Geo-block, challenge, rate-limit and egress-block detection counters
+ * - DNS cache, cookie store, outbox and scheduler gauges
+ * - Process metrics (event loop lag, heap, RSS, uptime)
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { getDnsCacheStats } = require('./dnsMonitoring');
+const { getCookieStats } = require('./cookieJar');
+const { getOutboxStats } = require('./outbox');
+const { getSchedulerStats } = require('./scheduler');
+
+const METRIC_PREFIX = 'statusbeacon_probe';
+
+// Histogram buckets in seconds
+const RESPONSE_TIME_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const PHASE_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// monitor_type label values; anything else is counted as "other" so request input
+// can't create new series
+const MONITOR_TYPES = ['http', 'http_head', 'tcp_ping', 'dns', 'tls', 'udp', 'postgres', 'mysql', 'redis', 'mongodb', 'websocket', 'grpc', 'transaction'];
+
+const TIMING_PHASES = {
+  dns: 'dnsMs',
+  tcp: 'tcpMs',
+  tls: 'tlsMs',
+  ttfb: 'ttfbMs',
+  download: 'downloadMs',
+};
+
+// Event loop delay sampler (values reported in nanoseconds). Never reset, so every
+// scraper sees the same figures since process start.
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+/**
+ * Counter keyed by label set
+ */
+function createCounter(name, help) {
+  return { name, help, type: 'counter', values: new Map() };
+}
+
+/**
+ * Histogram keyed by label set
+ */
+function createHistogram(name, help, buckets) {
+  return { name, help, type: 'histogram', buckets, values: new Map() };
+}
+
+const checksTotal = createCounter(`${METRIC_PREFIX}_checks_total`, 'Checks performed by monitor type, status and region');
+const detectionsTotal = createCounter(`${METRIC_PREFIX}_detections_total`, 'Geo-block, challenge, rate-limit and egress-block detections');
+const responseTime = createHistogram(`${METRIC_PREFIX}_response_time_seconds`, 'Check response time', RESPONSE_TIME_BUCKETS);
+const timingPhase = createHistogram(`${METRIC_PREFIX}_timing_phase_seconds`, 'HTTP timing breakdown per phase', PHASE_BUCKETS);
+
+/**
+ * Stable key for a label set
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function incrementCounter(counter, labels, amount = 1) {
+  const key = labelKey(labels);
+  const entry = counter.values.get(key);
+  if (entry) {
+    entry.value += amount;
+  } else {
+    counter.values.set(key, { labels, value: amount });
+  }
+}
+
+function observeHistogram(histogram, labels, value) {
+  const key = labelKey(labels);
+  let entry = histogram.values.get(key);
+  if (!entry) {
+    entry = { labels, counts: new Array(histogram.buckets.length).fill(0), sum: 0, count: 0 };
+    histogram.values.set(key, entry);
+  }
+
+  for (let i = 0; i < histogram.buckets.length; i++) {
+    if (value <= histogram.buckets[i]) {
+      entry.counts[i]++;
+    }
+  }
+  entry.sum += value;
+  entry.count++;
+}
+
+/**
+ * Record the outcome of a completed check
+ * @param {object} config - The ProbeRequest that was run
+ * @param {object} result - The ProbeResult (or null if the check threw)
+ * @param {string} region - Probe region
+ */
+function recordCheckResult(config, result, region) {
+  const requestedType = config?.monitorType || 'http';
+  const monitorType = MONITOR_TYPES.includes(requestedType) ? requestedType : 'other';
+  const status = result?.status || 'error';
+
+  incrementCounter(checksTotal, { monitor_type: monitorType, status, region });
+
+  if (!result) {
+    return;
+  }
+
+  if (typeof result.responseTimeMs === 'number') {
+    observeHistogram(responseTime, { monitor_type: monitorType, region }, result.responseTimeMs / 1000);
+  }
+
+  if (result.timingBreakdown) {
+    for (const [phase, field] of Object.entries(TIMING_PHASES)) {
+      const value = result.timingBreakdown[field];
+      if (typeof value === 'number') {
+        observeHistogram(timingPhase, { phase, region }, value / 1000);
+      }
+    }
+  }
+
+  if (result.isGeoBlocked) {
+    incrementCounter(detectionsTotal, { type: 'geo_block', region });
+  }
+  if (result.challengeInfo?.detected) {
+    incrementCounter(detectionsTotal, { type: 'challenge', region });
+  }
+  if (result.rateLimitInfo?.detected) {
+    incrementCounter(detectionsTotal, { type: 'rate_limit', region });
+  }
+  if (result.egressBlocked) {
+    incrementCounter(detectionsTotal, { type: 'egress_blocked', region });
+  }
+}
+
+function renderCounter(counter, lines) {
+  lines.push(`# HELP ${counter.name} ${counter.help}`);
+  lines.push(`# TYPE ${counter.name} counter`);
+  for (const { labels, value } of counter.values.values()) {
+    lines.push(`${counter.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+function renderHistogram(histogram, lines) {
+  lines.push(`# HELP ${histogram.name} ${histogram.help}`);
+  lines.push(`# TYPE ${histogram.name} histogram`);
+  for (const { labels, counts, sum, count } of histogram.values.values()) {
+    histogram.buckets.forEach((bucket, i) => {
+      lines.push(`${histogram.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`);
+    });
+    lines.push(`${histogram.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${histogram.name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${histogram.name}_count${formatLabels(labels)} ${count}`);
+  }
+}
+
+function renderGauge(name, help, value, lines, labels = {}) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} gauge`);
+  lines.push(`${name}${formatLabels(labels)} ${value}`);
+}
+
+/**
+ * Render all metrics in Prometheus text exposition format
+ */
+function renderMetrics(region) {
+  const lines = [];
+
+  renderCounter(checksTotal, lines);
+  renderCounter(detectionsTotal, lines);
+  renderHistogram(responseTime, lines);
+  renderHistogram(timingPhase, lines);
+
+  renderGauge(`${METRIC_PREFIX}_dns_cache_entries`, 'Hostnames in the DNS cache', getDnsCacheStats().size, lines);
+  renderGauge(`${METRIC_PREFIX}_cookie_stores`, 'Per-monitor cookie stores held in memory', getCookieStats().totalStores, lines);
+
+  const outboxStats = getOutboxStats();
+  renderGauge(`${METRIC_PREFIX}_outbox_entries`, 'Results waiting in the outbox', outboxStats.size, lines);
+  renderGauge(`${METRIC_PREFIX}_outbox_delivery_failures`, 'Consecutive failed outbox deliveries', outboxStats.delivery.consecutiveFailures, lines);
+
+  const schedulerStats = getSchedulerStats();
+  renderGauge(`${METRIC_PREFIX}_scheduled_monitors`, 'Monitors on the local schedule', schedulerStats.monitors, lines);
+
+  const memory = process.memoryUsage();
+  renderGauge(`${METRIC_PREFIX}_heap_used_bytes`, 'V8 heap in use', memory.heapUsed, lines);
+  renderGauge(`${METRIC_PREFIX}_heap_total_bytes`, 'V8 heap allocated', memory.heapTotal, lines);
+  renderGauge(`${METRIC_PREFIX}_resident_memory_bytes`, 'Resident set size', memory.rss, lines);
+
+  lines.push(`# HELP ${METRIC_PREFIX}_event_loop_lag_seconds Event loop delay since the probe started`);
+  lines.push(`# TYPE ${METRIC_PREFIX}_event_loop_lag_seconds summary`);
+  for (const [quantile, percentile] of [['0.5', 50], ['0.9', 90], ['0.99', 99]]) {
+    lines.push(`${METRIC_PREFIX}_event_loop_lag_seconds{quantile="${quantile}"} ${eventLoopDelay.percentile(percentile) / 1e9}`);
+  }
+  // mean is NaN until the first sample
+  const lagSamples = eventLoopDelay.count;
+  lines.push(`${METRIC_PREFIX}_event_loop_lag_seconds_sum ${lagSamples > 0 ? (eventLoopDelay.mean * lagSamples) / 1e9 : 0}`);
+  lines.push(`${METRIC_PREFIX}_event_loop_lag_seconds_count ${lagSamples}`);
+  renderGauge(`${METRIC_PREFIX}_event_loop_lag_max_seconds`, 'Longest event loop delay since the probe started', eventLoopDelay.max / 1e9, lines);
+
+  renderGauge(`${METRIC_PREFIX}_uptime_seconds`, 'Probe process uptime', process.uptime(), lines);
+  renderGauge(`${METRIC_PREFIX}_info`, 'Probe build and region info', 1, lines, { region, version: '1.0.0', node: process.version });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  recordCheckResult,
+  renderMetrics,
+};
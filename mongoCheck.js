@@ -0,0 +1,213 @@
+/**
+ * MongoDB Health Check for StatusBeacon Probe
+ *
+ * Speaks just enough of the wire protocol (OP_MSG) for a real check:
+ * - hello (isMaster on servers too old for it): replica set role, set name, wire version
+ * - buildInfo: server version
+ * - Optional TLS and expected-role assertion (primary / secondary)
+ *
+ * Neither command needs authentication, so no credentials are required.
+ */
+
+const crypto = require('crypto');
+const { directTlsOption, openDbConnection } = require('./dbSocket');
+
+const OP_MSG = 2013;
+const COMMAND_NOT_FOUND = 59;
+const MAX_MESSAGE_SIZE = 48 * 1024 * 1024;
+
+/**
+ * Minimal BSON encoder - only what the commands sent here need
+ */
+function encodeDocument(doc) {
+  const parts = [];
+  for (const [key, value] of Object.entries(doc)) {
+    const name = Buffer.from(`${key}\0`, 'utf8');
+    if (typeof value === 'string') {
+      const data = Buffer.from(`${value}\0`, 'utf8');
+      const length = Buffer.alloc(4);
+      length.writeInt32LE(data.length, 0);
+      parts.push(Buffer.from([0x02]), name, length, data);
+    } else if (typeof value === 'boolean') {
+      parts.push(Buffer.from([0x08]), name, Buffer.from([value ? 1 : 0]));
+    } else if (Number.isInteger(value)) {
+      const data = Buffer.alloc(4);
+      data.writeInt32LE(value, 0);
+      parts.push(Buffer.from([0x10]), name, data);
+    } else if (value && typeof value === 'object') {
+      parts.push(Buffer.from([0x03]), name, encodeDocument(value));
+    } else {
+      throw new Error(`Cannot encode BSON value for ${key}`);
+    }
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(4);
+  header.writeInt32LE(body.length + 5, 0);
+  return Buffer.concat([header, body, Buffer.from([0])]);
+}
+
+/**
+ * Minimal BSON decoder - the types hello / buildInfo replies use; others throw
+ */
+function decodeDocument(buf, start = 0, isArray = false) {
+  const end = start + buf.readInt32LE(start) - 1;
+  const result = isArray ? [] : {};
+  let offset = start + 4;
+
+  while (offset < end) {
+    const type = buf[offset];
+    const nameEnd = buf.indexOf(0, offset + 1);
+    const key = buf.subarray(offset + 1, nameEnd).toString('utf8');
+    offset = nameEnd + 1;
+
+    let value = null;
+    switch (type) {
+      case 0x01: value = buf.readDoubleLE(offset); offset += 8; break;
+      case 0x02: {
+        const length = buf.readInt32LE(offset);
+        value = buf.subarray(offset + 4, offset + 4 + length - 1).toString('utf8');
+        offset += 4 + length;
+        break;
+      }
+      case 0x03:
+      case 0x04: value = decodeDocument(buf, offset, type === 0x04); offset += buf.readInt32LE(offset); break;
+      case 0x05: {
+        const length = buf.readInt32LE(offset);
+        value = buf.subarray(offset + 5, offset + 5 + length).toString('base64');
+        offset += 5 + length;
+        break;
+      }
+      case 0x07: value = buf.subarray(offset, offset + 12).toString('hex'); offset += 12; break;
+      case 0x08: value = buf[offset] === 1; offset += 1; break;
+      case 0x09: value = new Date(Number(buf.readBigInt64LE(offset))).toISOString(); offset += 8; break;
+      case 0x0a: value = null; break;
+      case 0x10: value = buf.readInt32LE(offset); offset += 4; break;
+      case 0x11: value = Number(buf.readBigUInt64LE(offset) >> 32n); offset += 8; break;
+      case 0x12: value = Number(buf.readBigInt64LE(offset)); offset += 8; break;
+      case 0x13: value = null; offset += 16; break;
+      default:
+        throw new Error(`Unsupported BSON type 0x${type.toString(16)} in field ${key}`);
+    }
+
+    if (isArray) {
+      result.push(value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Send a command as OP_MSG (flags 0, one body section) and return the reply document
+ */
+async function runCommand(connection, command) {
+  const requestId = crypto.randomInt(1, 0x7fffffff);
+  const body = Buffer.concat([Buffer.alloc(4), Buffer.from([0]), encodeDocument(command)]);
+  const header = Buffer.alloc(16);
+  header.writeInt32LE(16 + body.length, 0);
+  header.writeInt32LE(requestId, 4);
+  header.writeInt32LE(0, 8);
+  header.writeInt32LE(OP_MSG, 12);
+  connection.write(Buffer.concat([header, body]));
+
+  const replyHeader = await connection.read(16);
+  const length = replyHeader.readInt32LE(0);
+  if (length < 21 || length > MAX_MESSAGE_SIZE || replyHeader.readInt32LE(12) !== OP_MSG) {
+    throw new Error('Not a MongoDB server (unexpected reply)');
+  }
+  if (replyHeader.readInt32LE(8) !== requestId) {
+    throw new Error('MongoDB reply does not match the request');
+  }
+
+  const reply = await connection.read(length - 16);
+  if (reply[4] !== 0) {
+    throw new Error(`Unexpected OP_MSG section kind ${reply[4]}`);
+  }
+  const doc = decodeDocument(reply, 5);
+  if (doc.ok !== 1) {
+    const error = new Error(`MongoDB ${Object.keys(command)[0]} failed: ${doc.errmsg || `code ${doc.code}`}`);
+    error.mongoCode = doc.code;
+    throw error;
+  }
+  return doc;
+}
+
+/**
+ * Role of the node from a hello reply
+ */
+function describeRole(hello) {
+  if (hello.isWritablePrimary || hello.ismaster) {
+    return hello.setName ? 'primary' : (hello.msg === 'isdbgrid' ? 'mongos' : 'standalone');
+  }
+  if (hello.secondary) {
+    return 'secondary';
+  }
+  if (hello.arbiterOnly) {
+    return 'arbiter';
+  }
+  return 'other';
+}
+
+/**
+ * Health-check a MongoDB server
+ *
+ * @param {string} host - Hostname
+ * @param {number} port - Port
+ * @param {object} options - { lookup, timeoutMs, tls (true | false), servername, expectedRole }
+ * @returns {Promise<object>} { serverVersion, role, replicaSet, maxWireVersion, timings, tls, errors, warnings }
+ */
+async function checkMongo(host, port, options = {}) {
+  const tls = directTlsOption(options.tls, 'MongoDB');
+  const connection = await openDbConnection(host, port, { ...options, tls, protocol: 'MongoDB' });
+
+  try {
+    let hello;
+    try {
+      hello = await runCommand(connection, { hello: 1, $db: 'admin' });
+    } catch (error) {
+      if (error.mongoCode !== COMMAND_NOT_FOUND) {
+        throw error;
+      }
+      // Servers before 4.4.2 (and their backports) only know the legacy name
+      hello = await runCommand(connection, { isMaster: 1, $db: 'admin' });
+    }
+    connection.mark('helloMs');
+    const buildInfo = await runCommand(connection, { buildInfo: 1, $db: 'admin' });
+    connection.mark('queryMs');
+    connection.close();
+
+    const role = describeRole(hello);
+    const errors = [];
+    if (options.expectedRole && role !== options.expectedRole) {
+      errors.push(`Expected role ${options.expectedRole}, server is ${role}`);
+    }
+
+    return {
+      protocol: 'mongodb',
+      serverVersion: buildInfo.version || null,
+      role,
+      replicaSet: hello.setName ? {
+        name: hello.setName,
+        primary: hello.primary || null,
+        hosts: Array.isArray(hello.hosts) ? hello.hosts.length : null,
+      } : null,
+      maxWireVersion: hello.maxWireVersion ?? null,
+      timings: connection.timings,
+      tls: connection.tlsReport(),
+      errors,
+      warnings: [],
+    };
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  checkMongo,
+  encodeDocument,
+  decodeDocument,
+};
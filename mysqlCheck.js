@@ -0,0 +1,324 @@
+/**
+ * MySQL / MariaDB Health Check for StatusBeacon Probe
+ *
+ * Speaks just enough of the client/server protocol for a real check:
+ * - Reads the initial handshake (server version, connection ID)
+ * - Optional TLS via the CLIENT_SSL upgrade (required or preferred)
+ * - Authentication: mysql_native_password and caching_sha2_password
+ *   (fast path, or full auth over TLS / with the server's RSA key), plus auth switch.
+ *   A server offering another plugin first is answered with mysql_native_password,
+ *   so it can switch to whatever the account really uses
+ * - COM_PING once logged in
+ *
+ * Without a user the check stops after the handshake (and the TLS upgrade, if
+ * asked for): the server answered and identified itself, but no login was attempted.
+ */
+
+const crypto = require('crypto');
+const { openDbConnection } = require('./dbSocket');
+
+// Capability flags
+const CLIENT_LONG_PASSWORD = 0x00000001;
+const CLIENT_CONNECT_WITH_DB = 0x00000008;
+const CLIENT_PROTOCOL_41 = 0x00000200;
+const CLIENT_SSL = 0x00000800;
+const CLIENT_TRANSACTIONS = 0x00002000;
+const CLIENT_SECURE_CONNECTION = 0x00008000;
+const CLIENT_PLUGIN_AUTH = 0x00080000;
+const CLIENT_PLUGIN_AUTH_LENENC_CLIENT_DATA = 0x00200000;
+
+const CHARSET_UTF8MB4 = 45;
+const MAX_PACKET_SIZE = 16 * 1024 * 1024;
+
+const COM_QUIT = 0x01;
+const COM_PING = 0x0e;
+
+const SUPPORTED_AUTH_PLUGINS = ['mysql_native_password', 'caching_sha2_password'];
+
+function sha1(...parts) {
+  const hash = crypto.createHash('sha1');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+function xor(a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i % b.length]));
+}
+
+/**
+ * mysql_native_password: SHA1(password) XOR SHA1(scramble + SHA1(SHA1(password)))
+ */
+function scrambleNative(password, scramble) {
+  const stage1 = sha1(password);
+  return xor(stage1, sha1(scramble, sha1(stage1)));
+}
+
+/**
+ * caching_sha2_password: SHA256(password) XOR SHA256(SHA256(SHA256(password)) + scramble)
+ */
+function scrambleCachingSha2(password, scramble) {
+  const stage1 = sha256(password);
+  return xor(stage1, sha256(sha256(stage1), scramble));
+}
+
+function scrambleFor(plugin, password, scramble) {
+  if (!password) {
+    return Buffer.alloc(0);
+  }
+  if (plugin === 'mysql_native_password') {
+    return scrambleNative(password, scramble);
+  }
+  if (plugin === 'caching_sha2_password') {
+    return scrambleCachingSha2(password, scramble);
+  }
+  throw new Error(`Unsupported MySQL authentication plugin: ${plugin}`);
+}
+
+/**
+ * Packets: 3-byte little-endian length, sequence ID, payload
+ */
+function createPacketIo(connection) {
+  let sequence = 0;
+
+  return {
+    async readPacket() {
+      const header = await connection.read(4);
+      const length = header.readUIntLE(0, 3);
+      sequence = (header[3] + 1) & 0xff;
+      return connection.read(length);
+    },
+    writePacket(payload) {
+      const header = Buffer.alloc(4);
+      header.writeUIntLE(payload.length, 0, 3);
+      header[3] = sequence;
+      sequence = (sequence + 1) & 0xff;
+      connection.write(Buffer.concat([header, payload]));
+    },
+    // Each command starts a new sequence
+    resetSequence() {
+      sequence = 0;
+    },
+  };
+}
+
+function parseErrorPacket(packet) {
+  const code = packet.readUInt16LE(1);
+  const hasState = packet[3] === 0x23; // '#'
+  const sqlState = hasState ? packet.subarray(4, 9).toString('ascii') : null;
+  const text = packet.subarray(hasState ? 9 : 3).toString('utf8');
+  const error = new Error(`MySQL error ${code}${sqlState ? ` (${sqlState})` : ''}: ${text}`);
+  error.mysqlCode = code;
+  return error;
+}
+
+function readCString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  const stop = end === -1 ? buf.length : end;
+  return { value: buf.subarray(offset, stop).toString('utf8'), offset: stop + 1 };
+}
+
+/**
+ * Initial Handshake Packet (protocol version 10)
+ */
+function parseHandshake(packet) {
+  if (packet[0] === 0xff) {
+    throw parseErrorPacket(packet);
+  }
+  if (packet[0] !== 10) {
+    throw new Error(`Not a MySQL server (protocol version ${packet[0]})`);
+  }
+
+  let { value: serverVersion, offset } = readCString(packet, 1);
+  const connectionId = packet.readUInt32LE(offset);
+  offset += 4;
+  const scramble1 = packet.subarray(offset, offset + 8);
+  offset += 9; // scramble part 1 + filler
+  let capabilities = packet.readUInt16LE(offset);
+  offset += 2;
+
+  let scramble = scramble1;
+  let authPlugin = 'mysql_native_password';
+  if (packet.length > offset) {
+    offset += 3; // character set, status flags
+    capabilities = (capabilities | (packet.readUInt16LE(offset) << 16)) >>> 0;
+    offset += 2;
+    const scrambleLength = packet[offset];
+    offset += 11; // auth data length + reserved
+    if (capabilities & CLIENT_SECURE_CONNECTION) {
+      const part2Length = Math.max(13, scrambleLength - 8);
+      // The last byte of part 2 is a NUL terminator
+      scramble = Buffer.concat([scramble1, packet.subarray(offset, offset + part2Length - 1)]);
+      offset += part2Length;
+    }
+    if (capabilities & CLIENT_PLUGIN_AUTH) {
+      authPlugin = readCString(packet, offset).value || authPlugin;
+    }
+  }
+
+  return { serverVersion, connectionId, capabilities, scramble, authPlugin };
+}
+
+/**
+ * Drive the authentication exchange until OK or ERR
+ * @param {string} plugin - The plugin the handshake response was computed with
+ */
+async function authenticate(io, connection, handshake, plugin, options) {
+  let scramble = handshake.scramble;
+
+  while (true) {
+    const packet = await io.readPacket();
+
+    if (packet[0] === 0x00) {
+      return plugin;
+    }
+    if (packet[0] === 0xff) {
+      throw parseErrorPacket(packet);
+    }
+
+    // Auth switch: another plugin, with a fresh scramble
+    if (packet[0] === 0xfe) {
+      const switched = readCString(packet, 1);
+      plugin = switched.value;
+      scramble = packet.subarray(switched.offset).subarray(0, 20);
+      io.writePacket(scrambleFor(plugin, options.password, scramble));
+      continue;
+    }
+
+    // caching_sha2_password status: 3 = fast auth OK, 4 = full authentication needed
+    if (packet[0] === 0x01 && plugin === 'caching_sha2_password') {
+      if (packet[1] === 0x03) {
+        continue;
+      }
+      if (packet[1] === 0x04) {
+        const password = Buffer.from(`${options.password || ''}\0`);
+        if (connection.tlsReport()) {
+          io.writePacket(password);
+        } else {
+          // Ask for the server's RSA key and send the password encrypted with it
+          io.writePacket(Buffer.from([0x02]));
+          const keyPacket = await io.readPacket();
+          if (keyPacket[0] !== 0x01) {
+            throw new Error('Server did not send its RSA public key');
+          }
+          io.writePacket(crypto.publicEncrypt({
+            key: keyPacket.subarray(1).toString('ascii'),
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          }, xor(password, scramble)));
+        }
+        continue;
+      }
+    }
+
+    throw new Error(`Unexpected authentication packet 0x${packet[0].toString(16)}`);
+  }
+}
+
+/**
+ * Health-check a MySQL / MariaDB server
+ *
+ * @param {string} host - Hostname
+ * @param {number} port - Port
+ * @param {object} options - { lookup, timeoutMs, tls ('require' | 'prefer' | true | false), servername,
+ *   user, password, database }
+ * @returns {Promise<object>} { serverVersion, connectionId, authPlugin, authenticated, timings, tls, errors, warnings }
+ */
+async function checkMysql(host, port, options = {}) {
+  const connection = await openDbConnection(host, port, { ...options, tls: false, protocol: 'MySQL' });
+  const io = createPacketIo(connection);
+  const tlsMode = options.tls === true ? 'require' : options.tls || 'disable';
+
+  try {
+    const handshake = parseHandshake(await io.readPacket());
+    connection.mark('handshakeMs');
+
+    const result = {
+      protocol: 'mysql',
+      serverVersion: handshake.serverVersion,
+      connectionId: handshake.connectionId,
+      authPlugin: handshake.authPlugin,
+      authenticated: false,
+      timings: connection.timings,
+      tls: null,
+      errors: [],
+      warnings: [],
+    };
+
+    const serverSupportsSsl = Boolean(handshake.capabilities & CLIENT_SSL);
+    if (tlsMode === 'require' && !serverSupportsSsl) {
+      throw new Error('Server does not support SSL');
+    }
+
+    let capabilities = CLIENT_LONG_PASSWORD | CLIENT_PROTOCOL_41 | CLIENT_TRANSACTIONS
+      | CLIENT_SECURE_CONNECTION | CLIENT_PLUGIN_AUTH | CLIENT_PLUGIN_AUTH_LENENC_CLIENT_DATA;
+    if (options.database) {
+      capabilities |= CLIENT_CONNECT_WITH_DB;
+    }
+
+    const header = Buffer.alloc(32);
+    header.writeUInt32LE(capabilities >>> 0, 0);
+    header.writeUInt32LE(MAX_PACKET_SIZE, 4);
+    header[8] = CHARSET_UTF8MB4;
+
+    // 'prefer' falls back to plaintext when the server has no SSL
+    if ((tlsMode === 'require' || tlsMode === 'prefer') && serverSupportsSsl) {
+      // SSLRequest: the first 32 bytes of a handshake response with CLIENT_SSL, then TLS
+      capabilities |= CLIENT_SSL;
+      header.writeUInt32LE(capabilities >>> 0, 0);
+      io.writePacket(header);
+      await connection.startTls(options.servername || host);
+      result.tls = connection.tlsReport();
+    }
+
+    if (!options.user) {
+      connection.close();
+      return result;
+    }
+
+    // A plugin we can't compute a response for gets a mysql_native_password one;
+    // the server answers with an auth switch to the account's plugin
+    const plugin = SUPPORTED_AUTH_PLUGINS.includes(handshake.authPlugin) ? handshake.authPlugin : 'mysql_native_password';
+    const authResponse = scrambleFor(plugin, options.password, handshake.scramble);
+    io.writePacket(Buffer.concat([
+      header,
+      Buffer.from(`${options.user}\0`),
+      Buffer.from([authResponse.length]),
+      authResponse,
+      options.database ? Buffer.from(`${options.database}\0`) : Buffer.alloc(0),
+      Buffer.from(`${plugin}\0`),
+    ]));
+
+    result.authPlugin = await authenticate(io, connection, handshake, plugin, options);
+    result.authenticated = true;
+    connection.mark('authMs');
+
+    io.resetSequence();
+    io.writePacket(Buffer.from([COM_PING]));
+    const pong = await io.readPacket();
+    if (pong[0] === 0xff) {
+      throw parseErrorPacket(pong);
+    }
+    if (pong[0] !== 0x00) {
+      throw new Error(`Unexpected COM_PING reply 0x${pong[0].toString(16)}`);
+    }
+    connection.mark('pingMs');
+
+    connection.close(Buffer.from([1, 0, 0, 0, COM_QUIT]));
+    return result;
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  checkMysql,
+  parseHandshake,
+  scrambleNative,
+  scrambleCachingSha2,
+};
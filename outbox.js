@@ -0,0 +1,457 @@
+/**
+ * Results Outbox for StatusBeacon Probe
+ *
+ * Store-and-forward queue for check results produced outside a live
+ * /check response (e.g. by the scheduler):
+ * - FIFO queue with a size cap (oldest entries dropped first)
+ * - Each entry gets a unique ID and queue timestamp
+ * - Persisted to an append-only journal on disk, so queued results survive restarts
+ * - Delivered upstream in batches with retries, exponential backoff and
+ *   idempotency keys (the receiver can safely dedupe re-sent batches)
+ * - A batch the receiver refuses is split until the one result it can't take
+ *   is found, and only that result is dropped
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const MAX_OUTBOX_ENTRIES = parseInt(process.env.PROBE_OUTBOX_MAX_ENTRIES || '10000', 10);
+const OUTBOX_DIR = process.env.PROBE_OUTBOX_DIR || path.join(__dirname, 'data');
+const OUTBOX_FILE = path.join(OUTBOX_DIR, 'outbox.jsonl');
+
+// Compact the journal once this many acknowledged records have piled up
+const COMPACT_THRESHOLD = 1000;
+
+// Delivery defaults
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 15000;
+
+// Statuses saying the payload itself can never be accepted: the batch is split to
+// find the result at fault (413 just means too big). Anything else (401/403/404
+// from a rotated token or a moved endpoint included) is retried with backoff.
+const REJECTED_PAYLOAD_STATUSES = [400, 413, 422];
+
+// In-memory queue of { id, queuedAt, result } (mirror of the journal)
+const outbox = [];
+let droppedCount = 0;
+let journalWaste = 0;
+let loaded = false;
+
+// Delivery state
+const delivery = {
+  ingestUrl: null,
+  headers: {},
+  batchSize: DEFAULT_BATCH_SIZE,
+  // Entries per request right now: shrinks while a refused batch is split, grows back after successes
+  sendSize: DEFAULT_BATCH_SIZE,
+  pollIntervalMs: DEFAULT_POLL_INTERVAL_MS,
+  meta: {},
+  sign: null,
+  timer: null,
+  sending: false,
+  consecutiveFailures: 0,
+  nextAttemptAt: 0,
+  delivered: 0,
+  rejected: 0,
+  lastError: null,
+  lastDeliveredAt: null,
+};
+
+/**
+ * Append a record to the on-disk journal
+ */
+function appendJournal(record) {
+  try {
+    fs.appendFileSync(OUTBOX_FILE, JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('[Outbox] Failed to write journal:', error.message);
+  }
+}
+
+/**
+ * Rewrite the journal with only pending entries (write temp file, then rename)
+ */
+function compactJournal() {
+  try {
+    const tmpFile = `${OUTBOX_FILE}.tmp`;
+    const lines = outbox.map(entry => JSON.stringify({ op: 'add', entry }) + '\n').join('');
+    fs.writeFileSync(tmpFile, lines);
+    fs.renameSync(tmpFile, OUTBOX_FILE);
+    journalWaste = 0;
+  } catch (error) {
+    console.error('[Outbox] Failed to compact journal:', error.message);
+  }
+}
+
+/**
+ * Load queued entries from disk (replays the journal). Safe to call more than once.
+ */
+function loadOutbox() {
+  if (loaded) {
+    return outbox.length;
+  }
+  loaded = true;
+
+  try {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  } catch (error) {
+    console.error(`[Outbox] Cannot create ${OUTBOX_DIR}:`, error.message);
+    return 0;
+  }
+
+  if (!fs.existsSync(OUTBOX_FILE)) {
+    return 0;
+  }
+
+  const pending = new Map();
+  const lines = fs.readFileSync(OUTBOX_FILE, 'utf8').split('\n');
+
+  for (const line of lines) {
+    if (!line) {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // Torn write from a crash - skip the partial line
+      continue;
+    }
+
+    if (record.op === 'add' && record.entry) {
+      pending.set(record.entry.id, record.entry);
+    } else if (record.op === 'ack' && Array.isArray(record.ids)) {
+      for (const id of record.ids) {
+        pending.delete(id);
+      }
+    }
+  }
+
+  outbox.push(...pending.values());
+  while (outbox.length > MAX_OUTBOX_ENTRIES) {
+    outbox.shift();
+    droppedCount++;
+  }
+
+  compactJournal();
+
+  if (outbox.length > 0) {
+    console.log(`[Outbox] Restored ${outbox.length} queued results from ${OUTBOX_FILE}`);
+  }
+  return outbox.length;
+}
+
+/**
+ * Remove entries by ID and record the removal in the journal
+ */
+function acknowledge(ids) {
+  if (ids.length === 0) {
+    return;
+  }
+
+  const idSet = new Set(ids);
+  let removed = 0;
+  for (let i = outbox.length - 1; i >= 0; i--) {
+    if (idSet.has(outbox[i].id)) {
+      outbox.splice(i, 1);
+      removed++;
+    }
+  }
+
+  if (removed === 0) {
+    return;
+  }
+
+  appendJournal({ op: 'ack', ids });
+  journalWaste += removed;
+  if (journalWaste >= COMPACT_THRESHOLD) {
+    compactJournal();
+  }
+}
+
+/**
+ * Add a result to the outbox
+ */
+function enqueueResult(result) {
+  loadOutbox();
+
+  const entry = {
+    id: crypto.randomUUID(),
+    queuedAt: new Date().toISOString(),
+    result,
+  };
+
+  outbox.push(entry);
+  appendJournal({ op: 'add', entry });
+
+  // Drop oldest entries when over capacity
+  if (outbox.length > MAX_OUTBOX_ENTRIES) {
+    const overflow = outbox.slice(0, outbox.length - MAX_OUTBOX_ENTRIES).map(e => e.id);
+    droppedCount += overflow.length;
+    acknowledge(overflow);
+  }
+
+  scheduleDelivery(0);
+  return entry;
+}
+
+/**
+ * Look at queued entries without removing them
+ */
+function peekResults(limit = 100) {
+  loadOutbox();
+  return outbox.slice(0, limit);
+}
+
+/**
+ * Hand up to `limit` of the oldest entries to `send`, and remove them once it
+ * resolves. If `send` throws or rejects the entries stay queued. Two drains
+ * running at the same time can hand out the same entries (at-least-once, like
+ * delivery - receivers dedupe on entry ID).
+ *
+ * @param {number} limit - Maximum entries to hand out
+ * @param {Function} send - async (entries) => void
+ * @returns {Promise<Array>} The entries that were sent and removed
+ */
+async function drainResults(limit = 100, send) {
+  loadOutbox();
+  const entries = outbox.slice(0, limit);
+  await send(entries);
+  acknowledge(entries.map(entry => entry.id));
+  return entries;
+}
+
+/**
+ * Idempotency key for a batch - the same entries always produce the same key,
+ * so a batch re-sent after a timeout or restart can be deduplicated upstream
+ */
+function batchIdempotencyKey(entries) {
+  return crypto.createHash('sha256').update(entries.map(entry => entry.id).join(',')).digest('hex');
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function computeBackoffMs(failures, retryAfterSeconds) {
+  if (retryAfterSeconds) {
+    return Math.min(retryAfterSeconds * 1000, MAX_BACKOFF_MS);
+  }
+  const ceiling = Math.min(BASE_BACKOFF_MS * 2 ** (failures - 1), MAX_BACKOFF_MS);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * POST a JSON body, resolving with { statusCode, headers }
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const httpModule = parsedUrl.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+
+    const req = httpModule.request(parsedUrl, {
+      method: 'POST',
+      timeout: DELIVERY_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers,
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers }));
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error('Delivery timeout'));
+    });
+
+    req.end(payload);
+  });
+}
+
+/**
+ * Send the oldest batch upstream. Returns true if more work is ready right away.
+ */
+async function deliverBatch() {
+  const entries = outbox.slice(0, delivery.sendSize);
+  if (entries.length === 0) {
+    return false;
+  }
+
+  const idempotencyKey = batchIdempotencyKey(entries);
+
+  const body = {
+    ...delivery.meta,
+    batchId: idempotencyKey,
+    results: entries,
+  };
+
+  let response;
+  try {
+    response = await postJson(delivery.ingestUrl, delivery.sign ? delivery.sign(body) : body, {
+      ...delivery.headers,
+      'Idempotency-Key': idempotencyKey,
+    });
+  } catch (error) {
+    response = { statusCode: 0, error: error.message };
+  }
+
+  const { statusCode } = response;
+
+  if (statusCode >= 200 && statusCode < 300) {
+    acknowledge(entries.map(entry => entry.id));
+    delivery.delivered += entries.length;
+    delivery.consecutiveFailures = 0;
+    delivery.lastError = null;
+    delivery.lastDeliveredAt = new Date().toISOString();
+    delivery.sendSize = Math.min(delivery.sendSize * 2, delivery.batchSize);
+    return outbox.length > 0;
+  }
+
+  // The receiver refused this payload: halve the batch and send the first half
+  // again right away, until the refused result is on its own
+  if (REJECTED_PAYLOAD_STATUSES.includes(statusCode) && entries.length > 1) {
+    delivery.sendSize = Math.ceil(entries.length / 2);
+    console.warn(`[Outbox] Ingest refused batch of ${entries.length} with ${statusCode} - retrying in batches of ${delivery.sendSize}`);
+    return true;
+  }
+
+  // A single result the receiver can never take - drop it
+  if (REJECTED_PAYLOAD_STATUSES.includes(statusCode)) {
+    console.error(`[Outbox] Ingest rejected result ${entries[0].id} with ${statusCode} - dropping`);
+    acknowledge([entries[0].id]);
+    delivery.rejected++;
+    delivery.lastError = `Rejected with status ${statusCode}`;
+    delivery.sendSize = Math.min(delivery.sendSize * 2, delivery.batchSize);
+    return outbox.length > 0;
+  }
+
+  delivery.consecutiveFailures++;
+  delivery.lastError = response.error || `Ingest returned status ${statusCode}`;
+
+  const retryAfter = parseInt(response.headers?.['retry-after'], 10);
+  const backoffMs = computeBackoffMs(delivery.consecutiveFailures, Number.isFinite(retryAfter) ? retryAfter : null);
+  delivery.nextAttemptAt = Date.now() + backoffMs;
+
+  console.warn(`[Outbox] Delivery failed (${delivery.lastError}), retry #${delivery.consecutiveFailures} in ${backoffMs}ms`);
+  return false;
+}
+
+/**
+ * Run delivery until the queue is empty or a send fails
+ */
+async function runDelivery() {
+  delivery.timer = null;
+
+  if (!delivery.ingestUrl || delivery.sending) {
+    return;
+  }
+
+  const waitMs = delivery.nextAttemptAt - Date.now();
+  if (waitMs > 0) {
+    scheduleDelivery(waitMs);
+    return;
+  }
+
+  delivery.sending = true;
+  try {
+    while (await deliverBatch()) {
+      // Keep sending while batches are accepted
+    }
+  } finally {
+    delivery.sending = false;
+  }
+
+  const retryInMs = Math.max(delivery.nextAttemptAt - Date.now(), 0);
+  scheduleDelivery(outbox.length > 0 && retryInMs > 0 ? retryInMs : delivery.pollIntervalMs);
+}
+
+function scheduleDelivery(delayMs) {
+  if (!delivery.ingestUrl || delivery.sending) {
+    return;
+  }
+
+  // Keep an earlier wake-up if one is already pending
+  if (delivery.timer) {
+    if (delayMs > 0) {
+      return;
+    }
+    clearTimeout(delivery.timer);
+  }
+
+  delivery.timer = setTimeout(runDelivery, delayMs);
+  delivery.timer.unref();
+}
+
+/**
+ * Start pushing queued results to an ingest URL
+ * @param {object} options - { ingestUrl, headers, batchSize, pollIntervalMs, meta, sign }
+ *   `meta` fields (e.g. region) are merged into every batch body
+ *   `sign` optionally wraps each batch body before sending (e.g. in a signed envelope)
+ */
+function startDelivery(options) {
+  loadOutbox();
+
+  delivery.ingestUrl = options.ingestUrl;
+  delivery.headers = options.headers || {};
+  delivery.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  delivery.sendSize = delivery.batchSize;
+  delivery.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+  delivery.meta = options.meta || {};
+  delivery.sign = options.sign || null;
+
+  console.log(`[Outbox] Delivering results to ${delivery.ingestUrl} (batch size ${delivery.batchSize})`);
+  scheduleDelivery(0);
+}
+
+function stopDelivery() {
+  if (delivery.timer) {
+    clearTimeout(delivery.timer);
+    delivery.timer = null;
+  }
+  delivery.ingestUrl = null;
+}
+
+/**
+ * Get outbox statistics
+ */
+function getOutboxStats() {
+  loadOutbox();
+
+  return {
+    size: outbox.length,
+    maxEntries: MAX_OUTBOX_ENTRIES,
+    dropped: droppedCount,
+    oldestQueuedAt: outbox.length > 0 ? outbox[0].queuedAt : null,
+    file: OUTBOX_FILE,
+    delivery: {
+      enabled: Boolean(delivery.ingestUrl),
+      delivered: delivery.delivered,
+      rejected: delivery.rejected,
+      consecutiveFailures: delivery.consecutiveFailures,
+      nextAttemptAt: delivery.nextAttemptAt > Date.now() ? new Date(delivery.nextAttemptAt).toISOString() : null,
+      lastDeliveredAt: delivery.lastDeliveredAt,
+      lastError: delivery.lastError,
+    },
+  };
+}
+
+module.exports = {
+  loadOutbox,
+  enqueueResult,
+  peekResults,
+  drainResults,
+  startDelivery,
+  stopDelivery,
+  getOutboxStats,
+};
@@ -0,0 +1,347 @@
+/**
+ * PostgreSQL Health Check for StatusBeacon Probe
+ *
+ * Speaks just enough of the v3 frontend/backend protocol for a real check:
+ * - Optional SSL via SSLRequest (required or preferred)
+ * - Startup and authentication: trust, cleartext, MD5 and SCRAM-SHA-256
+ * - A simple query (default SELECT 1) that has to return a row
+ * - Server version and hot-standby state from the startup parameters
+ * - Role and replication assertions: expected role (primary / standby), WAL
+ *   receiver streaming, replay lag, minimum streaming replicas
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { openDbConnection } = require('./dbSocket');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PROTOCOL_VERSION = 196608; // 3.0
+const SSL_REQUEST_CODE = 80877103;
+
+// Authentication request codes ('R' messages)
+const AUTH_OK = 0;
+const AUTH_CLEARTEXT = 3;
+const AUTH_MD5 = 5;
+const AUTH_SASL = 10;
+const AUTH_SASL_CONTINUE = 11;
+const AUTH_SASL_FINAL = 12;
+
+// Asked only when the check makes a role or replication assertion
+const REPLICATION_QUERY = `SELECT pg_is_in_recovery(),
+  EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()),
+  (SELECT status FROM pg_stat_wal_receiver LIMIT 1),
+  (SELECT count(*) FROM pg_stat_replication WHERE state = 'streaming')`;
+
+// The server picks the SCRAM iteration count; PostgreSQL's default is 4096
+const MAX_SCRAM_ITERATIONS = parseInt(process.env.PROBE_DB_MAX_SCRAM_ITERATIONS || '100000', 10);
+
+/**
+ * Frontend message: type byte, int32 length (including itself), body
+ */
+function message(type, body) {
+  const header = Buffer.alloc(type ? 5 : 4);
+  if (type) {
+    header.write(type, 0, 'ascii');
+  }
+  header.writeInt32BE(body.length + 4, type ? 1 : 0);
+  return Buffer.concat([header, body]);
+}
+
+function cString(value) {
+  return Buffer.from(`${value}\0`, 'utf8');
+}
+
+async function readMessage(connection) {
+  const header = await connection.read(5);
+  const type = String.fromCharCode(header[0]);
+  const length = header.readInt32BE(1);
+  if (length < 4 || length > 16 * 1024 * 1024) {
+    throw new Error(`Not a PostgreSQL server (invalid message length ${length})`);
+  }
+  return { type, body: await connection.read(length - 4) };
+}
+
+/**
+ * ErrorResponse / NoticeResponse fields: S severity, C SQLSTATE, M message
+ */
+function parseErrorFields(body) {
+  const fields = {};
+  let position = 0;
+  while (position < body.length && body[position] !== 0) {
+    const code = String.fromCharCode(body[position]);
+    const end = body.indexOf(0, position + 1);
+    fields[code] = body.subarray(position + 1, end).toString('utf8');
+    position = end + 1;
+  }
+  return fields;
+}
+
+function serverError(body) {
+  const fields = parseErrorFields(body);
+  const error = new Error(`PostgreSQL error${fields.C ? ` ${fields.C}` : ''}: ${fields.M || 'unknown error'}`);
+  error.sqlState = fields.C;
+  return error;
+}
+
+function md5Hex(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * SCRAM-SHA-256 (RFC 7677) without channel binding
+ */
+async function authenticateScram(connection, mechanisms, user, password) {
+  if (!mechanisms.includes('SCRAM-SHA-256')) {
+    throw new Error(`No supported SASL mechanism (server offers ${mechanisms.join(', ')})`);
+  }
+
+  const clientNonce = crypto.randomBytes(18).toString('base64');
+  // The user name is taken from the startup message, so it is left empty here
+  const clientFirstBare = `n=,r=${clientNonce}`;
+  const clientFirst = Buffer.from(`n,,${clientFirstBare}`);
+  const initial = Buffer.concat([cString('SCRAM-SHA-256'), Buffer.alloc(4), clientFirst]);
+  initial.writeInt32BE(clientFirst.length, 'SCRAM-SHA-256'.length + 1);
+  connection.write(message('p', initial));
+
+  const serverFirstMessage = await expectAuth(connection, AUTH_SASL_CONTINUE);
+  const serverFirst = serverFirstMessage.toString('utf8');
+  const attributes = Object.fromEntries(serverFirst.split(',').map(part => [part[0], part.slice(2)]));
+  if (!attributes.r || !attributes.r.startsWith(clientNonce) || !attributes.s || !attributes.i) {
+    throw new Error('Invalid SCRAM server-first message');
+  }
+
+  const iterations = Number(attributes.i);
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_SCRAM_ITERATIONS) {
+    throw new Error(`SCRAM iteration count ${attributes.i} outside 1-${MAX_SCRAM_ITERATIONS}`);
+  }
+
+  // Off the event loop, so the connection deadline can still fire
+  const saltedPassword = await pbkdf2(password, Buffer.from(attributes.s, 'base64'), iterations, 32, 'sha256');
+  const clientKey = hmac(saltedPassword, 'Client Key');
+  const storedKey = crypto.createHash('sha256').update(clientKey).digest();
+  const clientFinalWithoutProof = `c=biws,r=${attributes.r}`;
+  const authMessage = `${clientFirstBare},${serverFirst},${clientFinalWithoutProof}`;
+  const clientSignature = hmac(storedKey, authMessage);
+  const proof = Buffer.from(clientKey.map((byte, i) => byte ^ clientSignature[i]));
+
+  connection.write(message('p', Buffer.from(`${clientFinalWithoutProof},p=${proof.toString('base64')}`)));
+
+  const serverFinal = (await expectAuth(connection, AUTH_SASL_FINAL)).toString('utf8');
+  const expectedSignature = hmac(hmac(saltedPassword, 'Server Key'), authMessage).toString('base64');
+  if (serverFinal !== `v=${expectedSignature}`) {
+    throw new Error('SCRAM server signature mismatch - server could not prove it knows the password');
+  }
+}
+
+/**
+ * Read an authentication message with the given code; returns its payload
+ */
+async function expectAuth(connection, code) {
+  const { type, body } = await readMessage(connection);
+  if (type === 'E') {
+    throw serverError(body);
+  }
+  if (type !== 'R' || body.readInt32BE(0) !== code) {
+    throw new Error(`Unexpected authentication message ${type}${type === 'R' ? ` (${body.readInt32BE(0)})` : ''}`);
+  }
+  return body.subarray(4);
+}
+
+/**
+ * Run a simple query; returns the row count, the first row's values (as text) and the command tag
+ */
+async function runQuery(connection, query) {
+  connection.write(message('Q', cString(query)));
+
+  let rows = 0;
+  let firstRow = null;
+  let commandTag = null;
+  let queryError = null;
+  while (true) {
+    const { type, body } = await readMessage(connection);
+    if (type === 'D') {
+      if (rows === 0) {
+        firstRow = [];
+        let offset = 2;
+        for (let column = 0; column < body.readInt16BE(0); column++) {
+          const length = body.readInt32BE(offset);
+          offset += 4;
+          firstRow.push(length < 0 ? null : body.subarray(offset, offset + length).toString('utf8'));
+          offset += Math.max(length, 0);
+        }
+      }
+      rows++;
+    } else if (type === 'C') {
+      commandTag = body.subarray(0, body.length - 1).toString('utf8');
+    } else if (type === 'E') {
+      queryError = serverError(body);
+    } else if (type === 'Z') {
+      break;
+    }
+  }
+
+  if (queryError) {
+    throw queryError;
+  }
+  return { rows, firstRow, commandTag };
+}
+
+/**
+ * Health-check a PostgreSQL server
+ *
+ * @param {string} host - Hostname
+ * @param {number} port - Port
+ * @param {object} options - { lookup, timeoutMs, tls ('require' | 'prefer' | true | false), servername,
+ *   user, password, database, query, expectedRole ('primary' | 'standby'), maxReplicationLagSeconds, minConnectedReplicas }
+ * @returns {Promise<object>} { serverVersion, inRecovery, role, replication, queryResult, timings, tls, errors, warnings }
+ */
+async function checkPostgres(host, port, options = {}) {
+  const connection = await openDbConnection(host, port, { ...options, tls: false, protocol: 'PostgreSQL' });
+  const tlsMode = options.tls === true ? 'require' : options.tls || 'disable';
+  const user = options.user || 'postgres';
+  const parameters = {};
+
+  try {
+    if (tlsMode === 'require' || tlsMode === 'prefer') {
+      const request = Buffer.alloc(8);
+      request.writeInt32BE(8, 0);
+      request.writeInt32BE(SSL_REQUEST_CODE, 4);
+      connection.write(request);
+
+      const answer = String.fromCharCode((await connection.read(1))[0]);
+      if (answer === 'S') {
+        await connection.startTls(options.servername || host);
+      } else if (answer !== 'N') {
+        throw new Error(`Not a PostgreSQL server (unexpected SSLRequest answer ${JSON.stringify(answer)})`);
+      } else if (tlsMode === 'require') {
+        throw new Error('Server does not support SSL');
+      }
+    }
+
+    const startup = Buffer.concat([
+      Buffer.from([0, 0, 0, 0]),
+      cString('user'), cString(user),
+      cString('database'), cString(options.database || user),
+      cString('application_name'), cString('statusbeacon-probe'),
+      Buffer.from([0]),
+    ]);
+    startup.writeInt32BE(PROTOCOL_VERSION, 0);
+    connection.write(message(null, startup));
+
+    // Authentication, then parameters until ReadyForQuery
+    while (true) {
+      const { type, body } = await readMessage(connection);
+
+      if (type === 'E') {
+        throw serverError(body);
+      }
+      if (type === 'R') {
+        const code = body.readInt32BE(0);
+        if (code === AUTH_OK) {
+          connection.mark('authMs');
+          continue;
+        }
+        if (!options.password) {
+          throw new Error('Server requires a password');
+        }
+        if (code === AUTH_CLEARTEXT) {
+          connection.write(message('p', cString(options.password)));
+        } else if (code === AUTH_MD5) {
+          const salt = body.subarray(4, 8);
+          const hash = md5Hex(Buffer.concat([Buffer.from(md5Hex(options.password + user)), salt]));
+          connection.write(message('p', cString(`md5${hash}`)));
+        } else if (code === AUTH_SASL) {
+          const mechanisms = body.subarray(4).toString('utf8').split('\0').filter(Boolean);
+          await authenticateScram(connection, mechanisms, user, options.password);
+        } else {
+          throw new Error(`Unsupported authentication method (code ${code})`);
+        }
+        continue;
+      }
+      if (type === 'S') {
+        const [name, value] = body.toString('utf8').split('\0');
+        parameters[name] = value;
+        continue;
+      }
+      if (type === 'Z') {
+        break;
+      }
+      // BackendKeyData, NoticeResponse, ... aren't needed
+    }
+
+    const query = options.query || 'SELECT 1';
+    const { rows, firstRow, commandTag } = await runQuery(connection, query);
+    connection.mark('queryMs');
+
+    const replicationRow = options.expectedRole || options.maxReplicationLagSeconds !== undefined || options.minConnectedReplicas !== undefined
+      ? (await runQuery(connection, REPLICATION_QUERY)).firstRow
+      : null;
+    if (replicationRow) {
+      connection.mark('replicationMs');
+    }
+    connection.close(message('X', Buffer.alloc(0)));
+
+    const errors = [];
+    const warnings = [];
+    if (rows === 0) {
+      errors.push(`Query returned no rows: ${query}`);
+    }
+
+    // Reported as a startup parameter from PostgreSQL 14 on
+    let inRecovery = parameters.in_hot_standby !== undefined ? parameters.in_hot_standby === 'on' : null;
+    let role = null;
+    let replication;
+    if (replicationRow) {
+      inRecovery = replicationRow[0] === 't';
+      role = inRecovery ? 'standby' : 'primary';
+      replication = {
+        // Time since the last replayed transaction; null before anything was replayed
+        replayLagSeconds: replicationRow[1] !== null ? Math.round(parseFloat(replicationRow[1]) * 1000) / 1000 : null,
+        walReceiverStatus: replicationRow[2],
+        connectedReplicas: parseInt(replicationRow[3], 10),
+      };
+
+      const expectedRole = options.expectedRole === 'replica' ? 'standby' : options.expectedRole;
+      if (expectedRole && role !== expectedRole) {
+        errors.push(`Expected role ${expectedRole}, server is ${role}`);
+      }
+
+      if (role === 'standby') {
+        if (replication.walReceiverStatus !== 'streaming') {
+          errors.push(`WAL receiver is ${replication.walReceiverStatus || 'not running'}`);
+        } else if (options.maxReplicationLagSeconds !== undefined && replication.replayLagSeconds > options.maxReplicationLagSeconds) {
+          warnings.push(`Last replayed transaction ${replication.replayLagSeconds}s ago exceeds ${options.maxReplicationLagSeconds}s`);
+        }
+      }
+
+      if (role === 'primary' && options.minConnectedReplicas !== undefined && replication.connectedReplicas < options.minConnectedReplicas) {
+        warnings.push(`${replication.connectedReplicas} streaming replicas, expected at least ${options.minConnectedReplicas}`);
+      }
+    }
+
+    return {
+      protocol: 'postgres',
+      serverVersion: parameters.server_version || null,
+      inRecovery,
+      role,
+      replication,
+      queryResult: { rows, firstValue: firstRow ? firstRow[0] : null, commandTag },
+      timings: connection.timings,
+      tls: connection.tlsReport(),
+      errors,
+      warnings,
+    };
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  checkPostgres,
+};
@@ -21,18 +21,90 @@ const { URL } = require('url');
 const { getHeadersObject } = require('./userAgents');
 const { detectRateLimit } = require('./rateLimitDetection');
 const { detectGeoBlocking, getBlockingMessage } = require('./geoBlockDetection');
-const { resolveDns, extractHostname } = require('./dnsMonitoring');
+const { resolveDns, extractHostname, createStaticLookup, isIpAddress, parseResolveOverrides, findResolveOverride } = require('./dnsMonitoring');
+const { parseServerAddress } = require('./dnsClient');
+const { checkDnsRecords, clearDnsHistory } = require('./dnsRecordCheck');
+const { queryResolvers, describeResolverReport, resolveHostWithResolvers } = require('./dnsResolvers');
 const { getCookieHeader, storeCookies } = require('./cookieJar');
 const { followRedirects, detectGeoRedirect, REDIRECT_STATUS_CODES } = require('./redirectTracking');
 const { validateContent } = require('./contentValidation');
+const { summarizeTimings } = require('./timingBreakdown');
+const { HTTP_VERSIONS } = require('./http2Request');
+const { buildRequestBody, applyBodyHeaders } = require('./requestBody');
+const { createTargetAuth } = require('./targetAuth');
+const { LATENCY_STATISTICS, computeLatencyStats, computePhaseStats } = require('./latencyStats');
+const { measureTcpSeries, evaluateTcpSeries } = require('./tcpSeries');
+const { runTcpExchange } = require('./tcpProtocol');
+const { runUdpCheck, validateUdpCheck, getPresetPort } = require('./udpCheck');
+const { checkPostgres } = require('./postgresCheck');
+const { checkMysql } = require('./mysqlCheck');
+const { checkRedis } = require('./redisCheck');
+const { checkMongo } = require('./mongoCheck');
+const { runWebSocketCheck } = require('./websocketCheck');
+const { runGrpcHealthCheck } = require('./grpcCheck');
+const { runTransaction } = require('./transactionCheck');
+const { inspectTlsEndpoint, evaluateTlsReport } = require('./tlsInspection');
+const { assertEgressAllowed, isEgressBlocked, getEgressPolicy } = require('./egressPolicy');
+const { isSignedRequest, verifySignedRequest, isSigningEnabled, secretsMatch } = require('./requestSigning');
+const { createProbeServer, isMutualTlsEnabled, getClientCertificateName, getListenerStats } = require('./tlsListener');
+const { loadResultSigningKey, signResult, getResultSigningPublicKey } = require('./resultSigning');
+const { runWithConfirmation } = require('./confirmation');
+const { runBatch } = require('./batchRunner');
+const scheduler = require('./scheduler');
+const { recordCheckResult, renderMetrics } = require('./metrics');
+const { loadOutbox, enqueueResult, peekResults, drainResults, startDelivery, getOutboxStats } = require('./outbox');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  limit: '1mb',
+  // Keep the exact bytes received - signed requests hash the raw body
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 const PORT = process.env.PROBE_PORT || 3002;
 const PROBE_SECRET = process.env.PROBE_SECRET || '';
 const PROBE_REGION = process.env.PROBE_REGION || 'unknown';
 
+// Static bearer tokens: accepted by default only while no signing keys are configured;
+// with keys, the bearer secret is a legacy path callers opt into (PROBE_ALLOW_BEARER=true)
+const ALLOW_BEARER = process.env.PROBE_ALLOW_BEARER
+  ? process.env.PROBE_ALLOW_BEARER === 'true'
+  : !isSigningEnabled();
+
+// With mutual TLS, also require the secret / a signature on top of the client certificate
+const TLS_REQUIRE_SECRET = process.env.PROBE_TLS_REQUIRE_SECRET === 'true';
+
+// Wrap every result response in a signed envelope (callers can also ask per request)
+const SIGN_RESULTS = process.env.PROBE_SIGN_RESULTS === 'true';
+
+// Batch checks
+const BATCH_MAX_ITEMS = parseInt(process.env.PROBE_BATCH_MAX_ITEMS || '500', 10);
+const BATCH_MAX_CONCURRENCY = parseInt(process.env.PROBE_BATCH_MAX_CONCURRENCY || '10', 10);
+const BATCH_DEFAULT_BUDGET_SECONDS = parseInt(process.env.PROBE_BATCH_TIME_BUDGET_SECONDS || '60', 10);
+const BATCH_MAX_BUDGET_SECONDS = parseInt(process.env.PROBE_BATCH_MAX_TIME_BUDGET_SECONDS || '300', 10);
+
+// Autonomous scheduling
+const SCHEDULE_URL = process.env.PROBE_SCHEDULE_URL || '';
+const SCHEDULE_REFRESH_SECONDS = parseInt(process.env.PROBE_SCHEDULE_REFRESH_SECONDS || '300', 10);
+
+// Store-and-forward result delivery
+const INGEST_URL = process.env.PROBE_INGEST_URL || '';
+const INGEST_TOKEN = process.env.PROBE_INGEST_TOKEN || PROBE_SECRET;
+const INGEST_BATCH_SIZE = parseInt(process.env.PROBE_INGEST_BATCH_SIZE || '100', 10);
+
+// Per-IP fan-out checks
+const FANOUT_MAX_IPS = parseInt(process.env.PROBE_FANOUT_MAX_IPS || '16', 10);
+
+// Multi-sample latency checks
+const SAMPLING_MAX_SAMPLES = parseInt(process.env.PROBE_SAMPLING_MAX_SAMPLES || '20', 10);
+const SAMPLING_MAX_CONCURRENCY = parseInt(process.env.PROBE_SAMPLING_MAX_CONCURRENCY || '5', 10);
+
+// TCP handshake series (tcp_ping loss / jitter)
+const TCP_SERIES_MAX_COUNT = parseInt(process.env.PROBE_TCP_SERIES_MAX_COUNT || '100', 10);
+const TCP_SERIES_MIN_INTERVAL_MS = 50;
+
 // Geo-blocking detection
 const GEO_BLOCKING_STATUS_CODES = [403, 451, 406];
 const GEO_BLOCKING_PATTERNS = [
@@ -84,15 +156,173 @@ interface ProbeRequest {
   method: string;
   monitorType: string;
   timeoutSeconds: number;
+  // Target for tcp_ping / dns / tls checks
+  host?: string;
+  port?: number;
   expectedStatus?: number;
   headers?: Record<string, string>;
+  // HTTP checks: request body - a string is sent as text/plain (see requestBody.js)
+  body?: string | {
+    type: 'raw' | 'json' | 'form' | 'multipart';
+    content?: any;
+    contentType?: string;
+    files?: Array<{ name: string; filename?: string; contentType?: string; content: string; encoding?: 'utf8' | 'base64' }>;
+  };
+  // HTTP / transaction checks: credentials for the target (see targetAuth.js)
+  auth?: {
+    type: 'basic' | 'bearer' | 'digest' | 'oauth2' | 'sigv4';
+    username?: string;
+    password?: string;
+    token?: string;
+    tokenUrl?: string;
+    clientId?: string;
+    clientSecret?: string;
+    clientAuth?: 'basic' | 'body';
+    scope?: string | string[];
+    audience?: string;
+    accessKeyId?: string;
+    secretAccessKey?: string;
+    sessionToken?: string;
+    region?: string;
+    service?: string;
+  };
   pingPort?: number;
   ignoreSslErrors?: boolean;
   degradedThresholdMs?: number;
   enableCookies?: boolean;
   cookieTtlSeconds?: number;
+  // HTTP checks: 'h1' (default), 'h2', or 'auto' to let ALPN decide like a browser
+  httpVersion?: 'h1' | 'h2' | 'auto';
   // Content validation configuration
   contentValidation?: any;
+  // DNS monitor configuration (monitorType 'dns')
+  dnsCheck?: {
+    recordType: 'A' | 'AAAA' | 'CNAME' | 'MX' | 'TXT' | 'NS' | 'SOA' | 'CAA' | 'SRV';
+    expectedValues?: string[];
+    matchMode?: 'exact' | 'contains' | 'regex';
+    minTtl?: number;
+    maxTtl?: number;
+    onChange?: 'up' | 'degraded' | 'down';
+    onDisagreement?: 'up' | 'degraded' | 'down';
+  };
+  // Resolvers to use instead of the system resolver (udp/tcp/DoH/DoT specs, see dnsResolvers.js)
+  resolvers?: Array<string | Record<string, any>>;
+  // Pin hostnames to IPs on every hop, keeping Host header and SNI (curl --resolve style)
+  resolve?: Record<string, string | string[]> | string[];
+  // Run the check once against every IP of the target hostname
+  fanOut?: boolean;
+  // Certificate expiry thresholds (HTTPS and 'tls' checks)
+  tlsCheck?: {
+    expiryDegradedDays?: number;
+    expiryDownDays?: number;
+    servername?: string;
+  };
+  // Re-check before reporting down (see confirmation.js)
+  confirmation?: {
+    retries: number;
+    delayMs?: number;
+    quorum?: number;
+    freshConnection?: boolean;
+    freshDns?: boolean;
+  };
+  // Run the HTTP check several times and judge latency on the distribution
+  sampling?: {
+    samples: number;
+    concurrency?: number;
+    intervalMs?: number;
+    degradedStatistic?: 'min' | 'median' | 'p95' | 'max' | 'mean';
+    minSuccessRatio?: number;
+    freshConnection?: boolean;
+  };
+  // tcp_ping: N handshakes at an interval, reporting loss and jitter
+  tcpSeries?: {
+    count: number;
+    intervalMs?: number;
+    timeoutMs?: number;
+    lossDegradedPercent?: number;
+    lossDownPercent?: number;
+    jitterDegradedMs?: number;
+    jitterDownMs?: number;
+  };
+  // tcp_ping: send a payload / read the reply / assert it, optionally over TLS (see tcpProtocol.js)
+  tcpExchange?: {
+    send?: string;
+    sendEncoding?: 'utf8' | 'hex' | 'base64';
+    expect?: string;
+    expectRegex?: string;
+    maxBytes?: number;
+    readTimeoutMs?: number;
+    tls?: boolean;
+    starttls?: 'smtp' | 'imap' | 'pop3';
+    servername?: string;
+  };
+  // UDP request/response check (monitorType 'udp', see udpCheck.js)
+  udpCheck?: {
+    preset?: 'ntp' | 'dns';
+    payload?: string;
+    payloadEncoding?: 'utf8' | 'hex' | 'base64';
+    expect?: string;
+    expectRegex?: string;
+    expectHex?: string;
+    attempts?: number;
+    dnsName?: string;
+    dnsType?: string;
+  };
+  // Database / cache checks (monitorType 'postgres', 'mysql', 'redis', 'mongodb')
+  database?: {
+    user?: string;
+    password?: string;
+    database?: string;
+    tls?: boolean | 'require' | 'prefer';
+    servername?: string;
+    query?: string;
+    expectedRole?: string;
+    maxReplicationLagSeconds?: number;
+    minConnectedReplicas?: number;
+  };
+  // Upgrade handshake plus message exchange (monitorType 'websocket', see websocketCheck.js)
+  websocket?: {
+    subprotocols?: string[];
+    messages?: Array<{
+      send?: string | Record<string, any>;
+      sendEncoding?: 'utf8' | 'hex' | 'base64';
+      expect?: string;
+      expectRegex?: string;
+      expectJson?: Record<string, any>;
+      timeoutMs?: number;
+      waitForReply?: boolean;
+    }>;
+  };
+  // gRPC health service call (monitorType 'grpc', see grpcCheck.js)
+  grpc?: {
+    service?: string;
+    tls?: boolean;
+    metadata?: Record<string, string>;
+    servername?: string;
+  };
+  // Ordered HTTP steps sharing variables and the cookie jar (monitorType 'transaction', see transactionCheck.js)
+  transaction?: {
+    variables?: Record<string, string>;
+    resetCookies?: boolean;
+    steps: Array<{
+      name?: string;
+      url: string;
+      method?: string;
+      headers?: Record<string, string>;
+      body?: ProbeRequest['body'];
+      timeout?: number;
+      followRedirects?: boolean;
+      auth?: boolean;
+      expectedStatus?: number | number[];
+      maxResponseTimeMs?: number;
+      degradedThresholdMs?: number;
+      contentValidation?: any;
+      extract?: Record<string, { json?: string; regex?: string; group?: number; header?: string }>;
+    }>;
+  };
+  // Set on confirmation retries: skip pooled connections / the DNS cache
+  freshConnection?: boolean;
+  freshDns?: boolean;
 }
 
 interface ProbeResult {
@@ -110,6 +340,12 @@ interface ProbeResult {
   contentHash?: string;
   validationErrors?: string[];
   responseSize?: number;
+  // Bytes of request body sent with the first request
+  requestSize?: number;
+  // Auth type used and whether a challenge was answered / a token came from the cache
+  auth?: any;
+  // Protocol of the final response ('http/1.1' or 'h2')
+  httpProtocol?: string;
   // Redirect tracking
   redirectCount?: number;
   finalUrl?: string;
@@ -118,6 +354,35 @@ interface ProbeResult {
   timingBreakdown?: any;
   // Rate limiting info
   rateLimitInfo?: any;
+  // DNS monitor results
+  dnsRecords?: any[];
+  dnsChanges?: any;
+  // Per-resolver answers when custom resolvers are configured
+  dnsResolvers?: any;
+  // Per-IP results for fan-out checks
+  fanOutResults?: any[];
+  // Negotiated TLS parameters and certificate chain (HTTPS and 'tls' checks)
+  tls?: any;
+  // Target resolved to an address the egress policy blocks
+  egressBlocked?: boolean;
+  // Every attempt when the check was re-run for confirmation
+  confirmation?: any;
+  // Latency distribution for sampled checks
+  latency?: any;
+  // Loss / RTT / jitter for tcp_ping series
+  tcpSeries?: any;
+  // Captured banner and assertion outcome for tcp_ping send/expect checks
+  tcpExchange?: any;
+  // Reply, RTT and preset details for 'udp' checks
+  udp?: any;
+  // Server version, role and protocol timings for database / cache checks
+  database?: any;
+  // Handshake timings and per-message replies for 'websocket' checks
+  websocket?: any;
+  // Serving status, grpc-status and timings for 'grpc' checks
+  grpc?: any;
+  // Per-step results and the failing step for 'transaction' checks
+  transaction?: any;
 }
 
 async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
@@ -127,15 +392,35 @@ async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
 
   // Follow redirects and capture redirect chain
   let redirectResult;
+  let requestBody;
+  let targetAuth;
   try {
+    if (config.httpVersion && !HTTP_VERSIONS.includes(config.httpVersion)) {
+      throw new Error(`Unknown httpVersion "${config.httpVersion}" (expected ${HTTP_VERSIONS.join(', ')})`);
+    }
+    requestBody = buildRequestBody(config.body);
+
+    const network = {
+      timeout: timeout * 1000,
+      resolvers: config.resolvers,
+      resolve: config.resolve,
+      rejectUnauthorized: config.ignoreSslErrors !== true,
+      useDnsCache: !config.freshDns,
+      agent: config.freshConnection ? false : undefined,
+    };
+    targetAuth = createTargetAuth(config.auth, network);
+
     redirectResult = await followRedirects(url, {
+      ...network,
       method: method,
-      headers: {
+      headers: applyBodyHeaders({
         ...getHeadersObject('rotate'),
         ...headers,
-      },
-      timeout: timeout * 1000,
+      }, requestBody),
+      body: requestBody ? requestBody.body : undefined,
       maxRedirects: 10,
+      httpVersion: config.httpVersion,
+      auth: targetAuth,
     });
   } catch (error: any) {
     const responseTimeMs = Date.now() - startTime;
@@ -168,6 +453,14 @@ async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
   statusCode = finalResponse?.statusCode || null;
   const responseTimeMs = totalRedirectTime;
 
+  // Per-phase timings summed across every hop (each hop keeps its own in redirectChain)
+  const timingBreakdown = summarizeTimings(redirectChain.map(hop => hop.timings));
+
+  // Request-level failure (DNS, connect, TLS, timeout) or a broken redirect chain
+  const requestError = finalResponse
+    ? finalResponse.error || null
+    : (isLoop ? `Redirect loop detected at ${loopDetectedAt}` : redirectResult.error || null);
+
   try {
     responseBody = finalResponse?.body;
   } catch {
@@ -205,7 +498,10 @@ async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
   // The site IS responding, just with a challenge page
   const isCloudflareReachable = isJsRedirect && (isCloudflareChallenge || statusCode === 302 || statusCode === 303);
 
-  if (config.expectedStatus && statusCode !== config.expectedStatus && !shouldTreatRedirectAsUp && !isCloudflareReachable) {
+  if (requestError) {
+    status = 'down';
+    errorMessage = requestError;
+  } else if (config.expectedStatus && statusCode !== config.expectedStatus && !shouldTreatRedirectAsUp && !isCloudflareReachable) {
     status = 'down';
     errorMessage = `Expected status ${config.expectedStatus}, got ${statusCode}`;
   } else if (shouldTreatRedirectAsUp) {
@@ -222,8 +518,21 @@ async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
     errorMessage = `Response time ${responseTimeMs}ms exceeded threshold ${config.degradedThresholdMs}ms`;
   }
 
+  // Certificate expiry / trust - only ever makes the status worse
+  const tlsReport = finalResponse?.tls;
+  if (tlsReport && status !== 'down') {
+    const tlsEvaluation = evaluateTlsReport(tlsReport, config.tlsCheck, { ignoreSslErrors: config.ignoreSslErrors });
+    if (tlsEvaluation.status === 'down' || (tlsEvaluation.status === 'degraded' && status === 'up')) {
+      status = tlsEvaluation.status;
+      errorMessage = tlsEvaluation.errors.join('; ');
+    }
+  }
+
   const geoBlockCheck = detectGeoBlocking(statusCode, errorMessage, responseBody);
 
+  const rateLimitCheck = detectRateLimit(statusCode, finalResponse?.headers || {}, responseBody || '');
+  const rateLimitInfo = rateLimitCheck.detected ? rateLimitCheck : undefined;
+
   // Build challenge detection info
   const challengeInfo = isCloudflareReachable ? {
     detected: true,
@@ -233,7 +542,7 @@ async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
     message: 'Site reachable but showing challenge page'
   } : null;
 
-  console.log(`[PROBE:${PROBE_REGION}] ${config.url}: ${status} - ${responseTimeMs}ms (Redirects: ${redirectCount}, Final: ${finalUrl})${geoBlockCheck.isGeoBlocked ? ' [GEO-BLOCKED]' : ''}${isCloudflareReachable ? ' [CF-CHALLENGE]' : ''}`);
+  console.log(`[PROBE:${PROBE_REGION}] ${config.url}: ${status} - ${responseTimeMs}ms (Redirects: ${redirectCount}, Final: ${finalUrl})${geoBlockCheck.isGeoBlocked ? ' [GEO-BLOCKED]' : ''}${isCloudflareReachable ? ' [CF-CHALLENGE]' : ''}${rateLimitInfo ? ' [RATE-LIMITED]' : ''}${finalResponse?.protocol === 'h2' ? ' [H2]' : ''}`);
 
   // Content validation (Phase 2.2) - only for HTTP checks with response body
   let contentValidated: boolean | undefined = undefined;
@@ -276,61 +585,783 @@ async function performHttpCheck(config: ProbeRequest): Promise<ProbeResult> {
     contentHash,
     validationErrors,
     responseSize,
+    requestSize: requestBody ? requestBody.size : undefined,
+    auth: targetAuth ? targetAuth.describe() : undefined,
+    httpProtocol: finalResponse?.protocol,
     redirectCount,
     finalUrl,
     redirectChain,
+    timingBreakdown,
+    rateLimitInfo,
+    dnsResolvers: redirectChain[0]?.dnsResolvers,
+    tls: tlsReport,
+    egressBlocked: finalResponse?.egressBlocked || undefined,
+  };
+}
+
+/**
+ * Run an HTTP check once per IP behind the target hostname, to find the one
+ * bad node behind a round-robin record. Uses the check's pinned IPs for the
+ * host if it has any, otherwise every address DNS returns.
+ */
+async function performFanOutCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const startTime = Date.now();
+  let hostname: string;
+  let port: string;
+  let resolveOverrides;
+
+  try {
+    const parsedUrl = new URL(config.url);
+    hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    port = parsedUrl.port || (parsedUrl.protocol === 'https:' ? '443' : '80');
+    resolveOverrides = parseResolveOverrides(config.resolve);
+  } catch (error: any) {
+    return buildErrorResult(config, error.message);
+  }
+
+  let ips = findResolveOverride(resolveOverrides, hostname, port);
+  if (!ips) {
+    const dnsTimeout = Math.min((config.timeout || 30) * 1000, 10000);
+    const dnsResult = config.resolvers && config.resolvers.length > 0
+      ? await resolveHostWithResolvers(hostname, config.resolvers, { timeout: dnsTimeout })
+      : await resolveDns(hostname, dnsTimeout, false);
+
+    if (!dnsResult.success) {
+      return buildErrorResult(config, `DNS resolution failed for ${hostname}: ${dnsResult.error}`, Date.now() - startTime);
+    }
+    ips = dnsResult.ips;
+  }
+  ips = [...new Set(ips)].slice(0, FANOUT_MAX_IPS);
+
+  // Same check per IP, pinned for this host on every port so redirects stay on the same node.
+  // The check's own overrides for this host are dropped, or a port-specific one would beat the pin.
+  const otherOverrides = [...resolveOverrides].filter(([key]) => key !== hostname && !key.startsWith(`${hostname}:`));
+  const results = await Promise.all(ips.map(ip => performHttpCheck({
+    ...config,
+    fanOut: false,
+    resolve: { ...Object.fromEntries(otherOverrides), [hostname]: [ip] },
+  })));
+
+  const fanOutResults = results.map((result, i) => ({
+    ip: ips[i],
+    status: result.status,
+    statusCode: result.statusCode,
+    responseTimeMs: result.responseTimeMs,
+    errorMessage: result.errorMessage,
+    timingBreakdown: result.timingBreakdown,
+  }));
+
+  const failing = fanOutResults.filter(result => result.status !== 'up');
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  if (failing.length > 0) {
+    status = failing.length === fanOutResults.length && failing.every(result => result.status === 'down') ? 'down' : 'degraded';
+  }
+
+  // Report the worst IP's details at the top level
+  const primary = results.find(result => result.status === 'down') || results.find(result => result.status !== 'up') || results[0];
+
+  console.log(`[PROBE:${PROBE_REGION}:FANOUT] ${hostname}: ${status} - ${fanOutResults.length} IPs${failing.length > 0 ? ` (failing: ${failing.map(result => result.ip).join(', ')})` : ''}`);
+
+  return {
+    ...primary,
+    status,
+    responseTimeMs: Math.max(...fanOutResults.map(result => result.responseTimeMs)),
+    errorMessage: failing.length > 0
+      ? `${failing.length}/${fanOutResults.length} IPs failing: ${failing.map(result => `${result.ip} (${result.errorMessage})`).join(', ')}`
+      : null,
+    fanOutResults,
+  };
+}
+
+/**
+ * Run an HTTP check K times (sequentially, or a few at a time) and report the
+ * latency distribution, so one slow request doesn't decide the status.
+ * degradedThresholdMs is compared against sampling.degradedStatistic (default p95).
+ */
+async function performSampledCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const sampling = config.sampling;
+  const samples = Math.min(Math.max(Math.floor(sampling.samples) || 1, 1), SAMPLING_MAX_SAMPLES);
+  const concurrency = Math.min(Math.max(Math.floor(sampling.concurrency || 1), 1), SAMPLING_MAX_CONCURRENCY);
+  const intervalMs = Math.max(sampling.intervalMs || 0, 0);
+  const statistic = sampling.degradedStatistic || 'p95';
+  const minSuccessRatio = sampling.minSuccessRatio ?? 1;
+
+  if (!LATENCY_STATISTICS.includes(statistic)) {
+    return buildErrorResult(config, `Invalid sampling.degradedStatistic: ${statistic} (expected ${LATENCY_STATISTICS.join(', ')})`);
+  }
+
+  // Samples judge latency on the whole series, not one by one; each opens its
+  // own connection unless told otherwise so every phase is measured
+  const sampleConfig = {
+    ...config,
+    sampling: undefined,
+    degradedThresholdMs: undefined,
+    freshConnection: config.freshConnection || sampling.freshConnection !== false,
+  };
+
+  const outcomes = await runBatch(new Array(samples).fill(null), async (_, index) => {
+    // Space out consecutive samples on the same lane
+    if (intervalMs > 0 && index >= concurrency) {
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    return performHttpCheck(sampleConfig);
+  }, {
+    concurrency,
+    budgetMs: Math.ceil(samples / concurrency) * ((config.timeout || 30) * 1000 + intervalMs) + 5000,
+  });
+
+  const results = outcomes.map(outcome => outcome.status === 'fulfilled'
+    ? outcome.value
+    : buildErrorResult(config, outcome.reason.message));
+  const successful = results.filter(result => result.status !== 'down');
+  const successRatio = Math.round((successful.length / results.length) * 1000) / 1000;
+
+  const total = computeLatencyStats(successful.map(result => result.responseTimeMs));
+  const latency = {
+    samples: results.length,
+    successful: successful.length,
+    successRatio,
+    concurrency,
+    degradedStatistic: statistic,
+    total,
+    phases: computePhaseStats(successful.map(result => result.timingBreakdown)),
+    results: results.map((result, i) => ({
+      sample: i + 1,
+      status: result.status,
+      statusCode: result.statusCode,
+      responseTimeMs: result.responseTimeMs,
+      errorMessage: result.errorMessage,
+    })),
+  };
+
+  // Top-level details come from the last successful sample (or the last failure)
+  const representative = successful[successful.length - 1] || results[results.length - 1];
+  let status: 'up' | 'down' | 'degraded' = representative.status;
+  let errorMessage: string | null = representative.errorMessage;
+
+  if (successful.length === 0) {
+    status = 'down';
+  } else if (successRatio < minSuccessRatio) {
+    status = 'degraded';
+    errorMessage = `${results.length - successful.length}/${results.length} samples failed: ${results.find(result => result.status === 'down').errorMessage}`;
+  } else if (status === 'up' && config.degradedThresholdMs && total[statistic] > config.degradedThresholdMs) {
+    status = 'degraded';
+    errorMessage = `Response time ${statistic} ${total[statistic]}ms exceeded threshold ${config.degradedThresholdMs}ms`;
+  }
+
+  console.log(`[PROBE:${PROBE_REGION}] ${config.url}: ${status} - ${results.length} samples, ${successful.length} ok${total ? `, median ${total.median}ms, p95 ${total.p95}ms, jitter ${total.jitter}ms` : ''}`);
+
+  return {
+    ...representative,
+    status,
+    errorMessage,
+    responseTimeMs: total ? total.median : representative.responseTimeMs,
+    latency,
+  };
+}
+
+/**
+ * Resolve a socket-level check's host (a `resolve` pin wins over DNS) and apply the
+ * egress policy, so the check only ever connects to the IPs that were judged
+ */
+async function resolveCheckTarget(config: ProbeRequest, host: string, port: number, timeoutMs: number) {
+  const pinnedIps = findResolveOverride(parseResolveOverrides(config.resolve), host, port);
+  const dnsResult = pinnedIps
+    ? { success: true, ips: pinnedIps, responseTimeMs: 0 }
+    : await resolveDns(host, Math.min(timeoutMs, 10000), !config.freshDns);
+
+  if (!dnsResult.success) {
+    throw new Error(`DNS resolution failed for ${host}: ${dnsResult.error}`);
+  }
+  assertEgressAllowed(dnsResult.ips, host);
+  return dnsResult;
+}
+
+/**
+ * Result of a check that isn't a plain HTTP request. A check that is up turns
+ * degraded past degradedThresholdMs; certificate problems only ever make the
+ * status worse. The fields only HTTP checks fill in are left empty.
+ *
+ * @param outcome - { status, errorMessage, statusCode, responseTimeMs, egressBlocked, tlsReports }
+ *   tlsReports: [{ tls, label }] judged against config.tlsCheck, the worst counts
+ * @param details - Check-specific fields (tls, database, websocket, ...)
+ */
+function buildCheckResult(config: ProbeRequest, outcome, details: Partial<ProbeResult> = {}): ProbeResult {
+  const { responseTimeMs } = outcome;
+  let { status, errorMessage } = outcome;
+
+  if (status === 'up' && config.degradedThresholdMs && responseTimeMs > config.degradedThresholdMs) {
+    status = 'degraded';
+    errorMessage = `Response time ${responseTimeMs}ms exceeded threshold ${config.degradedThresholdMs}ms`;
+  }
+
+  for (const { tls, label } of outcome.tlsReports || []) {
+    if (!tls || status === 'down') {
+      continue;
+    }
+    const tlsEvaluation = evaluateTlsReport(tls, config.tlsCheck, { ignoreSslErrors: config.ignoreSslErrors });
+    if (tlsEvaluation.status === 'down' || (tlsEvaluation.status === 'degraded' && status === 'up')) {
+      status = tlsEvaluation.status;
+      errorMessage = `${label ? `${label}: ` : ''}${tlsEvaluation.errors.join('; ')}`;
+    }
+  }
+
+  return {
+    monitorId: config.monitorId,
+    region: PROBE_REGION,
+    status,
+    statusCode: outcome.statusCode ?? null,
+    responseTimeMs,
+    errorMessage,
+    isGeoBlocked: false,
+    geoBlockingIndicators: [],
+    responseBody: undefined,
+    contentValidated: undefined,
+    contentHash: undefined,
+    validationErrors: undefined,
+    responseSize: undefined,
+    ...details,
+    egressBlocked: outcome.egressBlocked || undefined,
   };
 }
 
 async function performTcpCheck(config: ProbeRequest): Promise<ProbeResult> {
-  const { host, port, timeout, degradedThresholdMs } = config;
+  const { timeout = 10, degradedThresholdMs } = config;
   const startTime = Date.now();
   let status: 'up' | 'down' | 'degraded' = 'up';
   let errorMessage: string | null = null;
+  let egressBlocked = false;
 
-  try {
-    let tcpHost = host;
-    if (host.includes('://')) {
-      tcpHost = host.split('://')[1];
-    }
-    host = host.split('/')[0].split(':')[0];
+  // Accept "host", "host:port" or a URL
+  const address = (config.host || config.url || '').replace(/^[a-z]+:\/\//i, '').split('/')[0];
+  const { host, port: addressPort } = parseServerAddress(address, 80);
+  const port = config.port || config.pingPort || addressPort;
+  const series = config.tcpSeries && config.tcpSeries.count > 1 ? config.tcpSeries : null;
+  let seriesReport = null;
+  let exchangeReport = null;
 
-    const tcpPort = port || 80;
+  try {
     const timeoutMs = timeout * 1000;
 
-    await new Promise<void>((resolve, reject) => {
-      const socket = new net.Socket();
+    const dnsResult = await resolveCheckTarget(config, host, port, timeoutMs);
 
-      const timer = setTimeout(() => {
-        socket.destroy();
-        reject(new Error('Connection timeout'));
-      }, timeoutMs);
-
-      socket.connect(port, host, () => {
-        clearTimeout(timer);
-        socket.destroy();
-        resolve();
+    if (series) {
+      // Every handshake goes to the same address so loss and jitter describe one path.
+      // The whole series has to fit in the check's timeout, DNS included.
+      seriesReport = await measureTcpSeries(dnsResult.ips[0], port, {
+        count: Math.min(Math.floor(series.count), TCP_SERIES_MAX_COUNT),
+        intervalMs: Math.max(series.intervalMs ?? 1000, TCP_SERIES_MIN_INTERVAL_MS),
+        timeoutMs: Math.min(series.timeoutMs || 2000, timeoutMs),
+        budgetMs: timeoutMs - (Date.now() - startTime),
+      });
+    } else if (config.tcpExchange) {
+      exchangeReport = await runTcpExchange(host, port, config.tcpExchange, {
+        lookup: createStaticLookup(dnsResult.ips),
+        timeoutMs,
       });
+    } else {
+      await new Promise<void>((resolve, reject) => {
+        const socket = new net.Socket();
 
-      socket.on('error', (err) => {
-        clearTimeout(timer);
-        socket.destroy();
-        reject(err);
+        const timer = setTimeout(() => {
+          socket.destroy();
+          reject(new Error('Connection timeout'));
+        }, timeoutMs);
+
+        socket.connect({ port, host, lookup: createStaticLookup(dnsResult.ips) }, () => {
+          clearTimeout(timer);
+          socket.destroy();
+          resolve();
+        });
+
+        socket.on('error', (err) => {
+          clearTimeout(timer);
+          socket.destroy();
+          reject(err);
+        });
       });
+    }
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    egressBlocked = isEgressBlocked(error);
+  }
+
+  let responseTimeMs = Date.now() - startTime;
+
+  if (seriesReport) {
+    // A series reports its median connect time rather than the whole run's duration,
+    // and judges degradedThresholdMs against that median itself
+    const evaluation = evaluateTcpSeries(seriesReport, { ...series, degradedThresholdMs });
+    status = evaluation.status;
+    errorMessage = evaluation.errors.length > 0 ? evaluation.errors.join('; ') : null;
+    if (seriesReport.rtt) {
+      responseTimeMs = seriesReport.rtt.median;
+    }
+  } else if (exchangeReport && exchangeReport.matched === false) {
+    status = 'down';
+    errorMessage = `Expected response to ${exchangeReport.expectation}${exchangeReport.readTimedOut ? ' (read timed out)' : ''}, got: ${JSON.stringify(exchangeReport.banner.slice(0, 200))}`;
+  }
+
+  // Certificate problems on TLS / STARTTLS exchanges count too
+  const result = buildCheckResult(config, {
+    status,
+    errorMessage,
+    responseTimeMs,
+    egressBlocked,
+    tlsReports: exchangeReport ? [{ tls: exchangeReport.tls }] : [],
+  }, {
+    tcpSeries: seriesReport || undefined,
+    tcpExchange: exchangeReport ? { ...exchangeReport, tls: undefined } : undefined,
+    tls: exchangeReport?.tls || undefined,
+  });
+
+  console.log(`[PROBE:${PROBE_REGION}:TCP] ${host}:${port}: ${result.status} - ${responseTimeMs}ms${seriesReport ? ` (${seriesReport.received}/${seriesReport.sent} handshakes${seriesReport.stoppedEarly ? ` of ${seriesReport.planned}, stopped at timeout` : ''}, loss ${seriesReport.lossPercent}%, jitter ${seriesReport.rtt ? seriesReport.rtt.jitter : '-'}ms)` : ''}`);
+  return result;
+}
+
+async function performTlsCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { timeout = 10, tlsCheck = {} } = config;
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let responseTimeMs = 0;
+  let tlsReport;
+  let host;
+  let port;
+  let egressBlocked = false;
+
+  try {
+    if (config.host) {
+      const address = config.host.replace(/^[a-z]+:\/\//i, '').split('/')[0];
+      ({ host, port } = parseServerAddress(address, config.port || 443));
+    } else {
+      const parsedUrl = new URL(config.url);
+      host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+      port = config.port || parseInt(parsedUrl.port || '443', 10);
+    }
+
+    const dnsResult = await resolveCheckTarget(config, host, port, timeout * 1000);
+
+    const inspection = await inspectTlsEndpoint(host, port, {
+      servername: tlsCheck.servername || (isIpAddress(host) ? undefined : host),
+      timeout: timeout * 1000,
+      lookup: createStaticLookup(dnsResult.ips),
+      dnsTimeMs: dnsResult.responseTimeMs,
+    });
+
+    tlsReport = inspection.tls;
+    responseTimeMs = Math.round(inspection.timings.totalMs);
+
+    const tlsEvaluation = evaluateTlsReport(tlsReport, tlsCheck, { ignoreSslErrors: config.ignoreSslErrors });
+    status = tlsEvaluation.status;
+    errorMessage = tlsEvaluation.errors.length > 0 ? tlsEvaluation.errors.join('; ') : null;
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    responseTimeMs = Date.now() - startTime;
+    egressBlocked = isEgressBlocked(error);
+  }
+
+  // The certificate was judged above; only the response time is left
+  const result = buildCheckResult(config, { status, errorMessage, responseTimeMs, egressBlocked }, { tls: tlsReport });
+
+  console.log(`[PROBE:${PROBE_REGION}:TLS] ${host}:${port}: ${result.status} - ${responseTimeMs}ms${tlsReport ? ` (${tlsReport.protocol}, expires in ${tlsReport.daysUntilExpiry}d)` : ''}`);
+  return result;
+}
+
+async function performUdpCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { timeout = 10, udpCheck = {} } = config;
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let responseTimeMs = 0;
+  let udpReport;
+  let host;
+  let port;
+  let egressBlocked = false;
+
+  try {
+    // A bad udpCheck fails before anything is resolved or sent
+    validateUdpCheck(udpCheck);
+
+    const address = (config.host || config.url || '').replace(/^[a-z]+:\/\//i, '').split('/')[0];
+    ({ host, port } = parseServerAddress(address, config.port || getPresetPort(udpCheck.preset) || 0));
+    port = config.port || port;
+    if (!port) {
+      throw new Error('UDP checks need a port (host:port, port, or a preset)');
+    }
+
+    const dnsResult = await resolveCheckTarget(config, host, port, timeout * 1000);
+
+    udpReport = await runUdpCheck(dnsResult.ips[0], port, udpCheck, { timeoutMs: timeout * 1000 });
+    if (!udpReport.ok) {
+      status = 'down';
+      errorMessage = udpReport.error;
+    }
+    responseTimeMs = udpReport.rttMs ?? Date.now() - startTime;
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    responseTimeMs = Date.now() - startTime;
+    egressBlocked = isEgressBlocked(error);
+  }
+
+  const result = buildCheckResult(config, { status, errorMessage, responseTimeMs, egressBlocked }, { udp: udpReport });
+
+  console.log(`[PROBE:${PROBE_REGION}:UDP] ${host}:${port}: ${result.status} - ${responseTimeMs}ms${udpReport && udpReport.portUnreachable ? ' [PORT-UNREACHABLE]' : ''}`);
+  return result;
+}
+
+async function performWebSocketCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { url, timeout = 10, headers = {}, websocket = {} } = config;
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let statusCode: number | null = null;
+  let responseTimeMs = 0;
+  let report;
+  let egressBlocked = false;
+
+  try {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    const port = parseInt(target.port, 10) || (target.protocol === 'wss:' || target.protocol === 'https:' ? 443 : 80);
+
+    const dnsResult = await resolveCheckTarget(config, host, port, timeout * 1000);
+
+    report = await runWebSocketCheck(url, websocket, {
+      lookup: createStaticLookup(dnsResult.ips),
+      timeoutMs: timeout * 1000,
+      headers: { 'User-Agent': getHeadersObject('rotate')['User-Agent'], ...headers },
+      servername: config.tlsCheck && config.tlsCheck.servername,
     });
+    statusCode = report.statusCode;
+    responseTimeMs = Math.round(report.timings.handshakeMs + report.timings.messagesMs);
+
+    if (!report.ok) {
+      status = 'down';
+      errorMessage = report.error;
+    }
   } catch (error: any) {
     status = 'down';
     errorMessage = error.message;
+    statusCode = error.statusCode || null;
+    responseTimeMs = Date.now() - startTime;
+    egressBlocked = isEgressBlocked(error);
   }
 
-  const responseTimeMs = Date.now() - startTime;
+  let websocketReport;
+  if (report) {
+    const { tls, ok, error, statusCode: upgradeStatus, ...rest } = report;
+    websocketReport = rest;
+  }
+
+  const result = buildCheckResult(config, {
+    status,
+    errorMessage,
+    statusCode,
+    responseTimeMs,
+    egressBlocked,
+    tlsReports: report ? [{ tls: report.tls }] : [],
+  }, {
+    websocket: websocketReport,
+    tls: report ? report.tls || undefined : undefined,
+  });
+
+  console.log(`[PROBE:${PROBE_REGION}:WS] ${url}: ${result.status} - ${responseTimeMs}ms${report ? ` (${report.messages.length} messages${report.cleanClose ? '' : ', unclean close'})` : ''}`);
+  return result;
+}
+
+async function performGrpcCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { timeout = 10, grpc = {} } = config;
+  const target = config.host || config.url || '';
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let statusCode: number | null = null;
+  let responseTimeMs = 0;
+  let report;
+  let host;
+  let port;
+  let egressBlocked = false;
+
+  try {
+    // grpcs:// and https:// mean TLS, grpc:// and http:// plaintext; grpc.tls wins over both
+    const scheme = (target.match(/^([a-z]+):\/\//i) || [])[1];
+    const useTls = grpc.tls !== undefined ? grpc.tls === true : scheme ? /^(grpcs|https)$/i.test(scheme) : true;
+    const address = target.replace(/^[a-z]+:\/\//i, '').split('/')[0];
+    ({ host, port } = parseServerAddress(address, useTls ? 443 : 80));
+    port = config.port || port;
+
+    const dnsResult = await resolveCheckTarget(config, host, port, timeout * 1000);
+
+    report = await runGrpcHealthCheck(host, port, {
+      ...grpc,
+      tls: useTls,
+      servername: grpc.servername || (config.tlsCheck && config.tlsCheck.servername),
+    }, {
+      lookup: createStaticLookup(dnsResult.ips),
+      timeoutMs: timeout * 1000,
+    });
+    statusCode = report.httpStatus;
+    responseTimeMs = Math.round(report.timings.totalMs);
+
+    if (report.grpcStatus !== 0) {
+      status = 'down';
+      errorMessage = `gRPC ${report.grpcStatusName || 'status missing'}${report.grpcStatus !== null ? ` (${report.grpcStatus})` : ''}${report.grpcMessage ? `: ${report.grpcMessage}` : ''}`;
+    } else if (report.servingStatus === 'UNKNOWN') {
+      status = 'degraded';
+      errorMessage = `Health status of ${report.service || 'the server'} is UNKNOWN`;
+    } else if (report.servingStatus !== 'SERVING') {
+      status = 'down';
+      errorMessage = `Health status of ${report.service || 'the server'} is ${report.servingStatus}`;
+    }
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    statusCode = error.statusCode || null;
+    responseTimeMs = Date.now() - startTime;
+    egressBlocked = isEgressBlocked(error);
+  }
+
+  let grpcReport;
+  if (report) {
+    const { tls, ...rest } = report;
+    grpcReport = rest;
+  }
+
+  const result = buildCheckResult(config, {
+    status,
+    errorMessage,
+    statusCode,
+    responseTimeMs,
+    egressBlocked,
+    tlsReports: report ? [{ tls: report.tls }] : [],
+  }, {
+    grpc: grpcReport,
+    tls: report ? report.tls || undefined : undefined,
+  });
+
+  console.log(`[PROBE:${PROBE_REGION}:GRPC] ${host}:${port}${grpc.service ? ` ${grpc.service}` : ''}: ${result.status} - ${responseTimeMs}ms${report ? ` (${report.servingStatus || report.grpcStatusName})` : ''}`);
+  return result;
+}
+
+async function performTransactionCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { timeout = 30, headers = {}, transaction } = config;
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let statusCode: number | null = null;
+  let responseTimeMs = 0;
+  let report;
+  let targetAuth;
+
+  try {
+    if (config.httpVersion && !HTTP_VERSIONS.includes(config.httpVersion)) {
+      throw new Error(`Unknown httpVersion "${config.httpVersion}" (expected ${HTTP_VERSIONS.join(', ')})`);
+    }
+
+    const network = {
+      resolvers: config.resolvers,
+      resolve: config.resolve,
+      rejectUnauthorized: config.ignoreSslErrors !== true,
+      useDnsCache: !config.freshDns,
+      agent: config.freshConnection ? false : undefined,
+    };
+    targetAuth = createTargetAuth(config.auth, { ...network, timeout: timeout * 1000 });
+
+    report = await runTransaction(transaction, {
+      ...network,
+      monitorId: config.monitorId,
+      headers: {
+        ...getHeadersObject('rotate'),
+        ...headers,
+      },
+      timeoutMs: timeout * 1000,
+      httpVersion: config.httpVersion,
+      cookieTtlMs: config.cookieTtlSeconds ? config.cookieTtlSeconds * 1000 : undefined,
+      auth: targetAuth,
+    });
+    responseTimeMs = Math.round(report.totalMs);
+    statusCode = report.steps[report.steps.length - 1].statusCode;
+
+    if (!report.passed) {
+      status = 'down';
+      const stepLabel = transaction.steps[report.failedStepIndex].name ? ` (${report.failedStep})` : '';
+      errorMessage = `Step ${report.failedStepIndex + 1}${stepLabel} failed: ${report.error}`;
+    } else {
+      const slowStep = report.steps.find(step => step.degraded);
+      if (slowStep) {
+        status = 'degraded';
+        errorMessage = `${slowStep.name}: ${slowStep.degraded}`;
+      }
+    }
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    responseTimeMs = Date.now() - startTime;
+  }
+
+  let transactionReport;
+  if (report) {
+    transactionReport = {
+      ...report,
+      steps: report.steps.map(({ tls, ...step }) => step),
+    };
+  }
+
+  // Certificates of every host the transaction touched; the worst one counts
+  const result = buildCheckResult(config, {
+    status,
+    errorMessage,
+    statusCode,
+    responseTimeMs,
+    egressBlocked: report ? report.steps.some(step => step.egressBlocked) : false,
+    tlsReports: report ? report.steps.map(step => ({ tls: step.tls, label: step.name })) : [],
+  }, {
+    validationErrors: report ? report.steps[report.steps.length - 1].validationErrors : undefined,
+    transaction: transactionReport,
+    auth: targetAuth ? targetAuth.describe() : undefined,
+    tls: report ? report.steps.find(step => step.tls)?.tls : undefined,
+  });
+
+  console.log(`[PROBE:${PROBE_REGION}:TX] ${config.monitorId}: ${result.status} - ${responseTimeMs}ms${report ? ` (${report.stepsRun}/${transaction.steps.length} steps${report.failedStep ? `, failed at ${report.failedStep}` : ''})` : ''}`);
+  return result;
+}
+
+const DATABASE_CHECKS = {
+  postgres: { check: checkPostgres, defaultPort: 5432 },
+  mysql: { check: checkMysql, defaultPort: 3306 },
+  redis: { check: checkRedis, defaultPort: 6379 },
+  mongodb: { check: checkMongo, defaultPort: 27017 },
+};
+
+async function performDatabaseCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { timeout = 10, database = {} } = config;
+  const { check, defaultPort } = DATABASE_CHECKS[config.monitorType];
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let responseTimeMs = 0;
+  let report;
+  let host;
+  let port;
+  let egressBlocked = false;
+
+  try {
+    const address = (config.host || config.url || '').replace(/^[a-z]+:\/\//i, '').split(/[/?]/)[0].replace(/^[^@]*@/, '');
+    ({ host, port } = parseServerAddress(address, defaultPort));
+    port = config.port || port;
+
+    const dnsResult = await resolveCheckTarget(config, host, port, timeout * 1000);
+
+    report = await check(host, port, {
+      ...database,
+      servername: database.servername || (config.tlsCheck && config.tlsCheck.servername),
+      lookup: createStaticLookup(dnsResult.ips),
+      timeoutMs: timeout * 1000,
+    });
+    responseTimeMs = Math.round(report.timings.totalMs);
+
+    if (report.errors.length > 0) {
+      status = 'down';
+      errorMessage = report.errors.join('; ');
+    } else if (report.warnings.length > 0) {
+      status = 'degraded';
+      errorMessage = report.warnings.join('; ');
+    }
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    responseTimeMs = Date.now() - startTime;
+    egressBlocked = isEgressBlocked(error);
+  }
+
+  let databaseReport;
+  if (report) {
+    const { tls, ...rest } = report;
+    databaseReport = rest;
+  }
+
+  const result = buildCheckResult(config, {
+    status,
+    errorMessage,
+    responseTimeMs,
+    egressBlocked,
+    tlsReports: report ? [{ tls: report.tls }] : [],
+  }, {
+    database: databaseReport,
+    tls: report ? report.tls || undefined : undefined,
+  });
+
+  console.log(`[PROBE:${PROBE_REGION}:DB] ${config.monitorType} ${host}:${port}: ${result.status} - ${responseTimeMs}ms${report && report.serverVersion ? ` (${report.serverVersion}${report.role ? `, ${report.role}` : ''})` : ''}`);
+  return result;
+}
+
+async function performDnsCheck(config: ProbeRequest): Promise<ProbeResult> {
+  const { timeout = 10, degradedThresholdMs, dnsCheck = {} } = config;
+  const hostname = config.host || extractHostname(config.url);
+  const recordType = (dnsCheck.recordType || 'A').toUpperCase();
+  const startTime = Date.now();
+
+  let status: 'up' | 'down' | 'degraded' = 'up';
+  let errorMessage: string | null = null;
+  let responseTimeMs = 0;
+  let dnsResult;
+  let resolverReport;
+
+  try {
+    let query;
+
+    // Custom resolvers: ask all of them, assert on the first listed one that answered
+    if (config.resolvers && config.resolvers.length > 0) {
+      const report = await queryResolvers(config.resolvers, hostname, recordType, { timeout: timeout * 1000 });
+      resolverReport = describeResolverReport(report);
+
+      const primary = report.resolvers.find(entry => entry.success);
+      if (!primary) {
+        throw new Error(`No resolver answered (${report.resolvers.map(entry => `${entry.resolver}: ${entry.error}`).join('; ')})`);
+      }
+      query = async () => ({ ...primary.response, server: primary.resolver });
+    }
+
+    dnsResult = await checkDnsRecords(hostname, dnsCheck, {
+      monitorId: config.monitorId,
+      timeout: timeout * 1000,
+      query,
+    });
+    responseTimeMs = Math.round(dnsResult.responseTimeMs);
+    status = dnsResult.status;
+
+    if (dnsResult.errors.length > 0) {
+      errorMessage = dnsResult.errors.join('; ');
+    } else if (dnsResult.changeSummary) {
+      errorMessage = dnsResult.changeSummary;
+    }
+
+    if (resolverReport?.disagreement && status === 'up' && dnsCheck.onDisagreement && dnsCheck.onDisagreement !== 'up') {
+      status = dnsCheck.onDisagreement;
+      errorMessage = `Resolvers disagree: ${resolverReport.disagreeing.join(', ')}`;
+    }
+  } catch (error: any) {
+    status = 'down';
+    errorMessage = error.message;
+    responseTimeMs = Date.now() - startTime;
+  }
 
   if (status === 'up' && degradedThresholdMs && responseTimeMs > degradedThresholdMs) {
     status = 'degraded';
     errorMessage = `Response time ${responseTimeMs}ms exceeded threshold ${degradedThresholdMs}ms`;
   }
 
-  console.log(`[PROBE:${PROBE_REGION}:TCP] ${host}:${port}: ${status} - ${responseTimeMs}ms`);
+  console.log(`[PROBE:${PROBE_REGION}:DNS] ${hostname} ${recordType}: ${status} - ${responseTimeMs}ms${dnsResult?.changeSummary ? ` [CHANGED: ${dnsResult.changeSummary}]` : ''}${resolverReport?.disagreement ? ' [RESOLVERS-DISAGREE]' : ''}`);
 
   return {
     monitorId: config.monitorId,
@@ -342,6 +1373,30 @@ async function performTcpCheck(config: ProbeRequest): Promise<ProbeResult> {
     isGeoBlocked: false,
     geoBlockingIndicators: [],
     responseBody: undefined,
+    contentValidated: dnsResult ? dnsResult.passed : undefined,
+    contentHash: undefined,
+    validationErrors: dnsResult?.errors.length ? dnsResult.errors : undefined,
+    responseSize: undefined,
+    dnsRecords: dnsResult?.records,
+    dnsChanges: dnsResult?.changes || undefined,
+    dnsResolvers: resolverReport,
+  };
+}
+
+/**
+ * Build a 'down' result for a check that could not produce one itself
+ */
+function buildErrorResult(config: ProbeRequest, errorMessage: string, responseTimeMs = 0): ProbeResult {
+  return {
+    monitorId: config?.monitorId,
+    region: PROBE_REGION,
+    status: 'down',
+    statusCode: null,
+    responseTimeMs,
+    errorMessage,
+    isGeoBlocked: false,
+    geoBlockingIndicators: [],
+    responseBody: undefined,
     contentValidated: undefined,
     contentHash: undefined,
     validationErrors: undefined,
@@ -349,20 +1404,119 @@ async function performTcpCheck(config: ProbeRequest): Promise<ProbeResult> {
   };
 }
 
-// Authentication middleware
+/**
+ * HTTP checks: per-IP fan-out, multi-sample, or a single request
+ */
+function performHttpMonitor(config: ProbeRequest): Promise<ProbeResult> {
+  if (config.fanOut) {
+    return performFanOutCheck(config);
+  }
+  if (config.sampling && config.sampling.samples > 1) {
+    return performSampledCheck(config);
+  }
+  return performHttpCheck(config);
+}
+
+/**
+ * Dispatch a check to the right implementation based on monitorType
+ */
+async function runCheckOnce(config: ProbeRequest): Promise<ProbeResult> {
+  switch (config.monitorType) {
+    case 'tcp_ping':
+      return performTcpCheck(config);
+    case 'dns':
+      return performDnsCheck(config);
+    case 'tls':
+      return performTlsCheck(config);
+    case 'udp':
+      return performUdpCheck(config);
+    case 'postgres':
+    case 'mysql':
+    case 'redis':
+    case 'mongodb':
+      return performDatabaseCheck(config);
+    case 'websocket':
+      return performWebSocketCheck(config);
+    case 'grpc':
+      return performGrpcCheck(config);
+    case 'transaction':
+      return performTransactionCheck(config);
+    case 'http_head':
+      return performHttpMonitor({ ...config, method: 'HEAD' });
+    case 'http':
+    default:
+      return performHttpMonitor(config);
+  }
+}
+
+/**
+ * Run a check, re-checking failures when it has a confirmation policy.
+ * Metrics only see the final, confirmed result.
+ */
+async function runCheck(config: ProbeRequest): Promise<ProbeResult> {
+  let result: ProbeResult;
+
+  try {
+    result = await runWithConfirmation(config, runCheckOnce, {
+      log: (message) => console.log(`[PROBE:${PROBE_REGION}] ${config.url || config.host}: ${message}`),
+    });
+  } catch (error) {
+    recordCheckResult(config, null, PROBE_REGION);
+    throw error;
+  }
+
+  recordCheckResult(config, result, PROBE_REGION);
+  return result;
+}
+
+// Authentication middleware: client certificate (mutual TLS, see tlsListener.js),
+// HMAC-signed requests (see requestSigning.js) or the bearer secret
 function authMiddleware(req, res, next) {
-  if (!PROBE_SECRET) {
+  // Clients without a valid certificate never get this far - the handshake rejects them
+  if (isMutualTlsEnabled() && req.socket.authorized && !TLS_REQUIRE_SECRET) {
+    return next();
+  }
+
+  if (!PROBE_SECRET && !isSigningEnabled()) {
     console.warn('Warning: PROBE_SECRET not set, authentication disabled');
     return next();
   }
-  
+
+  if (isSignedRequest(req)) {
+    const verification = verifySignedRequest(req);
+    if (!verification.valid) {
+      console.warn(`[PROBE:${PROBE_REGION}] Rejected signed request ${req.method} ${req.originalUrl}${getClientCertificateName(req) ? ` from ${getClientCertificateName(req)}` : ''}: ${verification.reason}`);
+      return res.status(401).json({ error: 'Unauthorized', reason: verification.reason });
+    }
+    req.probeKeyId = verification.keyId;
+    return next();
+  }
+
   const authHeader = req.headers.authorization;
-  if (!authHeader || authHeader !== `Bearer ${PROBE_SECRET}`) {
+  if (!ALLOW_BEARER || !PROBE_SECRET || !authHeader || !secretsMatch(`Bearer ${PROBE_SECRET}`, authHeader)) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   next();
 }
 
+/**
+ * Send result data, wrapped in a signed envelope when enabled or requested.
+ * The caller's X-Probe-Nonce is echoed inside the signed payload.
+ */
+function sendResult(req, res, body) {
+  res.json(prepareResponseBody(req, body));
+}
+
+/**
+ * The body to send: signed when signing is on or requested. Throws if signing fails.
+ */
+function prepareResponseBody(req, body) {
+  if (SIGN_RESULTS || req.headers['x-probe-sign-response'] === 'true') {
+    return signResult(body, { region: PROBE_REGION, nonce: req.headers['x-probe-nonce'] });
+  }
+  return body;
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -374,6 +1528,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics (no auth, like /health, so scrapers can reach it)
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics(PROBE_REGION));
+});
+
+// Public key for verifying signed results (no auth - it's public)
+app.get('/signing-key', (req, res) => {
+  try {
+    res.json({ ...getResultSigningPublicKey(), region: PROBE_REGION });
+  } catch (error) {
+    res.status(503).json({ error: `Result signing unavailable: ${error.message}` });
+  }
+});
+
 // Check endpoint
 app.post('/check', authMiddleware, async (req, res) => {
   try {
@@ -381,33 +1550,217 @@ app.post('/check', authMiddleware, async (req, res) => {
 
     console.log(`[PROBE] Received check request for ${config.url}`);
 
-    let result: ProbeResult;
-
-    switch (config.monitorType) {
-      case 'tcp_ping':
-        result = await performTcpCheck(config);
-        break;
-      case 'http_head':
-        result = await performHttpCheck({ ...config, method: 'HEAD' });
-        break;
-      case 'http':
-      default:
-        result = await performHttpCheck(config);
-        break;
-    }
+    const result: ProbeResult = await runCheck(config);
 
-    res.json(result);
+    sendResult(req, res, result);
   } catch (error) {
     console.error('[PROBE] Error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.listen(PORT, '0.0.0', () => {
+/**
+ * Give a batch item what is left of the batch budget as its timeout (or its own,
+ * if shorter), so the check gives up by itself rather than running on detached
+ * once the batch has answered
+ */
+function capCheckTimeout(config: ProbeRequest, deadline: number): ProbeRequest {
+  const remainingSeconds = Math.max((deadline - Date.now()) / 1000, 0.001);
+  return { ...config, timeout: Math.min(config.timeout || Infinity, remainingSeconds) };
+}
+
+// Batch check endpoint - runs many checks in one round trip
+app.post('/check/batch', authMiddleware, async (req, res) => {
+  try {
+    const { checks, concurrency, timeBudgetSeconds } = req.body || {};
+
+    if (!Array.isArray(checks) || checks.length === 0) {
+      return res.status(400).json({ error: 'Body must contain a non-empty "checks" array' });
+    }
+    if (checks.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `Batch too large: ${checks.length} checks (max ${BATCH_MAX_ITEMS})` });
+    }
+
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      return res.status(400).json({ error: '"concurrency" must be a positive integer' });
+    }
+    if (timeBudgetSeconds !== undefined && !(typeof timeBudgetSeconds === 'number' && Number.isFinite(timeBudgetSeconds) && timeBudgetSeconds > 0)) {
+      return res.status(400).json({ error: '"timeBudgetSeconds" must be a positive number' });
+    }
+
+    const batchConcurrency = Math.min(concurrency || BATCH_MAX_CONCURRENCY, BATCH_MAX_CONCURRENCY);
+    const budgetMs = Math.min(timeBudgetSeconds || BATCH_DEFAULT_BUDGET_SECONDS, BATCH_MAX_BUDGET_SECONDS) * 1000;
+    const startTime = Date.now();
+
+    console.log(`[PROBE] Received batch of ${checks.length} checks (concurrency ${batchConcurrency}, budget ${budgetMs}ms)`);
+
+    const outcomes = await runBatch(checks, (config: ProbeRequest, index, { deadline }) => runCheck(capCheckTimeout(config, deadline)), {
+      concurrency: batchConcurrency,
+      budgetMs,
+    });
+
+    // One result per item, in request order - failures become 'down' results
+    const results: ProbeResult[] = outcomes.map((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        return outcome.value;
+      }
+      console.error(`[PROBE:${PROBE_REGION}] Batch item ${index} failed:`, outcome.reason.message);
+      return buildErrorResult(checks[index], outcome.reason.message);
+    });
+
+    sendResult(req, res, {
+      region: PROBE_REGION,
+      count: results.length,
+      durationMs: Date.now() - startTime,
+      results,
+    });
+  } catch (error) {
+    console.error('[PROBE] Batch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore results queued before the last restart
+loadOutbox();
+
+// Create the result signing key at start rather than on the first signed response.
+// A bad key file or unwritable data directory is logged, not fatal: unsigned checks keep running.
+if (SIGN_RESULTS) {
+  try {
+    loadResultSigningKey();
+  } catch (error) {
+    console.error(`[PROBE:${PROBE_REGION}] Result signing unavailable: ${error.message}`);
+  }
+}
+
+const egressPolicy = getEgressPolicy();
+console.log(`[PROBE:${PROBE_REGION}] Egress policy: ${egressPolicy.mode} (allow: ${egressPolicy.allow.join(', ') || 'none'}, deny: ${egressPolicy.deny.join(', ') || 'none'})`);
+
+if (INGEST_URL) {
+  startDelivery({
+    ingestUrl: INGEST_URL,
+    headers: INGEST_TOKEN ? { Authorization: `Bearer ${INGEST_TOKEN}` } : {},
+    batchSize: INGEST_BATCH_SIZE,
+    meta: { region: PROBE_REGION },
+    sign: SIGN_RESULTS ? (body) => signResult(body, { region: PROBE_REGION, nonce: body.batchId }) : undefined,
+  });
+}
+
+// Scheduled checks run through the same dispatcher and land in the outbox
+scheduler.initScheduler({
+  runCheck: (config: ProbeRequest) => runCheck(config).catch((error) => buildErrorResult(config, error.message)),
+  onResult: (result: ProbeResult) => {
+    enqueueResult({ ...result, checkedAt: new Date().toISOString() });
+  },
+  // A removed monitor's record history would otherwise stay until it expires
+  onRemove: (monitorId: string) => clearDnsHistory(monitorId),
+});
+
+// Last known schedule first: the remote source may be unreachable right now
+scheduler.loadSchedule();
+
+if (SCHEDULE_URL) {
+  scheduler.startSchedulePull(SCHEDULE_URL, SCHEDULE_REFRESH_SECONDS, PROBE_SECRET ? { Authorization: `Bearer ${PROBE_SECRET}` } : {});
+}
+
+// List scheduled monitors
+app.get('/schedule', authMiddleware, (req, res) => {
+  res.json({
+    region: PROBE_REGION,
+    stats: scheduler.getSchedulerStats(),
+    monitors: scheduler.listMonitors(),
+  });
+});
+
+// Add a scheduled monitor
+app.post('/schedule', authMiddleware, (req, res) => {
+  try {
+    const monitor = scheduler.addMonitor(req.body);
+    res.status(201).json(monitor);
+  } catch (error) {
+    const statusCode = error.message.includes('already scheduled') ? 409 : 400;
+    res.status(statusCode).json({ error: error.message });
+  }
+});
+
+// Update a scheduled monitor (partial update)
+app.put('/schedule/:monitorId', authMiddleware, (req, res) => {
+  try {
+    const monitor = scheduler.updateMonitor(req.params.monitorId, req.body || {});
+    if (!monitor) {
+      return res.status(404).json({ error: 'Monitor not scheduled' });
+    }
+    res.json(monitor);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Pause a scheduled monitor
+app.post('/schedule/:monitorId/pause', authMiddleware, (req, res) => {
+  const monitor = scheduler.pauseMonitor(req.params.monitorId);
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not scheduled' });
+  }
+  res.json(monitor);
+});
+
+// Resume a paused monitor
+app.post('/schedule/:monitorId/resume', authMiddleware, (req, res) => {
+  const monitor = scheduler.resumeMonitor(req.params.monitorId);
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not scheduled' });
+  }
+  res.json(monitor);
+});
+
+// Remove a scheduled monitor
+app.delete('/schedule/:monitorId', authMiddleware, (req, res) => {
+  if (!scheduler.removeMonitor(req.params.monitorId)) {
+    return res.status(404).json({ error: 'Monitor not scheduled' });
+  }
+  res.status(204).end();
+});
+
+// Inspect queued results without removing them
+app.get('/outbox', authMiddleware, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({
+    stats: getOutboxStats(),
+    entries: peekResults(limit),
+  });
+});
+
+// Collect queued results. They leave the outbox only once the response carrying
+// them has been written, so a signing failure or a dropped connection loses nothing.
+app.post('/outbox/drain', authMiddleware, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  try {
+    await drainResults(limit, (entries) => new Promise((resolve, reject) => {
+      const body = prepareResponseBody(req, {
+        region: PROBE_REGION,
+        count: entries.length,
+        remaining: getOutboxStats().size - entries.length,
+        entries,
+      });
+      res.once('finish', resolve);
+      res.once('close', () => reject(new Error('Connection closed before the response was written')));
+      res.json(body);
+    }));
+  } catch (error: any) {
+    console.error('[Outbox] Drain failed, entries kept:', error.message);
+    if (!res.headersSent) {
+      res.status(503).json({ error: `Drain failed, entries kept: ${error.message}` });
+    }
+  }
+});
+
+createProbeServer(app).listen(PORT, '0.0.0', () => {
   console.log(`
 ╔═════════════════════════════════════════════════╗
 ║       StatusBeacon Probe v1.0.0                   ║
 ║  Port:   ${PORT.toString().padEnd(44)}                    ║
+║  Listen: ${getListenerStats().mode.padEnd(44)}                    ║
 ╠═════════════════════════════════════════════╝
   `);
 });
@@ -2,24 +2,49 @@
  * Redirect Chain Tracking for StatusBeacon Probe
  *
  * Manually follows HTTP redirects and tracks the full chain:
- * - Each hop's URL, status code, and timing
+ * - Each hop's URL, status code, and timing breakdown (DNS/TCP/TLS/TTFB/download)
  * - Final destination URL
  * - Detects redirect loops
  * - Detects geo-based redirects
+ * - Optional per-check host -> IP pinning (curl --resolve style) on every hop
+ * - Egress policy enforced on every hop's resolved IPs (see egressPolicy.js)
+ * - HTTP/1.1, HTTP/2 or ALPN-negotiated per check; each hop records its protocol
+ * - Optional per-monitor cookie jar: cookies sent and Set-Cookie stored on every hop
+ * - Request bodies follow browser rules: dropped (and the method turned into GET)
+ *   on 303 and on 301/302 after a POST, repeated unchanged on 307/308
+ * - Optional target authentication (see targetAuth.js), only sent to the starting origin
  */
 
-const http = require('http');
-const https = require('https');
 const { URL } = require('url');
+const { resolveDns, createStaticLookup, isIpAddress, parseResolveOverrides, findResolveOverride } = require('./dnsMonitoring');
+const { resolveHostWithResolvers } = require('./dnsResolvers');
+const { performRequestWithTiming } = require('./timingBreakdown');
+const { assertEgressAllowed } = require('./egressPolicy');
+const { getCookieHeader, storeCookies } = require('./cookieJar');
 
 const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
 const MAX_REDIRECTS = 10;
 
+// Headers describing the body, removed when a redirect drops it (Fetch standard)
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'];
+
+/**
+ * A hop's duration to microsecond precision (its rounded responseTimeMs when it has no timings)
+ */
+function hopDurationMs(hopResult) {
+  return hopResult.timings?.totalMs ?? hopResult.responseTimeMs;
+}
+
 /**
  * Follows redirects manually and tracks the full chain
  * @param {string} initialUrl - Starting URL
- * @param {object} options - Request options (method, headers, timeout, etc.)
- * @param {number} maxRedirects - Maximum redirects to follow (default 10)
+ * @param {object} options - Request options (method, headers, body, timeout, resolvers, resolve, etc.)
+ *   `resolve` pins hostnames to IPs for every hop (see parseResolveOverrides)
+ *   `cookieJar` ({ monitorId, ttlMs }) sends and stores cookies through that monitor's jar
+ *   `auth` (from createTargetAuth) signs same-origin hops and answers one 401 per hop
+ *   `deadline` (a Date.now() timestamp) cuts each hop's `timeout` to the time left before it
+ *   `signal` (an AbortSignal) ends the request in flight, however far it got
+ * @param {number} maxRedirects - Maximum redirects to follow (default 10, 0 = return the first response)
  * @returns {Promise<object>} Redirect chain data
  */
 async function followRedirects(initialUrl, options = {}, maxRedirects = MAX_REDIRECTS) {
@@ -27,9 +52,17 @@ async function followRedirects(initialUrl, options = {}, maxRedirects = MAX_REDI
   const visitedUrls = new Set();
   let currentUrl = initialUrl;
   let redirectCount = 0;
+  // Summed from each hop's unrounded timings and rounded once, so sub-millisecond parts add up
   let totalTime = 0;
 
-  while (redirectCount < maxRedirects) {
+  // Parsed once so a bad override fails the check before any request is made
+  const resolveOverrides = parseResolveOverrides(options.resolve);
+
+  // Method, headers and body can change from hop to hop (see redirectRequest)
+  let request = { method: options.method || 'GET', headers: options.headers, body: options.body };
+  const initialOrigin = options.auth ? new URL(initialUrl).origin : null;
+
+  while (redirectCount < Math.max(maxRedirects, 1)) {
     // Detect redirect loop
     if (visitedUrls.has(currentUrl)) {
       return {
@@ -38,37 +71,66 @@ async function followRedirects(initialUrl, options = {}, maxRedirects = MAX_REDI
         redirectChain,
         isLoop: true,
         loopDetectedAt: currentUrl,
-        totalRedirectTime: totalTime
+        totalRedirectTime: Math.round(totalTime)
       };
     }
 
     visitedUrls.add(currentUrl);
 
+    let headers = request.headers;
+    if (options.cookieJar) {
+      headers = await addCookieHeader(headers, options.cookieJar.monitorId, currentUrl);
+    }
+
+    // Credentials stay with the origin they were configured for
+    const auth = options.auth && new URL(currentUrl).origin === initialOrigin ? options.auth : null;
+    const hopRequest = { url: currentUrl, method: request.method, headers, body: request.body };
+    if (auth) {
+      hopRequest.headers = mergeHeaders(headers, await auth.authorize(hopRequest));
+    }
+
     // Perform single HTTP request (no auto-redirect)
-    const hopResult = await performSingleRequest(currentUrl, {
-      ...options,
-      followRedirects: false // Disable auto-redirect
-    });
+    let hopResult = await sendHop(currentUrl, hopRequest, options, resolveOverrides);
+
+    // One retry with the answer to an authentication challenge (Digest, expired OAuth2 token)
+    let authChallenge;
+    if (auth && hopResult.statusCode === 401) {
+      const answer = await auth.answerChallenge(hopRequest, hopResult);
+      if (answer) {
+        authChallenge = { statusCode: hopResult.statusCode, responseTimeMs: hopResult.responseTimeMs };
+        totalTime += hopDurationMs(hopResult);
+        hopResult = await sendHop(currentUrl, { ...hopRequest, headers: mergeHeaders(hopRequest.headers, answer) }, options, resolveOverrides);
+      }
+    }
 
     const hop = {
       url: currentUrl,
+      method: request.method,
+      requestBytes: request.body ? Buffer.byteLength(request.body) : 0,
       statusCode: hopResult.statusCode,
       location: hopResult.location,
       responseTimeMs: hopResult.responseTimeMs,
-      headers: hopResult.headers
+      headers: hopResult.headers,
+      remoteAddress: hopResult.remoteAddress,
+      protocol: hopResult.protocol,
+      timings: hopResult.timings,
+      dnsResolvers: hopResult.dnsResolvers,
+      error: hopResult.error,
+      egressBlocked: hopResult.egressBlocked,
+      authChallenge
     };
 
     redirectChain.push(hop);
-    totalTime += hopResult.responseTimeMs;
+    totalTime += hopDurationMs(hopResult);
 
-    // If not a redirect, we've reached the final destination
-    if (!REDIRECT_STATUS_CODES.includes(hopResult.statusCode)) {
+    // If not a redirect (or redirects aren't followed), we've reached the final destination
+    if (!REDIRECT_STATUS_CODES.includes(hopResult.statusCode) || maxRedirects === 0) {
       return {
         redirectCount,
         finalUrl: currentUrl,
         redirectChain,
         isLoop: false,
-        totalRedirectTime: totalTime,
+        totalRedirectTime: Math.round(totalTime),
         finalStatusCode: hopResult.statusCode,
         finalResponse: hopResult
       };
@@ -83,7 +145,7 @@ async function followRedirects(initialUrl, options = {}, maxRedirects = MAX_REDI
         finalUrl: currentUrl,
         redirectChain,
         isLoop: false,
-        totalRedirectTime: totalTime,
+        totalRedirectTime: Math.round(totalTime),
         finalStatusCode: hopResult.statusCode,
         finalResponse: hopResult,
         noLocationHeader: true, // Flag to indicate this was a redirect without Location
@@ -93,6 +155,7 @@ async function followRedirects(initialUrl, options = {}, maxRedirects = MAX_REDI
 
     // Follow redirect
     currentUrl = resolveRedirectUrl(currentUrl, hopResult.location);
+    request = redirectRequest(hopResult.statusCode, request);
     redirectCount++;
   }
 
@@ -103,92 +166,175 @@ async function followRedirects(initialUrl, options = {}, maxRedirects = MAX_REDI
     redirectChain,
     isLoop: false,
     maxRedirectsExceeded: true,
-    totalRedirectTime: totalTime,
+    totalRedirectTime: Math.round(totalTime),
     error: `Maximum redirects (${maxRedirects}) exceeded`
   };
 }
 
 /**
- * Performs a single HTTP request without following redirects
+ * One request of a hop; Set-Cookie goes into the monitor's jar when it has one
  */
-function performSingleRequest(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const startTime = Date.now();
-
-    try {
-      const parsedUrl = new URL(url);
-      const isHttps = parsedUrl.protocol === 'https:';
-      const httpModule = isHttps ? https : http;
-
-      const requestOptions = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || (isHttps ? 443 : 80),
-        path: parsedUrl.pathname + parsedUrl.search,
-        method: options.method || 'GET',
-        timeout: options.timeout || 30000,
-        headers: options.headers || {},
-        rejectUnauthorized: options.rejectUnauthorized !== false,
-        // Disable auto-redirect (Node.js doesn't auto-redirect by default, but explicit)
-        followRedirect: false,
-        maxRedirects: 0
-      };
-
-      const req = httpModule.request(requestOptions, (res) => {
-        const responseTimeMs = Date.now() - startTime;
-
-        // Don't read body for redirects (waste of bandwidth)
-        if (REDIRECT_STATUS_CODES.includes(res.statusCode)) {
-          res.resume(); // Drain response to free memory
-          resolve({
-            statusCode: res.statusCode,
-            location: res.headers.location,
-            headers: res.headers,
-            responseTimeMs
-          });
-        } else {
-          // Read body for final response
-          let body = '';
-          res.on('data', chunk => {
-            body += chunk.toString().slice(0, 10000); // Limit to 10KB
-          });
-          res.on('end', () => {
-            resolve({
-              statusCode: res.statusCode,
-              location: res.headers.location,
-              headers: res.headers,
-              body,
-              responseTimeMs
-            });
-          });
-        }
-      });
-
-      req.on('error', (error) => {
-        resolve({
-          statusCode: 0,
-          error: error.message,
-          responseTimeMs: Date.now() - startTime
-        });
-      });
-
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({
-          statusCode: 0,
-          error: 'Request timeout',
-          responseTimeMs: options.timeout || 30000
-        });
-      });
-
-      req.end();
-    } catch (error) {
-      resolve({
-        statusCode: 0,
-        error: error.message,
-        responseTimeMs: Date.now() - startTime
-      });
-    }
+async function sendHop(url, request, options, resolveOverrides) {
+  const timeout = options.deadline
+    ? Math.max(Math.min(options.timeout || 30000, options.deadline - Date.now()), 1)
+    : options.timeout;
+  const hopResult = await performSingleRequest(url, {
+    ...options,
+    timeout,
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    resolveOverrides,
+    followRedirects: false // Disable auto-redirect
   });
+
+  if (options.cookieJar && hopResult.headers && hopResult.headers['set-cookie']) {
+    await storeCookies(options.cookieJar.monitorId, url, hopResult.headers['set-cookie'], options.cookieJar.ttlMs);
+  }
+  return hopResult;
+}
+
+/**
+ * Headers with `extra` applied, replacing same-named headers whatever their case
+ */
+function mergeHeaders(headers = {}, extra = {}) {
+  const names = Object.keys(extra).map(name => name.toLowerCase());
+  const result = Object.fromEntries(Object.entries(headers).filter(([name]) => !names.includes(name.toLowerCase())));
+  return { ...result, ...extra };
+}
+
+/**
+ * The request to send after a redirect, as browsers build it (Fetch standard,
+ * "HTTP-redirect fetch"):
+ * - 303: GET without a body (HEAD stays HEAD)
+ * - 301/302: POST becomes GET without a body; other methods are repeated as-is
+ * - 307/308: method and body repeated unchanged
+ */
+function redirectRequest(statusCode, request) {
+  const dropBody = (statusCode === 303 && request.method !== 'HEAD')
+    || ((statusCode === 301 || statusCode === 302) && request.method === 'POST');
+  if (!dropBody) {
+    return request;
+  }
+
+  const headers = Object.fromEntries(
+    Object.entries(request.headers || {}).filter(([name]) => !BODY_HEADERS.includes(name.toLowerCase()))
+  );
+  return { method: 'GET', headers, body: undefined };
+}
+
+/**
+ * Add the jar's cookies for a URL to the request headers, after any Cookie header already set
+ */
+async function addCookieHeader(headers = {}, monitorId, url) {
+  const jarCookies = await getCookieHeader(monitorId, url);
+  if (!jarCookies) {
+    return headers;
+  }
+
+  const existingName = Object.keys(headers).find(name => name.toLowerCase() === 'cookie');
+  if (!existingName) {
+    return { ...headers, Cookie: jarCookies };
+  }
+  return { ...headers, [existingName]: `${headers[existingName]}; ${jarCookies}` };
+}
+
+/**
+ * Resolve a hop's hostname: pinned IPs first, then the check's own
+ * resolvers when given, otherwise resolveDns (system resolver + cache)
+ */
+async function resolveHop(hostname, port, options, timeout) {
+  const dnsTimeout = Math.min(timeout, 10000);
+
+  const pinnedIps = findResolveOverride(options.resolveOverrides, hostname, port);
+  if (pinnedIps) {
+    return { success: true, ips: pinnedIps, responseTimeMs: 0, cached: false, pinned: true };
+  }
+
+  if (options.resolvers && options.resolvers.length > 0 && !isIpAddress(hostname)) {
+    const result = await resolveHostWithResolvers(hostname, options.resolvers, { timeout: dnsTimeout });
+    return { ...result, cached: false };
+  }
+
+  return resolveDns(hostname, dnsTimeout, options.useDnsCache !== false);
+}
+
+/**
+ * Performs a single HTTP request without following redirects.
+ * DNS is resolved (and timed) up front, then the connection is pinned
+ * to those IPs so the request doesn't do a second, untimed lookup.
+ */
+async function performSingleRequest(url, options = {}) {
+  const timeout = options.timeout || 30000;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return { statusCode: 0, error: error.message, responseTimeMs: 0 };
+  }
+
+  // URL.hostname keeps the brackets around IPv6 literals
+  const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+  const port = parsedUrl.port || (parsedUrl.protocol === 'https:' ? '443' : '80');
+  const dnsResult = await resolveHop(hostname, port, options, timeout);
+
+  if (!dnsResult.success) {
+    return {
+      statusCode: 0,
+      error: `DNS resolution failed for ${hostname}: ${dnsResult.error}`,
+      responseTimeMs: Math.round(dnsResult.responseTimeMs),
+      dnsResolvers: dnsResult.report,
+      timings: { dnsMs: dnsResult.responseTimeMs, tcpMs: null, tlsMs: null, ttfbMs: null, downloadMs: null, totalMs: dnsResult.responseTimeMs }
+    };
+  }
+
+  // Checked after DNS (and on pinned IPs), so names pointing at internal addresses are caught
+  try {
+    assertEgressAllowed(dnsResult.ips, hostname);
+  } catch (error) {
+    return {
+      statusCode: 0,
+      error: error.message,
+      egressBlocked: true,
+      responseTimeMs: Math.round(dnsResult.responseTimeMs),
+      dnsResolvers: dnsResult.report,
+      timings: { dnsMs: dnsResult.responseTimeMs, tcpMs: null, tlsMs: null, ttfbMs: null, downloadMs: null, totalMs: dnsResult.responseTimeMs }
+    };
+  }
+
+  // Host header and SNI still come from the URL; only the connect address is pinned
+  const response = await performRequestWithTiming(url, {
+    method: options.method || 'GET',
+    headers: options.headers || {},
+    body: options.body,
+    timeout,
+    rejectUnauthorized: options.rejectUnauthorized !== false,
+    inspectTls: options.inspectTls !== false,
+    lookup: createStaticLookup(dnsResult.ips),
+    // Pooled sockets are keyed by hostname, not address - never reuse one for a pinned IP
+    agent: dnsResult.pinned ? false : options.agent,
+    httpVersion: options.httpVersion,
+    signal: options.signal,
+    // Don't read body for redirects (waste of bandwidth)
+    skipBodyFor: REDIRECT_STATUS_CODES
+  }, dnsResult.responseTimeMs);
+
+  const timings = { ...response.timings, dnsCached: dnsResult.cached, dnsPinned: dnsResult.pinned === true };
+
+  return {
+    statusCode: response.statusCode,
+    location: response.headers?.location,
+    headers: response.headers,
+    body: response.body,
+    remoteAddress: response.remoteAddress,
+    protocol: response.protocol,
+    error: response.error,
+    tls: response.tls,
+    responseTimeMs: Math.round(timings.totalMs),
+    dnsResolvers: dnsResult.report,
+    timings
+  };
 }
 
 /**
@@ -259,6 +405,7 @@ function detectGeoRedirect(redirectChain) {
 module.exports = {
   followRedirects,
   detectGeoRedirect,
+  mergeHeaders,
   REDIRECT_STATUS_CODES,
   MAX_REDIRECTS
 };
@@ -0,0 +1,178 @@
+/**
+ * Redis Health Check for StatusBeacon Probe
+ *
+ * Speaks just enough RESP to check a Redis server for real:
+ * - Optional AUTH (password, or ACL user + password) and TLS
+ * - PING must answer PONG
+ * - INFO for server version, role and replication state
+ * - Role and replication assertions: expected role, replica link up,
+ *   replica lag, minimum connected replicas on a master
+ */
+
+const { directTlsOption, openDbConnection } = require('./dbSocket');
+
+const CRLF = Buffer.from('\r\n');
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Read one RESP reply. Error replies are returned as { error } rather than thrown.
+ */
+async function readReply(connection) {
+  const line = (await connection.readUntil(CRLF)).toString('utf8');
+  const type = line[0];
+  const rest = line.slice(1);
+
+  switch (type) {
+    case '+':
+      return rest;
+    case '-':
+      return { error: rest };
+    case ':':
+      return parseInt(rest, 10);
+    case '$': {
+      const length = parseInt(rest, 10);
+      if (length < 0) {
+        return null;
+      }
+      const data = await connection.read(length + 2);
+      return data.subarray(0, length).toString('utf8');
+    }
+    case '*': {
+      const count = parseInt(rest, 10);
+      if (count < 0) {
+        return null;
+      }
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        items.push(await readReply(connection));
+      }
+      return items;
+    }
+    default:
+      throw new Error(`Unexpected Redis reply: ${line.slice(0, 100)}`);
+  }
+}
+
+async function command(connection, args) {
+  connection.write(encodeCommand(args));
+  return readReply(connection);
+}
+
+/**
+ * Parse INFO output ("key:value" lines, "# Section" headers)
+ */
+function parseInfo(text) {
+  const info = {};
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      info[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+  return info;
+}
+
+/**
+ * Health-check a Redis server
+ *
+ * @param {string} host - Hostname
+ * @param {number} port - Port
+ * @param {object} options - { lookup, timeoutMs, tls (true | false), servername, user, password,
+ *   expectedRole ('master' | 'replica'), maxReplicationLagSeconds, minConnectedReplicas }
+ * @returns {Promise<object>} { serverVersion, role, replication, timings, tls, errors, warnings }
+ */
+async function checkRedis(host, port, options = {}) {
+  const tls = directTlsOption(options.tls, 'Redis');
+  const connection = await openDbConnection(host, port, { ...options, tls, protocol: 'Redis' });
+  const errors = [];
+  const warnings = [];
+
+  try {
+    if (options.password) {
+      const auth = await command(connection, options.user ? ['AUTH', options.user, options.password] : ['AUTH', options.password]);
+      if (auth && auth.error) {
+        throw new Error(`Redis AUTH failed: ${auth.error}`);
+      }
+      connection.mark('authMs');
+    }
+
+    const pong = await command(connection, ['PING']);
+    if (pong && pong.error) {
+      throw new Error(`Redis PING failed: ${pong.error}`);
+    }
+    if (pong !== 'PONG') {
+      throw new Error(`Unexpected PING reply: ${JSON.stringify(pong)}`);
+    }
+    connection.mark('pingMs');
+
+    const infoReply = await command(connection, ['INFO']);
+    if (infoReply && infoReply.error) {
+      throw new Error(`Redis INFO failed: ${infoReply.error}`);
+    }
+    connection.mark('queryMs');
+    connection.close(encodeCommand(['QUIT']));
+
+    const info = parseInfo(infoReply);
+    // Redis reports "slave"; accept either spelling in the expectation
+    const role = info.role === 'slave' ? 'replica' : info.role || null;
+    const replication = {
+      connectedReplicas: info.connected_slaves !== undefined ? parseInt(info.connected_slaves, 10) : null,
+      masterHost: info.master_host || null,
+      masterLinkStatus: info.master_link_status || null,
+      masterLastIoSecondsAgo: info.master_last_io_seconds_ago !== undefined ? parseInt(info.master_last_io_seconds_ago, 10) : null,
+      masterReplOffset: info.master_repl_offset !== undefined ? parseInt(info.master_repl_offset, 10) : null,
+    };
+
+    const expectedRole = options.expectedRole === 'slave' ? 'replica' : options.expectedRole;
+    if (expectedRole && role !== expectedRole) {
+      errors.push(`Expected role ${expectedRole}, server is ${role}`);
+    }
+
+    if (role === 'replica') {
+      if (replication.masterLinkStatus !== 'up') {
+        errors.push(`Replication link to ${replication.masterHost} is ${replication.masterLinkStatus}`);
+      } else if (options.maxReplicationLagSeconds !== undefined && replication.masterLastIoSecondsAgo > options.maxReplicationLagSeconds) {
+        warnings.push(`Last contact with master ${replication.masterLastIoSecondsAgo}s ago exceeds ${options.maxReplicationLagSeconds}s`);
+      }
+    }
+
+    if (role === 'master' && options.minConnectedReplicas !== undefined && replication.connectedReplicas < options.minConnectedReplicas) {
+      warnings.push(`${replication.connectedReplicas} connected replicas, expected at least ${options.minConnectedReplicas}`);
+    }
+
+    return {
+      protocol: 'redis',
+      serverVersion: info.redis_version || null,
+      role,
+      replication,
+      mode: info.redis_mode || null,
+      timings: connection.timings,
+      tls: connection.tlsReport(),
+      errors,
+      warnings,
+    };
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+}
+
+module.exports = {
+  checkRedis,
+  encodeCommand,
+  parseInfo,
+};
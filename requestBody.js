@@ -0,0 +1,160 @@
+/**
+ * Request Bodies for StatusBeacon Probe
+ *
+ * Turns a check's `body` into bytes plus the headers that describe them:
+ * - raw: text as-is (text/plain unless a content type is given)
+ * - json: any JSON value
+ * - form: application/x-www-form-urlencoded fields
+ * - multipart: multipart/form-data fields plus inline files (utf8 or base64)
+ *
+ * Content-Length is always computed here; Content-Type only when the check
+ * doesn't set its own.
+ */
+
+const crypto = require('crypto');
+
+const BODY_TYPES = ['raw', 'json', 'form', 'multipart'];
+const MAX_REQUEST_BODY_BYTES = parseInt(process.env.PROBE_MAX_REQUEST_BODY_BYTES || String(1024 * 1024), 10);
+
+/**
+ * Field values as a list of strings (a field can repeat)
+ */
+function fieldValues(value) {
+  return (Array.isArray(value) ? value : [value]).map(item => String(item));
+}
+
+/**
+ * Quote a name or filename for Content-Disposition the way browsers do (HTML form encoding)
+ */
+function quoteDispositionValue(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function encodeForm(fields) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(fields || {})) {
+    for (const item of fieldValues(value)) {
+      params.append(name, item);
+    }
+  }
+  return Buffer.from(params.toString(), 'utf8');
+}
+
+function encodeMultipart(fields, files, boundary) {
+  const parts = [];
+  for (const [name, value] of Object.entries(fields || {})) {
+    for (const item of fieldValues(value)) {
+      parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${quoteDispositionValue(name)}"\r\n\r\n${item}\r\n`, 'utf8'));
+    }
+  }
+
+  for (const [index, file] of (files || []).entries()) {
+    if (!file || !file.name) {
+      throw new Error(`body.files[${index}] needs a field name`);
+    }
+    const encoding = file.encoding || 'utf8';
+    if (encoding !== 'utf8' && encoding !== 'base64') {
+      throw new Error(`body.files[${index}] has unknown encoding "${encoding}" (expected utf8 or base64)`);
+    }
+    const filename = file.filename || file.name;
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${quoteDispositionValue(file.name)}"; filename="${quoteDispositionValue(filename)}"\r\n`
+      + `Content-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n`,
+      'utf8'
+    ));
+    parts.push(Buffer.from(file.content || '', encoding));
+    parts.push(Buffer.from('\r\n', 'utf8'));
+  }
+
+  parts.push(Buffer.from(`--${boundary}--\r\n`, 'utf8'));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode a check's body
+ *
+ * @param {string|object} body - A string (raw text) or { type, content, contentType, files }
+ * @returns {object|null} { body (Buffer), contentType, size }, or null when there is no body
+ */
+function buildRequestBody(body) {
+  if (body === undefined || body === null) {
+    return null;
+  }
+
+  const spec = typeof body === 'string' ? { type: 'raw', content: body } : body;
+  let encoded;
+  let contentType;
+
+  switch (spec.type) {
+    case 'raw':
+      if (typeof spec.content !== 'string') {
+        throw new Error('body.content must be a string for type "raw"');
+      }
+      encoded = Buffer.from(spec.content, 'utf8');
+      contentType = spec.contentType || 'text/plain; charset=utf-8';
+      break;
+    case 'json':
+      if (spec.content === undefined) {
+        throw new Error('body.content is required for type "json"');
+      }
+      encoded = Buffer.from(JSON.stringify(spec.content), 'utf8');
+      contentType = spec.contentType || 'application/json';
+      break;
+    case 'form':
+      encoded = encodeForm(spec.content);
+      contentType = 'application/x-www-form-urlencoded';
+      break;
+    case 'multipart': {
+      const boundary = `----StatusBeaconProbe${crypto.randomBytes(12).toString('hex')}`;
+      encoded = encodeMultipart(spec.content, spec.files, boundary);
+      contentType = `multipart/form-data; boundary=${boundary}`;
+      break;
+    }
+    default:
+      throw new Error(`Unknown body type "${spec.type}" (expected ${BODY_TYPES.join(', ')})`);
+  }
+
+  if (encoded.length > MAX_REQUEST_BODY_BYTES) {
+    throw new Error(`Request body is ${encoded.length} bytes (max ${MAX_REQUEST_BODY_BYTES})`);
+  }
+
+  return { body: encoded, contentType, size: encoded.length };
+}
+
+/**
+ * Headers for sending a built body: the check's own Content-Type wins (except
+ * for multipart, which needs its boundary), Content-Length is always ours
+ */
+function applyBodyHeaders(headers = {}, requestBody) {
+  if (!requestBody) {
+    return headers;
+  }
+
+  const result = {};
+  let hasContentType = false;
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (key === 'content-length') {
+      continue;
+    }
+    if (key === 'content-type') {
+      if (requestBody.contentType.startsWith('multipart/')) {
+        continue;
+      }
+      hasContentType = true;
+    }
+    result[name] = value;
+  }
+
+  if (!hasContentType) {
+    result['Content-Type'] = requestBody.contentType;
+  }
+  result['Content-Length'] = String(requestBody.size);
+  return result;
+}
+
+module.exports = {
+  BODY_TYPES,
+  buildRequestBody,
+  applyBodyHeaders,
+};
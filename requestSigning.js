@@ -0,0 +1,198 @@
+/**
+ * Signed Requests for StatusBeacon Probe
+ *
+ * HMAC-SHA256 request signing with replay protection, replacing the static
+ * bearer token:
+ * - Signature over method, path (with query), timestamp, nonce and body hash
+ * - Constant-time signature comparison
+ * - Timestamps outside the clock-skew window are rejected
+ * - Nonces are remembered for the window, so a captured request can't be replayed
+ * - Several key IDs can be active at once for zero-downtime rotation
+ *
+ * Headers:
+ *   X-Probe-Key-Id:    key ID from PROBE_SIGNING_KEYS
+ *   X-Probe-Timestamp: Unix time in seconds
+ *   X-Probe-Nonce:     16-128 random characters [A-Za-z0-9_-], unique per request
+ *   X-Probe-Signature: hex HMAC-SHA256 of the canonical string (see buildCanonicalString)
+ *
+ * Configuration:
+ *   PROBE_SIGNING_KEYS             = "keyId:secret,keyId2:secret2"
+ *   PROBE_SIGNING_MAX_SKEW_SECONDS = 300
+ */
+
+const crypto = require('crypto');
+
+const MAX_SKEW_SECONDS = parseInt(process.env.PROBE_SIGNING_MAX_SKEW_SECONDS || '300', 10);
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const NONCE_PRUNE_INTERVAL_MS = 60000;
+
+// keyId -> secret
+const signingKeys = parseSigningKeys(process.env.PROBE_SIGNING_KEYS);
+
+// "keyId:nonce" -> expiry (ms); a nonce only needs remembering while its timestamp is acceptable
+const seenNonces = new Map();
+let lastNoncePrune = Date.now();
+
+/**
+ * Parse "id:secret,id2:secret2" (secrets may themselves contain ':')
+ */
+function parseSigningKeys(value) {
+  const keys = new Map();
+
+  for (const entry of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`Invalid PROBE_SIGNING_KEYS entry "${entry.split(':')[0]}" (expected keyId:secret)`);
+    }
+    keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+  }
+
+  return keys;
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || Buffer.alloc(0)).digest('hex');
+}
+
+/**
+ * The string that gets signed - one field per line
+ */
+function buildCanonicalString(method, path, timestamp, nonce, body) {
+  return [String(method).toUpperCase(), path, String(timestamp), nonce, sha256Hex(body)].join('\n');
+}
+
+function computeSignature(secret, canonical) {
+  return crypto.createHmac('sha256', secret).update(canonical).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex strings
+ */
+function signaturesMatch(expected, provided) {
+  const expectedBuf = Buffer.from(expected, 'hex');
+  const providedBuf = Buffer.from(String(provided), 'hex');
+  if (expectedBuf.length !== providedBuf.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuf, providedBuf);
+}
+
+/**
+ * Constant-time comparison for arbitrary strings (static bearer tokens).
+ * Both sides are hashed first so the length of the secret isn't leaked.
+ */
+function secretsMatch(expected, provided) {
+  const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+  const providedHash = crypto.createHash('sha256').update(String(provided)).digest();
+  return crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+function pruneNonces(now) {
+  if (now - lastNoncePrune < NONCE_PRUNE_INTERVAL_MS) {
+    return;
+  }
+  lastNoncePrune = now;
+  for (const [key, expiresAt] of seenNonces.entries()) {
+    if (expiresAt <= now) {
+      seenNonces.delete(key);
+    }
+  }
+}
+
+/**
+ * Produce signature headers for a request (for clients, tests and probe-to-server calls)
+ *
+ * @param {object} params - { keyId, secret, method, path, body, timestamp, nonce }
+ * @returns {object} Headers to send
+ */
+function signRequest({ keyId, secret, method, path, body, timestamp, nonce }) {
+  const ts = timestamp ?? Math.floor(Date.now() / 1000);
+  const requestNonce = nonce || crypto.randomBytes(16).toString('hex');
+  const canonical = buildCanonicalString(method, path, ts, requestNonce, body);
+
+  return {
+    'X-Probe-Key-Id': keyId,
+    'X-Probe-Timestamp': String(ts),
+    'X-Probe-Nonce': requestNonce,
+    'X-Probe-Signature': computeSignature(secret, canonical),
+  };
+}
+
+/**
+ * Whether a request carries signature headers at all
+ */
+function isSignedRequest(req) {
+  return Boolean(req.headers['x-probe-signature']);
+}
+
+/**
+ * Verify a signed Express request. Expects req.rawBody (the exact bytes received).
+ * The nonce is only recorded once the signature checks out.
+ *
+ * @returns {{ valid: boolean, keyId?: string, reason?: string }}
+ */
+function verifySignedRequest(req) {
+  const keyId = req.headers['x-probe-key-id'];
+  const timestampHeader = req.headers['x-probe-timestamp'];
+  const nonce = req.headers['x-probe-nonce'];
+  const signature = req.headers['x-probe-signature'];
+
+  if (!keyId || !timestampHeader || !nonce || !signature) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  if (!/^\d+$/.test(timestampHeader)) {
+    return { valid: false, reason: 'Invalid timestamp' };
+  }
+
+  const now = Date.now();
+  const timestamp = parseInt(timestampHeader, 10);
+  if (Math.abs(now / 1000 - timestamp) > MAX_SKEW_SECONDS) {
+    return { valid: false, reason: `Timestamp outside allowed clock skew (${MAX_SKEW_SECONDS}s)` };
+  }
+
+  if (!NONCE_PATTERN.test(nonce)) {
+    return { valid: false, reason: 'Invalid nonce' };
+  }
+
+  // Unknown key IDs get the same answer as bad signatures
+  const secret = signingKeys.get(keyId);
+  const canonical = buildCanonicalString(req.method, req.originalUrl || req.url, timestampHeader, nonce, req.rawBody);
+  if (!secret || !signaturesMatch(computeSignature(secret, canonical), signature)) {
+    return { valid: false, reason: 'Invalid signature' };
+  }
+
+  pruneNonces(now);
+  const nonceKey = `${keyId}:${nonce}`;
+  if (seenNonces.has(nonceKey) && seenNonces.get(nonceKey) > now) {
+    return { valid: false, reason: 'Nonce already used' };
+  }
+  // Remember until the timestamp can no longer pass the skew check
+  seenNonces.set(nonceKey, (timestamp + MAX_SKEW_SECONDS) * 1000 + 1000);
+
+  return { valid: true, keyId };
+}
+
+/**
+ * Whether any signing keys are configured
+ */
+function isSigningEnabled() {
+  return signingKeys.size > 0;
+}
+
+function getSigningStats() {
+  return {
+    keyIds: [...signingKeys.keys()],
+    maxSkewSeconds: MAX_SKEW_SECONDS,
+    noncesTracked: seenNonces.size,
+  };
+}
+
+module.exports = {
+  signRequest,
+  isSignedRequest,
+  verifySignedRequest,
+  isSigningEnabled,
+  secretsMatch,
+  getSigningStats,
+};
@@ -0,0 +1,128 @@
+/**
+ * Signed Result Envelopes for StatusBeacon Probe
+ *
+ * Lets the central server prove which probe produced a result and that
+ * nothing altered it on the way:
+ * - Per-probe Ed25519 key pair, generated on first start and kept on disk
+ * - Results wrapped in { payload, signature } envelopes, where payload is the
+ *   exact signed JSON string (no canonicalization needed to verify)
+ * - Payload carries probe ID, region, timestamp and the caller's nonce
+ * - Public key published so the server can verify (and pin) each probe
+ *
+ * Configuration:
+ *   PROBE_ID              = stable probe identifier (default: hostname)
+ *   PROBE_RESULT_KEY_FILE = private key path (default: ./data/result-signing-key.pem)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROBE_ID = process.env.PROBE_ID || os.hostname();
+const KEY_FILE = process.env.PROBE_RESULT_KEY_FILE || path.join(__dirname, 'data', 'result-signing-key.pem');
+const ALGORITHM = 'ed25519';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+let privateKey = null;
+let publicKeyPem = null;
+let keyId = null;
+
+/**
+ * Load the probe's private key, creating one on first start
+ */
+function loadResultSigningKey() {
+  if (privateKey) {
+    return;
+  }
+
+  // Nothing is kept until the key is usable, so a failed load is retried next time
+  let key;
+  if (fs.existsSync(KEY_FILE)) {
+    key = crypto.createPrivateKey(fs.readFileSync(KEY_FILE));
+    if (key.asymmetricKeyType !== ALGORITHM) {
+      throw new Error(`Result signing key ${KEY_FILE} is ${key.asymmetricKeyType}, expected ${ALGORITHM}`);
+    }
+  } else {
+    key = crypto.generateKeyPairSync(ALGORITHM).privateKey;
+    fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+    fs.writeFileSync(KEY_FILE, key.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`[ResultSigning] Generated new ${ALGORITHM} key at ${KEY_FILE}`);
+  }
+
+  privateKey = key;
+  const publicKey = crypto.createPublicKey(privateKey);
+  publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+  // Short fingerprint of the public key, so the server can tell keys apart
+  keyId = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+}
+
+/**
+ * Keep a caller-supplied nonce only if it is a sane token
+ */
+function sanitizeNonce(nonce) {
+  return typeof nonce === 'string' && NONCE_PATTERN.test(nonce) ? nonce : null;
+}
+
+/**
+ * Wrap data in a signed envelope
+ *
+ * @param {*} data - Result (or batch) to sign
+ * @param {object} context - { region, nonce }
+ * @returns {{ payload: string, signature: string, keyId: string, algorithm: string }}
+ */
+function signResult(data, context = {}) {
+  loadResultSigningKey();
+
+  const payload = JSON.stringify({
+    probeId: PROBE_ID,
+    region: context.region,
+    keyId,
+    timestamp: new Date().toISOString(),
+    nonce: sanitizeNonce(context.nonce),
+    data,
+  });
+
+  return {
+    payload,
+    signature: crypto.sign(null, Buffer.from(payload), privateKey).toString('base64'),
+    keyId,
+    algorithm: ALGORITHM,
+  };
+}
+
+/**
+ * Verify an envelope against a public key and return the parsed payload.
+ * For the central server (and tests) - throws if the signature doesn't match.
+ *
+ * @param {object} envelope - { payload, signature }
+ * @param {string} publicKey - PEM public key from GET /signing-key
+ * @returns {object} { probeId, region, keyId, timestamp, nonce, data }
+ */
+function verifyResultEnvelope(envelope, publicKey) {
+  if (!envelope || typeof envelope.payload !== 'string' || typeof envelope.signature !== 'string') {
+    throw new Error('Malformed result envelope');
+  }
+
+  const valid = crypto.verify(null, Buffer.from(envelope.payload), publicKey, Buffer.from(envelope.signature, 'base64'));
+  if (!valid) {
+    throw new Error('Result envelope signature does not match');
+  }
+
+  return JSON.parse(envelope.payload);
+}
+
+/**
+ * Public half of the key, for GET /signing-key
+ */
+function getResultSigningPublicKey() {
+  loadResultSigningKey();
+  return { probeId: PROBE_ID, keyId, algorithm: ALGORITHM, publicKey: publicKeyPem };
+}
+
+module.exports = {
+  loadResultSigningKey,
+  signResult,
+  verifyResultEnvelope,
+  getResultSigningPublicKey,
+};
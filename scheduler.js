@@ -0,0 +1,508 @@
+/**
+ * Autonomous Check Scheduler for StatusBeacon Probe
+ *
+ * Lets the probe run its own check schedule so monitoring continues
+ * even when the central server can't reach this region:
+ * - Monitors are registered with an interval (seconds)
+ * - Runs are jittered so checks don't fire in lockstep
+ * - Monitors can be added, updated, paused, resumed and removed at runtime
+ * - Optionally pulls the monitor list from a remote URL on a refresh interval
+ * - The schedule is saved next to the outbox journal and restored at startup,
+ *   so a restarted probe keeps checking without reaching the central server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const MIN_INTERVAL_SECONDS = parseInt(process.env.PROBE_SCHEDULE_MIN_INTERVAL_SECONDS || '10', 10);
+const JITTER_RATIO = parseFloat(process.env.PROBE_SCHEDULE_JITTER || '0.1');
+const MAX_IN_FLIGHT = parseInt(process.env.PROBE_SCHEDULE_MAX_IN_FLIGHT || '20', 10);
+const SATURATED_RETRY_MS = 1000;
+const SCHEDULE_FILE = path.join(process.env.PROBE_OUTBOX_DIR || path.join(__dirname, 'data'), 'schedule.json');
+
+// monitorId -> { config, intervalSeconds, paused, source, timer, running, lastRunAt, nextRunAt, lastStatus, runCount }
+const scheduledMonitors = new Map();
+
+let runCheckFn = null;
+let onResultFn = null;
+let onRemoveFn = null;
+let inFlight = 0;
+let pullTimer = null;
+let loaded = false;
+// Set while restoring or syncing, which save once at the end instead of per monitor
+let saveDeferred = false;
+
+/**
+ * Wire the scheduler to the probe's check runner and result sink
+ * @param {object} handlers - { runCheck: async (config) => result, onResult: (result, monitor) => void,
+ *   onRemove: (monitorId) => void } - onRemove lets per-monitor state be dropped with the monitor
+ */
+function initScheduler({ runCheck, onResult, onRemove }) {
+  runCheckFn = runCheck;
+  onResultFn = onResult;
+  onRemoveFn = onRemove || null;
+}
+
+/**
+ * Write every monitor definition to disk (temp file, then rename, so a crash
+ * never leaves a half-written schedule). Run state isn't saved.
+ */
+function saveSchedule() {
+  if (saveDeferred) {
+    return;
+  }
+
+  const monitors = Array.from(scheduledMonitors.values()).map(entry => ({
+    monitor: { ...entry.config, intervalSeconds: entry.intervalSeconds, paused: entry.paused },
+    source: entry.source,
+  }));
+
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULE_FILE), { recursive: true });
+    const tmpFile = `${SCHEDULE_FILE}.tmp`;
+    // Check configs can carry credentials (auth, database passwords)
+    fs.writeFileSync(tmpFile, JSON.stringify(monitors), { mode: 0o600 });
+    fs.renameSync(tmpFile, SCHEDULE_FILE);
+  } catch (error) {
+    console.error('[Scheduler] Failed to save schedule:', error.message);
+  }
+}
+
+/**
+ * Delay until the next run: interval +/- jitter
+ */
+function computeDelayMs(intervalSeconds) {
+  const jitter = (Math.random() * 2 - 1) * JITTER_RATIO;
+  return Math.max(0, Math.round(intervalSeconds * 1000 * (1 + jitter)));
+}
+
+/**
+ * Validate a monitor definition and split it into schedule fields and check config
+ */
+function normalizeMonitor(monitor) {
+  if (!monitor || typeof monitor !== 'object') {
+    throw new Error('Monitor definition must be an object');
+  }
+  if (!monitor.monitorId) {
+    throw new Error('Monitor definition requires a monitorId');
+  }
+
+  const { intervalSeconds, paused, ...config } = monitor;
+  const interval = Number(intervalSeconds);
+
+  if (!Number.isFinite(interval) || interval < MIN_INTERVAL_SECONDS) {
+    throw new Error(`intervalSeconds must be a number >= ${MIN_INTERVAL_SECONDS}`);
+  }
+
+  return { config, intervalSeconds: interval, paused: paused === true };
+}
+
+function clearTimer(entry) {
+  if (entry.timer) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+  }
+  entry.nextRunAt = null;
+}
+
+function scheduleNext(entry, delayMs) {
+  clearTimer(entry);
+  if (entry.paused) {
+    return;
+  }
+
+  entry.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+  entry.timer = setTimeout(() => runScheduledCheck(entry), delayMs);
+  entry.timer.unref();
+}
+
+/**
+ * Run one scheduled check and queue the next run
+ */
+async function runScheduledCheck(entry) {
+  entry.timer = null;
+
+  // Entry was removed or paused while the timer was pending
+  if (scheduledMonitors.get(entry.config.monitorId) !== entry || entry.paused) {
+    return;
+  }
+
+  // Too many checks in flight - try again shortly instead of piling up
+  if (inFlight >= MAX_IN_FLIGHT) {
+    scheduleNext(entry, SATURATED_RETRY_MS);
+    return;
+  }
+
+  // Previous run of this monitor still going - skip this slot
+  if (entry.running) {
+    scheduleNext(entry, computeDelayMs(entry.intervalSeconds));
+    return;
+  }
+
+  entry.running = true;
+  inFlight++;
+
+  try {
+    const result = await runCheckFn(entry.config);
+    entry.lastStatus = result.status;
+    if (onResultFn) {
+      onResultFn(result, entry);
+    }
+  } catch (error) {
+    entry.lastStatus = 'error';
+    console.error(`[Scheduler] Check failed for ${entry.config.monitorId}:`, error.message);
+  } finally {
+    entry.running = false;
+    entry.lastRunAt = new Date().toISOString();
+    entry.runCount++;
+    inFlight--;
+  }
+
+  if (scheduledMonitors.get(entry.config.monitorId) === entry) {
+    scheduleNext(entry, computeDelayMs(entry.intervalSeconds));
+  }
+}
+
+/**
+ * Public view of a scheduled monitor (no timer handles)
+ */
+function describeMonitor(entry) {
+  return {
+    monitorId: entry.config.monitorId,
+    intervalSeconds: entry.intervalSeconds,
+    paused: entry.paused,
+    source: entry.source,
+    running: entry.running,
+    lastRunAt: entry.lastRunAt,
+    nextRunAt: entry.nextRunAt,
+    lastStatus: entry.lastStatus,
+    runCount: entry.runCount,
+    config: entry.config,
+  };
+}
+
+/**
+ * Register a new monitor. Throws if one with the same monitorId exists.
+ */
+function addMonitor(monitor, source = 'api') {
+  const { config, intervalSeconds, paused } = normalizeMonitor(monitor);
+
+  if (scheduledMonitors.has(config.monitorId)) {
+    throw new Error(`Monitor ${config.monitorId} is already scheduled`);
+  }
+
+  const entry = {
+    config,
+    intervalSeconds,
+    paused,
+    source,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    nextRunAt: null,
+    lastStatus: null,
+    runCount: 0,
+  };
+
+  scheduledMonitors.set(config.monitorId, entry);
+
+  // First run lands at a random point within one interval to spread load
+  scheduleNext(entry, Math.round(Math.random() * intervalSeconds * 1000));
+
+  saveSchedule();
+  console.log(`[Scheduler] Added ${config.monitorId} every ${intervalSeconds}s${paused ? ' (paused)' : ''}`);
+  return describeMonitor(entry);
+}
+
+/**
+ * Update an existing monitor's config and/or interval. Returns null if not found.
+ */
+function updateMonitor(monitorId, changes) {
+  const entry = scheduledMonitors.get(monitorId);
+  if (!entry) {
+    return null;
+  }
+
+  const merged = {
+    ...entry.config,
+    intervalSeconds: entry.intervalSeconds,
+    paused: entry.paused,
+    ...changes,
+    monitorId,
+  };
+  const { config, intervalSeconds, paused } = normalizeMonitor(merged);
+
+  const intervalChanged = intervalSeconds !== entry.intervalSeconds;
+  const pausedChanged = paused !== entry.paused;
+
+  entry.config = config;
+  entry.intervalSeconds = intervalSeconds;
+  entry.paused = paused;
+
+  if (paused) {
+    clearTimer(entry);
+  } else if (intervalChanged || pausedChanged) {
+    scheduleNext(entry, computeDelayMs(intervalSeconds));
+  }
+
+  saveSchedule();
+  return describeMonitor(entry);
+}
+
+/**
+ * Pause a monitor (keeps its definition). Returns null if not found.
+ */
+function pauseMonitor(monitorId) {
+  const entry = scheduledMonitors.get(monitorId);
+  if (!entry) {
+    return null;
+  }
+
+  entry.paused = true;
+  clearTimer(entry);
+  saveSchedule();
+  return describeMonitor(entry);
+}
+
+/**
+ * Resume a paused monitor. Returns null if not found.
+ */
+function resumeMonitor(monitorId) {
+  const entry = scheduledMonitors.get(monitorId);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.paused) {
+    entry.paused = false;
+    scheduleNext(entry, computeDelayMs(entry.intervalSeconds));
+    saveSchedule();
+  }
+  return describeMonitor(entry);
+}
+
+/**
+ * Remove a monitor from the schedule. Returns false if not found.
+ */
+function removeMonitor(monitorId) {
+  const entry = scheduledMonitors.get(monitorId);
+  if (!entry) {
+    return false;
+  }
+
+  clearTimer(entry);
+  scheduledMonitors.delete(monitorId);
+  saveSchedule();
+  if (onRemoveFn) {
+    onRemoveFn(monitorId);
+  }
+  console.log(`[Scheduler] Removed ${monitorId}`);
+  return true;
+}
+
+/**
+ * List all scheduled monitors
+ */
+function listMonitors() {
+  return Array.from(scheduledMonitors.values()).map(describeMonitor);
+}
+
+/**
+ * Replace all monitors from a given source with a new list.
+ * Monitors added through the API are left alone by remote syncs,
+ * and a monitor's paused state survives the sync.
+ */
+function syncMonitors(monitors, source = 'remote') {
+  const seen = new Set();
+  let added = 0;
+  let updated = 0;
+  let removed = 0;
+  saveDeferred = true;
+
+  for (const monitor of monitors) {
+    try {
+      const { config } = normalizeMonitor(monitor);
+      seen.add(config.monitorId);
+
+      const existing = scheduledMonitors.get(config.monitorId);
+      if (existing) {
+        if (existing.source !== source) {
+          continue;
+        }
+        updateMonitor(config.monitorId, { ...monitor, paused: existing.paused });
+        updated++;
+      } else {
+        addMonitor(monitor, source);
+        added++;
+      }
+    } catch (error) {
+      console.error(`[Scheduler] Skipping invalid monitor from ${source}:`, error.message);
+    }
+  }
+
+  for (const [monitorId, entry] of scheduledMonitors.entries()) {
+    if (entry.source === source && !seen.has(monitorId)) {
+      removeMonitor(monitorId);
+      removed++;
+    }
+  }
+
+  saveDeferred = false;
+  if (added + updated + removed > 0) {
+    saveSchedule();
+  }
+  return { added, updated, removed };
+}
+
+/**
+ * Restore the saved schedule. Call before the first remote sync, so a probe that
+ * can't reach the schedule source still runs its last known monitors.
+ * Safe to call more than once.
+ */
+function loadSchedule() {
+  if (loaded) {
+    return scheduledMonitors.size;
+  }
+  loaded = true;
+
+  if (!fs.existsSync(SCHEDULE_FILE)) {
+    return 0;
+  }
+
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(SCHEDULE_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`[Scheduler] Cannot read ${SCHEDULE_FILE}:`, error.message);
+    return 0;
+  }
+
+  saveDeferred = true;
+  let restored = 0;
+  for (const { monitor, source } of Array.isArray(saved) ? saved : []) {
+    try {
+      addMonitor(monitor, source);
+      restored++;
+    } catch (error) {
+      console.error('[Scheduler] Skipping saved monitor:', error.message);
+    }
+  }
+  saveDeferred = false;
+
+  console.log(`[Scheduler] Restored ${restored} monitor(s) from ${SCHEDULE_FILE}`);
+  return restored;
+}
+
+/**
+ * GET a JSON document
+ */
+function fetchJson(url, headers = {}, timeout = 15000) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const httpModule = parsedUrl.protocol === 'https:' ? https : http;
+
+    const req = httpModule.get(parsedUrl, { headers, timeout }, (res) => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`Schedule source returned ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error(`Invalid schedule JSON: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error('Schedule fetch timeout'));
+    });
+  });
+}
+
+/**
+ * Pull the monitor list once from a remote source
+ * The source must return an array of monitors or { monitors: [...] }
+ */
+async function pullSchedule(url, headers = {}) {
+  const document = await fetchJson(url, headers);
+  const monitors = Array.isArray(document) ? document : document.monitors;
+
+  if (!Array.isArray(monitors)) {
+    throw new Error('Schedule source did not return a monitor list');
+  }
+
+  const summary = syncMonitors(monitors, 'remote');
+  console.log(`[Scheduler] Synced schedule from ${url}: +${summary.added} ~${summary.updated} -${summary.removed}`);
+  return summary;
+}
+
+/**
+ * Periodically pull the monitor list. Failed pulls keep the last known schedule,
+ * so the probe carries on checking while the central server is unreachable.
+ */
+function startSchedulePull(url, refreshSeconds = 300, headers = {}) {
+  stopSchedulePull();
+
+  const tick = async () => {
+    try {
+      await pullSchedule(url, headers);
+    } catch (error) {
+      console.error(`[Scheduler] Schedule pull failed (keeping last known schedule):`, error.message);
+    }
+    pullTimer = setTimeout(tick, refreshSeconds * 1000);
+    pullTimer.unref();
+  };
+
+  tick();
+}
+
+function stopSchedulePull() {
+  if (pullTimer) {
+    clearTimeout(pullTimer);
+    pullTimer = null;
+  }
+}
+
+/**
+ * Get scheduler statistics
+ */
+function getSchedulerStats() {
+  let paused = 0;
+  for (const entry of scheduledMonitors.values()) {
+    if (entry.paused) {
+      paused++;
+    }
+  }
+
+  return {
+    monitors: scheduledMonitors.size,
+    paused,
+    inFlight,
+  };
+}
+
+module.exports = {
+  initScheduler,
+  loadSchedule,
+  addMonitor,
+  updateMonitor,
+  pauseMonitor,
+  resumeMonitor,
+  removeMonitor,
+  listMonitors,
+  syncMonitors,
+  pullSchedule,
+  startSchedulePull,
+  stopSchedulePull,
+  getSchedulerStats,
+};
@@ -84,7 +84,36 @@ if [ -d "$INSTALL_DIR" ]; then
         curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/cookieJar.js -o cookieJar.js
         curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/redirectTracking.js -o redirectTracking.js
         curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/timingBreakdown.js -o timingBreakdown.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/tlsInspection.js -o tlsInspection.js
         curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/rateLimitDetection.js -o rateLimitDetection.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/batchRunner.js -o batchRunner.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/scheduler.js -o scheduler.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/outbox.js -o outbox.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/metrics.js -o metrics.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/dnsWire.js -o dnsWire.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/dnsClient.js -o dnsClient.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/dnsRecordCheck.js -o dnsRecordCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/dnsResolvers.js -o dnsResolvers.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/egressPolicy.js -o egressPolicy.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/requestSigning.js -o requestSigning.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/tlsListener.js -o tlsListener.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/resultSigning.js -o resultSigning.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/confirmation.js -o confirmation.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/latencyStats.js -o latencyStats.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/tcpSeries.js -o tcpSeries.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/tcpProtocol.js -o tcpProtocol.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/udpCheck.js -o udpCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/dbSocket.js -o dbSocket.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/postgresCheck.js -o postgresCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/mysqlCheck.js -o mysqlCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/redisCheck.js -o redisCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/mongoCheck.js -o mongoCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/websocketCheck.js -o websocketCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/grpcCheck.js -o grpcCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/http2Request.js -o http2Request.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/transactionCheck.js -o transactionCheck.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/requestBody.js -o requestBody.js
+        curl -sSL https://raw.githubusercontent.com/swaqar/statusbeacon-probe/main/targetAuth.js -o targetAuth.js
     fi
 else
     # Fresh install - clone from git
@@ -0,0 +1,522 @@
+/**
+ * Target Authentication for StatusBeacon Probe
+ *
+ * Authenticates HTTP checks against the monitored target (per-check `auth`):
+ * - basic: Authorization: Basic on every request
+ * - bearer: a static bearer token
+ * - digest: answers the server's 401 Digest challenge (MD5, SHA-256, SHA-512-256, -sess, qop auth / auth-int)
+ * - oauth2: client-credentials grant; tokens cached until shortly before they
+ *   expire, and fetched again when the target rejects one with 401
+ * - sigv4: AWS Signature Version 4, signed per request
+ *
+ * Credentials only go to the origin of the check's URL: redirect hops to
+ * another origin are sent without them (see redirectTracking.js).
+ */
+
+const crypto = require('crypto');
+const { buildRequestBody, applyBodyHeaders } = require('./requestBody');
+const { followRedirects, mergeHeaders } = require('./redirectTracking');
+
+const AUTH_TYPES = ['basic', 'bearer', 'digest', 'oauth2', 'sigv4'];
+
+// Digest algorithms, strongest first: when a server offers several, the first match wins
+const DIGEST_ALGORITHMS = {
+  'SHA-512-256': 'sha512-256',
+  'SHA-512-256-SESS': 'sha512-256',
+  'SHA-256': 'sha256',
+  'SHA-256-SESS': 'sha256',
+  MD5: 'md5',
+  'MD5-SESS': 'md5',
+};
+
+// Tokens are renewed this long before they expire (or halfway, for short-lived ones)
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+// Lifetime assumed when the token endpoint doesn't send expires_in
+const DEFAULT_TOKEN_TTL_MS = 300 * 1000;
+const MAX_CACHED_TOKENS = 1000;
+
+// OAuth2 tokens by endpoint + client + scope: { accessToken, expiresAt } or a pending fetch
+const tokenCache = new Map();
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function hash(algorithm, value) {
+  return crypto.createHash(algorithm).update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function requireFields(auth, fields) {
+  for (const field of fields) {
+    if (!auth[field]) {
+      throw new Error(`auth.${field} is required for type "${auth.type}"`);
+    }
+  }
+}
+
+// --- Digest ----------------------------------------------------------------
+
+/**
+ * Parse WWW-Authenticate into challenges: [{ scheme (lower-case), params }]
+ */
+function parseAuthenticateHeader(value) {
+  const challenges = [];
+  const text = Array.isArray(value) ? value.join(', ') : String(value || '');
+  const tokenPattern = /[!#$%&'*+.^_`|~\w-]+/y;
+  let index = 0;
+
+  while (index < text.length) {
+    if (/[\s,]/.test(text[index])) {
+      index++;
+      continue;
+    }
+    tokenPattern.lastIndex = index;
+    const token = tokenPattern.exec(text);
+    if (!token) {
+      index++;
+      continue;
+    }
+    index = tokenPattern.lastIndex;
+
+    let next = index;
+    while (text[next] === ' ' || text[next] === '\t') {
+      next++;
+    }
+    if (text[next] !== '=' || challenges.length === 0) {
+      challenges.push({ scheme: token[0].toLowerCase(), params: {} });
+      continue;
+    }
+
+    // name=value or name="quoted value"
+    index = next + 1;
+    while (text[index] === ' ' || text[index] === '\t') {
+      index++;
+    }
+    let paramValue = '';
+    if (text[index] === '"') {
+      index++;
+      while (index < text.length && text[index] !== '"') {
+        if (text[index] === '\\') {
+          index++;
+        }
+        paramValue += text[index] || '';
+        index++;
+      }
+      index++;
+    } else {
+      while (index < text.length && text[index] !== ',') {
+        paramValue += text[index];
+        index++;
+      }
+      paramValue = paramValue.trim();
+    }
+    challenges[challenges.length - 1].params[token[0].toLowerCase()] = paramValue;
+  }
+
+  return challenges;
+}
+
+function quoteDigestValue(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Authorization header answering a Digest challenge (RFC 7616)
+ *
+ * @param {object} challenge - From pickDigestChallenge
+ * @param {object} auth - { username, password }
+ * @param {object} request - { url, method, body }
+ * @param {string} cnonce - Client nonce
+ * @returns {string} Authorization header value
+ */
+function buildDigestAuthorization(challenge, auth, request, cnonce = crypto.randomBytes(16).toString('hex')) {
+  const params = challenge.params;
+  const algorithm = (params.algorithm || 'MD5').toUpperCase();
+  const hashName = DIGEST_ALGORITHMS[algorithm];
+  const H = (value) => hash(hashName, value);
+
+  const parsedUrl = new URL(request.url);
+  const uri = parsedUrl.pathname + parsedUrl.search;
+  const realm = params.realm || '';
+  const nonce = params.nonce || '';
+  const qops = (params.qop || '').split(',').map(qop => qop.trim().toLowerCase()).filter(Boolean);
+  const qop = qops.includes('auth') ? 'auth' : (qops.includes('auth-int') ? 'auth-int' : null);
+  if (qops.length > 0 && !qop) {
+    throw new Error(`Digest challenge asks for unsupported qop "${params.qop}"`);
+  }
+  const nc = '00000001';
+
+  let ha1 = H(`${auth.username}:${realm}:${auth.password || ''}`);
+  if (algorithm.endsWith('-SESS')) {
+    ha1 = H(`${ha1}:${nonce}:${cnonce}`);
+  }
+  const ha2 = qop === 'auth-int'
+    ? H(`${request.method}:${uri}:${H(request.body || '')}`)
+    : H(`${request.method}:${uri}`);
+  const response = qop
+    ? H(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : H(`${ha1}:${nonce}:${ha2}`);
+
+  const userhash = String(params.userhash).toLowerCase() === 'true';
+  const fields = [
+    `username=${quoteDigestValue(userhash ? H(`${auth.username}:${realm}`) : auth.username)}`,
+    `realm=${quoteDigestValue(realm)}`,
+    `nonce=${quoteDigestValue(nonce)}`,
+    `uri=${quoteDigestValue(uri)}`,
+    `algorithm=${params.algorithm || 'MD5'}`,
+    `response=${quoteDigestValue(response)}`,
+  ];
+  if (qop) {
+    fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce=${quoteDigestValue(cnonce)}`);
+  }
+  if (params.opaque !== undefined) {
+    fields.push(`opaque=${quoteDigestValue(params.opaque)}`);
+  }
+  if (userhash) {
+    fields.push('userhash=true');
+  }
+  return `Digest ${fields.join(', ')}`;
+}
+
+/**
+ * The strongest Digest challenge with an algorithm we support, or null
+ */
+function pickDigestChallenge(header) {
+  const offered = parseAuthenticateHeader(header).filter(challenge => challenge.scheme === 'digest');
+  for (const algorithm of Object.keys(DIGEST_ALGORITHMS)) {
+    const challenge = offered.find(candidate => (candidate.params.algorithm || 'MD5').toUpperCase() === algorithm);
+    if (challenge) {
+      return challenge;
+    }
+  }
+  return null;
+}
+
+// --- OAuth2 client credentials -----------------------------------------------
+
+function tokenCacheKey(auth) {
+  return hash('sha256', JSON.stringify([auth.tokenUrl, auth.clientId, auth.clientSecret, auth.scope || '', auth.audience || '']));
+}
+
+/**
+ * Oldest entries go first once the cache is full; expired ones on every write
+ */
+function cacheToken(key, entry) {
+  tokenCache.delete(key);
+  const now = Date.now();
+  for (const [cachedKey, cached] of tokenCache) {
+    if (cached.expiresAt && cached.expiresAt <= now) {
+      tokenCache.delete(cachedKey);
+    }
+  }
+  while (tokenCache.size >= MAX_CACHED_TOKENS) {
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+  tokenCache.set(key, entry);
+}
+
+/**
+ * Run the client-credentials grant against the token endpoint
+ */
+async function requestToken(auth, network) {
+  const fields = { grant_type: 'client_credentials' };
+  if (auth.scope) {
+    fields.scope = Array.isArray(auth.scope) ? auth.scope.join(' ') : auth.scope;
+  }
+  if (auth.audience) {
+    fields.audience = auth.audience;
+  }
+
+  let headers = { Accept: 'application/json' };
+  if (auth.clientAuth === 'body') {
+    fields.client_id = auth.clientId;
+    fields.client_secret = auth.clientSecret;
+  } else {
+    // RFC 6749 section 2.3.1: both parts form-encoded before Basic encoding
+    const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const requestBody = buildRequestBody({ type: 'form', content: fields });
+  headers = applyBodyHeaders(headers, requestBody);
+
+  const result = await followRedirects(auth.tokenUrl, {
+    ...network,
+    method: 'POST',
+    headers,
+    body: requestBody.body,
+  }, 0);
+  const response = result.finalResponse;
+  if (!response || response.error) {
+    throw new Error(`OAuth2 token request failed: ${response ? response.error : result.error}`);
+  }
+
+  let payload = null;
+  try {
+    payload = JSON.parse(response.body || '');
+  } catch {
+    // Reported below
+  }
+
+  if (response.statusCode !== 200) {
+    const reason = payload && payload.error
+      ? `${payload.error}${payload.error_description ? ` (${payload.error_description})` : ''}`
+      : `HTTP ${response.statusCode}`;
+    throw new Error(`OAuth2 token request failed: ${reason}`);
+  }
+  if (!payload || typeof payload.access_token !== 'string') {
+    throw new Error('OAuth2 token response has no access_token');
+  }
+  if (payload.token_type && payload.token_type.toLowerCase() !== 'bearer') {
+    throw new Error(`OAuth2 token type "${payload.token_type}" is not supported (expected Bearer)`);
+  }
+
+  const lifetimeMs = Number(payload.expires_in) > 0 ? Number(payload.expires_in) * 1000 : DEFAULT_TOKEN_TTL_MS;
+  return {
+    accessToken: payload.access_token,
+    expiresAt: Date.now() + lifetimeMs - Math.min(TOKEN_REFRESH_MARGIN_MS, lifetimeMs / 2),
+  };
+}
+
+/**
+ * A usable token: cached, or fetched (concurrent checks share one fetch)
+ *
+ * @returns {Promise<object>} { accessToken, cached }
+ */
+async function getAccessToken(auth, network, { forceRefresh = false } = {}) {
+  const key = tokenCacheKey(auth);
+  const cached = tokenCache.get(key);
+
+  if (cached && !forceRefresh) {
+    if (cached.pending) {
+      const token = await cached.pending;
+      return { accessToken: token.accessToken, cached: false };
+    }
+    if (cached.expiresAt > Date.now()) {
+      return { accessToken: cached.accessToken, cached: true };
+    }
+  }
+
+  const pending = requestToken(auth, network);
+  cacheToken(key, { pending });
+  try {
+    const token = await pending;
+    cacheToken(key, token);
+    return { accessToken: token.accessToken, cached: false };
+  } catch (error) {
+    tokenCache.delete(key);
+    throw error;
+  }
+}
+
+// --- AWS Signature Version 4 ---------------------------------------------
+
+/**
+ * Percent-encode the way SigV4 expects (RFC 3986 unreserved characters only)
+ */
+function awsUriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function canonicalUri(pathname, service) {
+  const segments = (pathname || '/').split('/');
+  // S3 signs the path encoded once; every other service signs the encoded path encoded again
+  const encoded = service === 's3'
+    ? segments.map(segment => awsUriEncode(safeDecode(segment)))
+    : segments.map(segment => awsUriEncode(segment));
+  return encoded.join('/') || '/';
+}
+
+function canonicalQuery(search) {
+  return search.replace(/^\?/, '').split('&').filter(Boolean)
+    .map(part => {
+      const separator = part.indexOf('=');
+      const name = separator < 0 ? part : part.slice(0, separator);
+      const value = separator < 0 ? '' : part.slice(separator + 1);
+      return [awsUriEncode(safeDecode(name)), awsUriEncode(safeDecode(value))];
+    })
+    .sort(([nameA, valueA], [nameB, valueB]) => {
+      if (nameA !== nameB) {
+        return nameA < nameB ? -1 : 1;
+      }
+      return valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+    })
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ *
+ * @param {object} request - { url, method, headers, body }
+ * @param {object} auth - { accessKeyId, secretAccessKey, sessionToken, region, service }
+ * @param {Date} now - Signing time
+ * @returns {object} Headers to add: Authorization, X-Amz-Date and friends
+ */
+function signAwsRequest(request, auth, now = new Date()) {
+  const parsedUrl = new URL(request.url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = request.body ? hash('sha256', request.body) : EMPTY_PAYLOAD_HASH;
+
+  const added = { 'X-Amz-Date': amzDate };
+  if (auth.service === 's3') {
+    added['X-Amz-Content-Sha256'] = payloadHash;
+  }
+  if (auth.sessionToken) {
+    added['X-Amz-Security-Token'] = auth.sessionToken;
+  }
+
+  // Host, content type and every x-amz-* header are signed
+  const signed = { host: getHeader(request.headers, 'host') || parsedUrl.host };
+  for (const [name, value] of Object.entries(mergeHeaders(request.headers, added))) {
+    const key = name.toLowerCase();
+    if (key.startsWith('x-amz-') || key === 'content-type' || key === 'content-md5') {
+      signed[key] = value;
+    }
+  }
+  const signedNames = Object.keys(signed).sort();
+  const canonicalHeaders = signedNames.map(name => `${name}:${String(signed[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = signedNames.join(';');
+
+  const canonicalRequest = [
+    (request.method || 'GET').toUpperCase(),
+    canonicalUri(parsedUrl.pathname, auth.service),
+    canonicalQuery(parsedUrl.search),
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${dateStamp}/${auth.region}/${auth.service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash('sha256', canonicalRequest)].join('\n');
+  const signingKey = [auth.region, auth.service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), hmac(`AWS4${auth.secretAccessKey}`, dateStamp));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...added,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${auth.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+// --- Authenticator -----------------------------------------------------------
+
+/**
+ * Build the authenticator for a check's `auth` block
+ *
+ * @param {object} auth - { type, ... } (see AUTH_TYPES)
+ * @param {object} network - Options for the token request (timeout, resolvers, resolve, rejectUnauthorized, ...)
+ * @returns {object|null} { authorize(request), answerChallenge(request, response), describe() }, or null without auth
+ */
+function createTargetAuth(auth, network = {}) {
+  if (!auth) {
+    return null;
+  }
+
+  switch (auth.type) {
+    case 'basic':
+      requireFields(auth, ['username']);
+      break;
+    case 'bearer':
+      requireFields(auth, ['token']);
+      break;
+    case 'digest':
+      requireFields(auth, ['username']);
+      break;
+    case 'oauth2':
+      requireFields(auth, ['tokenUrl', 'clientId', 'clientSecret']);
+      new URL(auth.tokenUrl);
+      break;
+    case 'sigv4':
+      requireFields(auth, ['accessKeyId', 'secretAccessKey', 'region', 'service']);
+      break;
+    default:
+      throw new Error(`Unknown auth type "${auth.type}" (expected ${AUTH_TYPES.join(', ')})`);
+  }
+
+  const summary = { type: auth.type, challenged: false };
+  let lastTokenWasCached = false;
+
+  return {
+    /**
+     * Headers to add before a request is sent
+     */
+    async authorize(request) {
+      switch (auth.type) {
+        case 'basic':
+          return { Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}` };
+        case 'bearer':
+          return { Authorization: `Bearer ${auth.token}` };
+        case 'oauth2': {
+          const token = await getAccessToken(auth, network);
+          lastTokenWasCached = token.cached;
+          if (summary.tokenCached === undefined) {
+            summary.tokenCached = token.cached;
+          }
+          return { Authorization: `Bearer ${token.accessToken}` };
+        }
+        case 'sigv4':
+          return signAwsRequest(request, auth);
+        default:
+          // Digest waits for the server's challenge
+          return {};
+      }
+    },
+
+    /**
+     * Headers for one retry after a 401, or null when there is nothing to retry with
+     */
+    async answerChallenge(request, response) {
+      if (auth.type === 'digest') {
+        const challenge = pickDigestChallenge((response.headers || {})['www-authenticate']);
+        if (!challenge) {
+          return null;
+        }
+        summary.challenged = true;
+        return { Authorization: buildDigestAuthorization(challenge, auth, request) };
+      }
+
+      // A cached token may have been revoked early; a fresh one can't do better
+      if (auth.type === 'oauth2' && lastTokenWasCached) {
+        const token = await getAccessToken(auth, network, { forceRefresh: true });
+        lastTokenWasCached = false;
+        summary.challenged = true;
+        summary.tokenRefreshed = true;
+        return { Authorization: `Bearer ${token.accessToken}` };
+      }
+
+      return null;
+    },
+
+    /**
+     * What happened, for the check result (never the credentials)
+     */
+    describe() {
+      return { ...summary };
+    },
+  };
+}
+
+module.exports = {
+  AUTH_TYPES,
+  buildDigestAuthorization,
+  createTargetAuth,
+  pickDigestChallenge,
+  signAwsRequest,
+};
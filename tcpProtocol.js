@@ -0,0 +1,314 @@
+/**
+ * TCP Send/Expect Checks for StatusBeacon Probe
+ *
+ * Goes one step beyond "the port accepts connections":
+ * - Optionally sends a payload (text, hex or base64) once connected
+ * - Reads the reply up to a byte limit / time limit
+ * - Asserts it with a keyword or a regex and returns the captured banner
+ * - TLS directly on connect, or upgraded via STARTTLS for SMTP, IMAP and POP3
+ *
+ * Line protocols work as-is, e.g. Redis ("PING\r\n" -> "+PONG"),
+ * memcached ("version\r\n" -> "VERSION") or an SMTP banner ("220").
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { performance } = require('perf_hooks');
+const { inspectTlsSocket, watchOcspStapling } = require('./tlsInspection');
+const { elapsedMs } = require('./timingBreakdown');
+
+const DEFAULT_MAX_BYTES = 4096;
+const MAX_BYTES_LIMIT = 65536;
+const DEFAULT_READ_TIMEOUT_MS = 5000;
+// Without an expectation, stop reading once the server has gone quiet this long
+const QUIET_MS = 200;
+
+// STARTTLS dialogues: greeting, upgrade command and the reply that allows the upgrade
+const STARTTLS_PROTOCOLS = {
+  smtp: {
+    greeting: /^220[ -]/,
+    // EHLO first - servers only offer STARTTLS to clients that introduced themselves
+    exchange: [
+      { send: 'EHLO statusbeacon-probe\r\n', ok: /^250 /m, requires: /^250[ -]STARTTLS/mi },
+      { send: 'STARTTLS\r\n', ok: /^220 /m },
+    ],
+    // Multi-line SMTP replies end with a "NNN " line
+    complete: text => /(^|\n)\d{3} [^\n]*\n$/.test(text),
+  },
+  imap: {
+    greeting: /^\* OK/,
+    exchange: [{ send: 'a1 STARTTLS\r\n', ok: /^a1 OK/mi }],
+    complete: text => text.endsWith('\n'),
+  },
+  pop3: {
+    greeting: /^\+OK/,
+    exchange: [{ send: 'STLS\r\n', ok: /^\+OK/ }],
+    complete: text => text.endsWith('\n'),
+  },
+};
+
+/**
+ * Buffer everything a socket sends so replies can be read on demand
+ */
+function createReader(socket) {
+  let buffer = Buffer.alloc(0);
+  let ended = false;
+  let failure = null;
+  let wake = null;
+
+  const notify = () => {
+    if (wake) {
+      const resolve = wake;
+      wake = null;
+      resolve();
+    }
+  };
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    notify();
+  };
+  const onEnd = () => {
+    ended = true;
+    notify();
+  };
+  const onError = (error) => {
+    failure = error;
+    notify();
+  };
+
+  socket.on('data', onData);
+  socket.on('end', onEnd);
+  socket.on('close', onEnd);
+  socket.on('error', onError);
+
+  /**
+   * Read until isComplete(text) holds, maxBytes arrived, the peer closed or time ran out.
+   * Without isComplete, a pause of QUIET_MS after the first bytes ends the read.
+   * @returns {Promise<{ data: Buffer, timedOut: boolean }>}
+   */
+  async function read({ isComplete, maxBytes, timeoutMs }) {
+    const deadline = performance.now() + timeoutMs;
+
+    while (true) {
+      if (failure) {
+        throw failure;
+      }
+      if (buffer.length >= maxBytes || ended || (isComplete && isComplete(buffer.toString('utf8')))) {
+        break;
+      }
+
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) {
+        return take(maxBytes, true);
+      }
+
+      const sizeBefore = buffer.length;
+      const waitMs = !isComplete && sizeBefore > 0 ? Math.min(QUIET_MS, remaining) : remaining;
+      let timer;
+      await new Promise((resolve) => {
+        wake = resolve;
+        timer = setTimeout(resolve, waitMs);
+      });
+      clearTimeout(timer);
+      wake = null;
+
+      if (!isComplete && sizeBefore > 0 && buffer.length === sizeBefore && !failure) {
+        break;
+      }
+    }
+
+    return take(maxBytes, false);
+  }
+
+  function take(maxBytes, timedOut) {
+    const data = buffer.subarray(0, maxBytes);
+    buffer = buffer.subarray(data.length);
+    return { data, timedOut };
+  }
+
+  // Hand the raw socket over (e.g. to a TLS upgrade)
+  function detach() {
+    socket.removeListener('data', onData);
+    socket.removeListener('end', onEnd);
+    socket.removeListener('close', onEnd);
+    socket.removeListener('error', onError);
+  }
+
+  return { read, detach };
+}
+
+function encodePayload(payload, encoding = 'utf8') {
+  if (!['utf8', 'hex', 'base64'].includes(encoding)) {
+    throw new Error(`Unsupported sendEncoding: ${encoding} (expected utf8, hex or base64)`);
+  }
+  return Buffer.from(payload, encoding);
+}
+
+/**
+ * Build the reply assertion from { expect, expectRegex }
+ * @returns {{ test: function, description: string } | null}
+ */
+function buildMatcher(exchange) {
+  if (exchange.expectRegex) {
+    let regex;
+    try {
+      regex = new RegExp(exchange.expectRegex);
+    } catch (error) {
+      throw new Error(`Invalid expectRegex: ${error.message}`);
+    }
+    return { test: text => regex.test(text), description: `match /${exchange.expectRegex}/` };
+  }
+  if (exchange.expect) {
+    return { test: text => text.includes(exchange.expect), description: `contain "${exchange.expect}"` };
+  }
+  return null;
+}
+
+function waitForConnect(socket) {
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => {
+      socket.removeListener('error', reject);
+      resolve();
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Start TLS on a connected socket (direct TLS or after STARTTLS). Certificate
+ * problems are reported, not fatal - the caller judges them like any TLS check.
+ */
+function upgradeToTls(socket, servername) {
+  return new Promise((resolve, reject) => {
+    const tlsSocket = tls.connect({
+      socket,
+      servername: net.isIP(servername) ? undefined : servername,
+      rejectUnauthorized: false,
+      requestOCSP: true,
+    });
+    const ocspStapled = watchOcspStapling(tlsSocket);
+    const onClose = () => reject(new Error('Connection closed during TLS handshake'));
+
+    tlsSocket.once('secureConnect', () => {
+      tlsSocket.removeListener('error', reject);
+      tlsSocket.removeListener('close', onClose);
+      resolve({ socket: tlsSocket, report: inspectTlsSocket(tlsSocket, servername, { ocspStapled: ocspStapled() }) });
+    });
+    tlsSocket.once('error', reject);
+    tlsSocket.once('close', onClose);
+  });
+}
+
+/**
+ * Run the STARTTLS dialogue for a protocol on a plain socket
+ * @returns {Promise<string>} The server greeting
+ */
+async function negotiateStartTls(reader, socket, protocolName, readOptions) {
+  const protocol = STARTTLS_PROTOCOLS[protocolName];
+  if (!protocol) {
+    throw new Error(`Unsupported STARTTLS protocol: ${protocolName} (expected ${Object.keys(STARTTLS_PROTOCOLS).join(', ')})`);
+  }
+
+  const greeting = (await reader.read({ ...readOptions, isComplete: protocol.complete })).data.toString('utf8');
+  if (!protocol.greeting.test(greeting)) {
+    throw new Error(`Unexpected ${protocolName.toUpperCase()} greeting: ${greeting.trim().slice(0, 200) || '(none)'}`);
+  }
+
+  for (const step of protocol.exchange) {
+    socket.write(step.send);
+    const reply = (await reader.read({ ...readOptions, isComplete: protocol.complete })).data.toString('utf8');
+    if (!step.ok.test(reply)) {
+      throw new Error(`STARTTLS rejected: ${step.send.trim()} -> ${reply.trim().slice(0, 200) || '(no reply)'}`);
+    }
+    if (step.requires && !step.requires.test(reply)) {
+      throw new Error(`${protocolName.toUpperCase()} server does not offer STARTTLS`);
+    }
+  }
+
+  return greeting;
+}
+
+/**
+ * Connect, optionally secure the connection, send the payload and check the reply
+ *
+ * @param {string} host - Hostname (used for SNI and certificate checks)
+ * @param {number} port - TCP port
+ * @param {object} exchange - { send, sendEncoding, expect, expectRegex, maxBytes, readTimeoutMs, tls, starttls, servername }
+ * @param {object} options - { lookup, timeoutMs }
+ * @returns {Promise<object>} { matched, expectation, banner, bytesRead, readTimedOut, greeting, tls, timings }
+ */
+async function runTcpExchange(host, port, exchange, options = {}) {
+  const maxBytes = Math.min(exchange.maxBytes || DEFAULT_MAX_BYTES, MAX_BYTES_LIMIT);
+  const readOptions = { maxBytes, timeoutMs: exchange.readTimeoutMs || DEFAULT_READ_TIMEOUT_MS };
+  const tlsMode = exchange.starttls ? 'starttls' : (exchange.tls ? 'direct' : 'none');
+  const payload = exchange.send ? encodePayload(exchange.send, exchange.sendEncoding) : null;
+  const matcher = buildMatcher(exchange);
+  const servername = exchange.servername || host;
+
+  const startTime = performance.now();
+  const timeoutMs = options.timeoutMs || 10000;
+  let socket = net.connect({ host, port, lookup: options.lookup });
+  const overall = setTimeout(() => {
+    socket.destroy(new Error(`TCP exchange with ${host}:${port} timed out after ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  try {
+    await waitForConnect(socket);
+    const connectedTime = performance.now();
+    let reader = createReader(socket);
+    let greeting = null;
+    let tlsReport = null;
+
+    if (tlsMode === 'starttls') {
+      greeting = await negotiateStartTls(reader, socket, String(exchange.starttls).toLowerCase(), readOptions);
+    }
+    if (tlsMode !== 'none') {
+      reader.detach();
+      const upgraded = await upgradeToTls(socket, servername);
+      socket = upgraded.socket;
+      tlsReport = upgraded.report;
+      reader = createReader(socket);
+    }
+    const secureTime = performance.now();
+
+    if (payload) {
+      socket.write(payload);
+    }
+
+    // After STARTTLS with nothing to send there is no new reply - the greeting is the banner
+    let reply = { data: Buffer.alloc(0), timedOut: false };
+    if (payload || tlsMode !== 'starttls') {
+      reply = await reader.read({ ...readOptions, isComplete: matcher ? matcher.test : null });
+    }
+    const banner = payload || tlsMode !== 'starttls' ? reply.data.toString('utf8') : greeting;
+    const doneTime = performance.now();
+    socket.end();
+
+    return {
+      matched: matcher ? matcher.test(banner) : null,
+      expectation: matcher ? matcher.description : null,
+      banner,
+      bytesRead: Buffer.byteLength(banner),
+      readTimedOut: reply.timedOut,
+      greeting,
+      tlsMode,
+      tls: tlsReport,
+      timings: {
+        tcpMs: elapsedMs(startTime, connectedTime),
+        tlsMs: tlsMode === 'none' ? null : elapsedMs(connectedTime, secureTime),
+        responseMs: elapsedMs(secureTime, doneTime),
+        totalMs: elapsedMs(startTime, doneTime),
+      },
+    };
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  } finally {
+    clearTimeout(overall);
+  }
+}
+
+module.exports = {
+  STARTTLS_PROTOCOLS,
+  runTcpExchange,
+};
@@ -0,0 +1,160 @@
+/**
+ * TCP Handshake Series for StatusBeacon Probe
+ *
+ * A TCP-based ping: N handshakes against one address at a fixed interval,
+ * without needing raw ICMP sockets:
+ * - Loss percentage (handshakes that got no SYN-ACK in time, or failed)
+ * - Connect RTT distribution and jitter (see latencyStats.js)
+ * - Failure breakdown (timeout / refused / other)
+ * - Loss and jitter thresholds that mark the check degraded or down
+ * - Stops early, with the handshakes done so far, when the check's timeout runs out
+ *
+ * Each handshake is closed as soon as it completes - no data is sent.
+ */
+
+const net = require('net');
+const { performance } = require('perf_hooks');
+const { computeLatencyStats } = require('./latencyStats');
+const { elapsedMs } = require('./timingBreakdown');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * One TCP handshake
+ * @returns {Promise<{ rttMs: number|null, error: string|null, code: string|null }>}
+ */
+function measureHandshake(ip, port, timeoutMs) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const start = performance.now();
+    let settled = false;
+
+    const finish = (rttMs, error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve({
+        rttMs,
+        error: error ? error.message : null,
+        code: error ? error.code || null : null,
+      });
+    };
+
+    const timer = setTimeout(() => {
+      const error = new Error('Connection timeout');
+      error.code = 'ETIMEDOUT';
+      finish(null, error);
+    }, timeoutMs);
+
+    socket.connect({ host: ip, port }, () => finish(elapsedMs(start), null));
+    socket.on('error', error => finish(null, error));
+  });
+}
+
+/**
+ * Run a series of handshakes, started every intervalMs (a slow handshake
+ * delays the next one rather than overlapping it). A handshake is only started
+ * if its full timeout fits in budgetMs, so a cut-short series never counts
+ * a handshake as lost just because the check ran out of time.
+ *
+ * @param {string} ip - Address to connect to (already resolved and egress-checked)
+ * @param {number} port - TCP port
+ * @param {object} options - { count, intervalMs, timeoutMs, budgetMs }
+ * @returns {Promise<object>} { sent, planned, stoppedEarly, received, lossPercent, failures, rtt, probes }
+ */
+async function measureTcpSeries(ip, port, options) {
+  const { count, intervalMs, timeoutMs, budgetMs = Infinity } = options;
+  const deadline = performance.now() + budgetMs;
+  const probes = [];
+
+  for (let seq = 1; seq <= count; seq++) {
+    const started = performance.now();
+    // Only the first handshake can be squeezed, when resolving used up most of the budget
+    const probe = await measureHandshake(ip, port, Math.max(Math.min(timeoutMs, deadline - started), 1));
+    probes.push({ seq, ...probe });
+
+    if (seq < count) {
+      const waitMs = Math.max(intervalMs - (performance.now() - started), 0);
+      if (performance.now() + waitMs + timeoutMs > deadline) {
+        break;
+      }
+      await sleep(waitMs);
+    }
+  }
+
+  const received = probes.filter(probe => probe.rttMs !== null).length;
+  const failures = { timeout: 0, refused: 0, other: 0 };
+  for (const probe of probes) {
+    if (probe.code === 'ETIMEDOUT') {
+      failures.timeout++;
+    } else if (probe.code === 'ECONNREFUSED') {
+      failures.refused++;
+    } else if (probe.error) {
+      failures.other++;
+    }
+  }
+
+  return {
+    ip,
+    port,
+    sent: probes.length,
+    planned: count,
+    stoppedEarly: probes.length < count,
+    received,
+    lossPercent: Math.round(((probes.length - received) / probes.length) * 10000) / 100,
+    failures,
+    rtt: computeLatencyStats(probes.map(probe => probe.rttMs)),
+    probes: probes.map(({ seq, rttMs, error }) => ({ seq, rttMs, error })),
+  };
+}
+
+/**
+ * Judge a series against the check's thresholds. No completed handshake at
+ * all is always down.
+ *
+ * @param {object} report - From measureTcpSeries
+ * @param {object} thresholds - { lossDegradedPercent, lossDownPercent, jitterDegradedMs, jitterDownMs, degradedThresholdMs }
+ * @returns {{ status: 'up'|'degraded'|'down', errors: string[] }}
+ */
+function evaluateTcpSeries(report, thresholds = {}) {
+  if (report.received === 0) {
+    const lastError = report.probes[report.probes.length - 1].error;
+    return { status: 'down', errors: [`No handshake completed (${report.sent} sent): ${lastError}`] };
+  }
+
+  const down = [];
+  const degraded = [];
+  const loss = `Packet loss ${report.lossPercent}% (${report.sent - report.received}/${report.sent})`;
+  const jitter = report.rtt.jitter;
+
+  if (thresholds.lossDownPercent !== undefined && report.lossPercent >= thresholds.lossDownPercent) {
+    down.push(`${loss} reached ${thresholds.lossDownPercent}%`);
+  } else if (thresholds.lossDegradedPercent !== undefined && report.lossPercent >= thresholds.lossDegradedPercent) {
+    degraded.push(`${loss} reached ${thresholds.lossDegradedPercent}%`);
+  }
+
+  if (thresholds.jitterDownMs !== undefined && jitter > thresholds.jitterDownMs) {
+    down.push(`Jitter ${jitter}ms exceeded ${thresholds.jitterDownMs}ms`);
+  } else if (thresholds.jitterDegradedMs !== undefined && jitter > thresholds.jitterDegradedMs) {
+    degraded.push(`Jitter ${jitter}ms exceeded ${thresholds.jitterDegradedMs}ms`);
+  }
+
+  if (thresholds.degradedThresholdMs && report.rtt.median > thresholds.degradedThresholdMs) {
+    degraded.push(`Median connect time ${report.rtt.median}ms exceeded threshold ${thresholds.degradedThresholdMs}ms`);
+  }
+
+  if (down.length > 0) {
+    return { status: 'down', errors: [...down, ...degraded] };
+  }
+  return { status: degraded.length > 0 ? 'degraded' : 'up', errors: degraded };
+}
+
+module.exports = {
+  measureTcpSeries,
+  evaluateTcpSeries,
+};
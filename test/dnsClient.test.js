@@ -0,0 +1,78 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { queryServer } = require('../dnsClient');
+
+const servers = [];
+after(() => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+/**
+ * DoH stub: `respond(query, res)` writes the HTTP response
+ */
+async function startDohServer(respond) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => respond(Buffer.concat(chunks), res));
+  });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}/dns-query`;
+}
+
+/**
+ * An empty NOERROR answer to `query` (the query with the QR bit set)
+ */
+function emptyAnswer(query) {
+  const answer = Buffer.from(query);
+  answer[2] |= 0x80;
+  return answer;
+}
+
+test('DoH answers are decoded', async () => {
+  const url = await startDohServer((query, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/dns-message' });
+    res.end(emptyAnswer(query));
+  });
+
+  const response = await queryServer({ protocol: 'doh', url }, 'example.com', 'A', { timeout: 2000 });
+  assert.equal(response.rcodeName, 'NOERROR');
+  assert.equal(response.protocol, 'doh');
+});
+
+test('a DoH body over 64 KiB is refused', async () => {
+  const url = await startDohServer((query, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/dns-message' });
+    res.end(Buffer.alloc(70000));
+  });
+
+  await assert.rejects(queryServer({ protocol: 'doh', url }, 'example.com', 'A', { timeout: 2000 }), /exceeds 65535 bytes/);
+});
+
+test('a DoH server trickling its answer runs into the total deadline', async () => {
+  const url = await startDohServer((query, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/dns-message' });
+    // One byte every 100ms never trips an idle timeout
+    const answer = emptyAnswer(query);
+    let sent = 0;
+    const timer = setInterval(() => {
+      if (sent >= answer.length || res.destroyed) {
+        clearInterval(timer);
+        res.end();
+        return;
+      }
+      res.write(answer.subarray(sent, sent + 1));
+      sent++;
+    }, 100);
+  });
+
+  const startedAt = Date.now();
+  await assert.rejects(queryServer({ protocol: 'doh', url }, 'example.com', 'A', { timeout: 500 }), /timed out after 500ms/);
+  assert.ok(Date.now() - startedAt < 1500);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkDnsRecords, clearDnsHistory } = require('../dnsRecordCheck');
+
+/**
+ * Stand-in for the resolver: answers every query with `response`
+ */
+function answering(response) {
+  return async () => ({ rcodeName: 'NOERROR', answers: [], authorities: [], responseTimeMs: 1, ...response });
+}
+
+function aRecord(address) {
+  return { name: 'example.com.', type: 'A', ttl: 300, data: address };
+}
+
+const SOA = {
+  name: 'example.com.',
+  type: 'SOA',
+  ttl: 3600,
+  data: { mname: 'ns1.example.com.', rname: 'hostmaster.example.com.', serial: 2024010101, refresh: 7200, retry: 3600, expire: 1209600, minimum: 300 },
+};
+
+test('an SOA taken from the authority section is flagged', async () => {
+  const result = await checkDnsRecords('www.example.com', { recordType: 'SOA' }, { query: answering({ authorities: [SOA] }) });
+
+  assert.equal(result.passed, true);
+  assert.equal(result.fromAuthority, true);
+  assert.equal(result.records[0].fromAuthority, true);
+});
+
+test('an SOA answer is not flagged', async () => {
+  const result = await checkDnsRecords('example.com', { recordType: 'SOA' }, { query: answering({ answers: [SOA] }) });
+
+  assert.equal(result.fromAuthority, false);
+  assert.equal(result.records[0].fromAuthority, undefined);
+});
+
+test('changes are reported against the previous answer until the history is cleared', async () => {
+  const options = { monitorId: 'dns-history' };
+  await checkDnsRecords('example.com', {}, { ...options, query: answering({ answers: [aRecord('192.0.2.1')] }) });
+
+  const changed = await checkDnsRecords('example.com', {}, { ...options, query: answering({ answers: [aRecord('192.0.2.2')] }) });
+  assert.deepEqual(changed.changes.added, ['192.0.2.2']);
+  assert.deepEqual(changed.changes.removed, ['192.0.2.1']);
+
+  clearDnsHistory('dns-history');
+  const fresh = await checkDnsRecords('example.com', {}, { ...options, query: answering({ answers: [aRecord('192.0.2.3')] }) });
+  assert.equal(fresh.changes, null);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseResolver, compareAnswers } = require('../dnsResolvers');
+
+test('parseResolver accepts every spec form', () => {
+  const cases = [
+    ['1.1.1.1', { protocol: 'udp', host: '1.1.1.1', port: 53, label: 'udp://1.1.1.1:53' }],
+    ['udp://1.1.1.1:5353', { protocol: 'udp', host: '1.1.1.1', port: 5353, label: 'udp://1.1.1.1:5353' }],
+    ['tcp://8.8.8.8', { protocol: 'tcp', host: '8.8.8.8', port: 53, label: 'tcp://8.8.8.8:53' }],
+    ['tls://1.1.1.1#one.one.one.one', { protocol: 'dot', host: '1.1.1.1', port: 853, servername: 'one.one.one.one', label: 'dot://1.1.1.1:853' }],
+    ['dot://[2606:4700::1111]:8853', { protocol: 'dot', host: '2606:4700::1111', port: 8853, label: 'dot://[2606:4700::1111]:8853' }],
+    ['2001:db8::53', { protocol: 'udp', host: '2001:db8::53', port: 53, label: 'udp://[2001:db8::53]:53' }],
+    ['https://dns.google/dns-query', { protocol: 'doh', url: 'https://dns.google/dns-query', label: 'https://dns.google/dns-query' }],
+    ['system', { protocol: 'system', label: 'system' }],
+  ];
+
+  for (const [spec, expected] of cases) {
+    const parsed = parseResolver(spec);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.equal(parsed[key], value, `${spec}: ${key}`);
+    }
+  }
+});
+
+test('parseResolver accepts object specs', () => {
+  assert.deepEqual(
+    parseResolver({ protocol: 'dot', host: '10.0.0.53', insecure: true, name: 'internal' }),
+    { protocol: 'dot', host: '10.0.0.53', port: 853, insecure: true, name: 'internal', label: 'internal' },
+  );
+  assert.equal(parseResolver({ protocol: 'tcp', host: '10.0.0.53' }).label, 'tcp://10.0.0.53:53');
+  assert.equal(parseResolver({ protocol: 'doh', url: 'https://doh.example/dns-query' }).label, 'https://doh.example/dns-query');
+});
+
+test('parseResolver rejects bad specs', () => {
+  assert.throws(() => parseResolver('ftp://1.1.1.1'), /Unsupported resolver scheme/);
+  assert.throws(() => parseResolver('udp://1.1.1.1:99999'), /Invalid resolver/);
+  assert.throws(() => parseResolver('udp://1.1.1.1:abc'), /Invalid resolver/);
+  assert.throws(() => parseResolver(''), /Invalid resolver/);
+  assert.throws(() => parseResolver({ protocol: 'doh' }), /requires a url/);
+  assert.throws(() => parseResolver({ protocol: 'tcp' }), /requires a host/);
+});
+
+function answered(resolver, values, rcode = 'NOERROR') {
+  return { resolver, success: true, rcode, values };
+}
+
+function failed(resolver) {
+  return { resolver, success: false, error: 'timed out' };
+}
+
+test('compareAnswers reports agreement', () => {
+  const entries = [answered('a', ['192.0.2.1', '192.0.2.2']), answered('b', ['192.0.2.2', '192.0.2.1']), failed('c')];
+  const comparison = compareAnswers(entries);
+
+  assert.equal(comparison.disagreement, false);
+  assert.deepEqual(comparison.disagreeing, []);
+  assert.deepEqual(comparison.majority, { rcode: 'NOERROR', values: ['192.0.2.1', '192.0.2.2'], count: 2 });
+  assert.deepEqual(entries.map(entry => entry.agreesWithMajority), [true, true, null]);
+});
+
+test('compareAnswers flags the resolvers outside the majority', () => {
+  const entries = [answered('a', ['192.0.2.1']), answered('hijacked', ['203.0.113.9']), answered('c', ['192.0.2.1']), answered('d', [], 'NXDOMAIN')];
+  const comparison = compareAnswers(entries);
+
+  assert.equal(comparison.disagreement, true);
+  assert.deepEqual(comparison.disagreeing, ['hijacked', 'd']);
+  assert.deepEqual(comparison.majority, { rcode: 'NOERROR', values: ['192.0.2.1'], count: 2 });
+  assert.deepEqual(entries.map(entry => entry.agreesWithMajority), [true, false, true, false]);
+});
+
+test('compareAnswers has no majority on a tie', () => {
+  const entries = [answered('a', ['192.0.2.1']), answered('b', ['198.51.100.1']), failed('c')];
+  const comparison = compareAnswers(entries);
+
+  assert.equal(comparison.disagreement, true);
+  assert.equal(comparison.majority, null);
+  assert.deepEqual(comparison.disagreeing, ['a', 'b']);
+  assert.deepEqual(entries.map(entry => entry.agreesWithMajority), [null, null, null]);
+});
+
+test('compareAnswers has no majority when nobody answered', () => {
+  const comparison = compareAnswers([failed('a'), failed('b')]);
+
+  assert.equal(comparison.majority, null);
+  assert.equal(comparison.disagreement, false);
+  assert.deepEqual(comparison.disagreeing, []);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The built-in ranges only, whatever the environment running the tests sets
+delete process.env.PROBE_EGRESS_POLICY;
+delete process.env.PROBE_EGRESS_ALLOW;
+delete process.env.PROBE_EGRESS_DENY;
+const { checkEgress } = require('../egressPolicy');
+
+// [form, address, rule it is blocked by (null if allowed)]
+const EMBEDDED_IPV4_CASES = [
+  ['IPv4-mapped, dotted', '::ffff:127.0.0.1', '127.0.0.0/8'],
+  ['IPv4-mapped, hex', '0:0:0:0:0:ffff:7f00:1', '127.0.0.0/8'],
+  ['IPv4-mapped, public', '::ffff:93.184.216.34', null],
+  ['IPv4-translated', '::ffff:0:7f00:1', '127.0.0.0/8'],
+  ['IPv4-translated, dotted', '::ffff:0:10.0.0.1', '10.0.0.0/8'],
+  ['IPv4-translated, public', '::ffff:0:5db8:d822', null],
+  ['IPv4-compatible', '::7f00:1', '127.0.0.0/8'],
+  ['IPv4-compatible, dotted', '::169.254.169.254', '169.254.0.0/16'],
+  ['IPv4-compatible, public', '::5db8:d822', null],
+  ['NAT64', '64:ff9b::a9fe:a9fe', '169.254.0.0/16'],
+  ['NAT64, dotted', '64:ff9b::192.168.1.1', '192.168.0.0/16'],
+  ['NAT64, public', '64:ff9b::5db8:d822', null],
+  ['6to4', '2002:c0a8:101::1', '192.168.0.0/16'],
+  ['6to4, fully written out', '2002:0a00:0001:0000:0000:0000:0000:0001', '10.0.0.0/8'],
+  ['6to4, public', '2002:5db8:d822::1', null],
+  ['Teredo, private server', '2001:0:a00:1::', '10.0.0.0/8'],
+  ['Teredo, loopback client', '2001:0:4136:e378:8000:63bf:80ff:fffe', '127.0.0.0/8'],
+  ['Teredo, metadata client', '2001:0:4136:e378:8000:63bf:5601:5601', '169.254.0.0/16'],
+  ['Teredo, public (RFC 4380 example)', '2001:0:4136:e378:8000:63bf:3fff:fdd2', null],
+];
+
+test('IPv6 addresses are judged by the IPv4 address they carry', () => {
+  for (const [form, address, rule] of EMBEDDED_IPV4_CASES) {
+    const decision = checkEgress(address);
+    assert.equal(decision.allowed, rule === null, `${form}: ${address}`);
+    assert.equal(decision.rule, rule, `${form}: ${address}`);
+  }
+});
+
+test('built-in IPv6 ranges are blocked', () => {
+  const cases = [
+    ['::1', '::1/128'],
+    ['::', '::/128'],
+    ['100::1', '100::/64'],
+    ['fd00:ec2::254', 'fc00::/7'],
+    ['fe80::1', 'fe80::/10'],
+    ['fec0::1', 'fec0::/10'],
+    ['feff:ffff::1', 'fec0::/10'],
+    ['ff02::1', 'ff00::/8'],
+  ];
+
+  for (const [address, rule] of cases) {
+    assert.equal(checkEgress(address).rule, rule, address);
+  }
+});
+
+test('public addresses are allowed', () => {
+  for (const address of ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946', '100:0:0:1::1', '2001:db8::1']) {
+    assert.equal(checkEgress(address).allowed, true, address);
+  }
+});
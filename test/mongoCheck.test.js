@@ -0,0 +1,117 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const { checkMongo, encodeDocument, decodeDocument } = require('../mongoCheck');
+
+const servers = [];
+after(() => {
+  for (const server of servers) {
+    server.close();
+  }
+});
+
+test('encodeDocument writes BSON strings, booleans, int32 and subdocuments', () => {
+  const encoded = encodeDocument({ hello: 1, $db: 'admin', ok: true, nested: { a: 'b' } });
+  const expected = Buffer.from(
+    '3a000000'
+    + '1068656c6c6f0001000000'
+    + '022464620006000000' + '61646d696e00'
+    + '086f6b0001'
+    + '036e657374656400' + '0e000000' + '0261000200000062' + '0000'
+    + '00',
+    'hex',
+  );
+  assert.deepEqual(encoded, expected);
+});
+
+test('decodeDocument reads the types hello and buildInfo replies use', () => {
+  const double = Buffer.alloc(8);
+  double.writeDoubleLE(1);
+  const date = Buffer.alloc(8);
+  date.writeBigInt64LE(1704067200000n);
+  const int64 = Buffer.alloc(8);
+  int64.writeBigInt64LE(42n);
+  const body = Buffer.concat([
+    Buffer.from([0x01]), Buffer.from('ok\0'), double,
+    Buffer.from([0x02]), Buffer.from('setName\0'), Buffer.from([4, 0, 0, 0]), Buffer.from('rs0\0'),
+    Buffer.from([0x04]), Buffer.from('hosts\0'), encodeDocument({ 0: 'a:27017', 1: 'b:27017' }),
+    Buffer.from([0x07]), Buffer.from('electionId\0'), Buffer.from('7fffffff0000000000000001', 'hex'),
+    Buffer.from([0x09]), Buffer.from('localTime\0'), date,
+    Buffer.from([0x0a]), Buffer.from('nothing\0'),
+    Buffer.from([0x12]), Buffer.from('operationTime\0'), int64,
+  ]);
+  const length = Buffer.alloc(4);
+  length.writeInt32LE(body.length + 5);
+
+  assert.deepEqual(decodeDocument(Buffer.concat([length, body, Buffer.from([0])])), {
+    ok: 1,
+    setName: 'rs0',
+    hosts: ['a:27017', 'b:27017'],
+    electionId: '7fffffff0000000000000001',
+    localTime: '2024-01-01T00:00:00.000Z',
+    nothing: null,
+    operationTime: 42,
+  });
+  assert.throws(() => decodeDocument(Buffer.from('0c0000007f6b6579000000000000', 'hex')), /Unsupported BSON type 0x7f/);
+});
+
+/**
+ * OP_MSG stub: `respond(command)` returns the reply document
+ */
+async function startMongoServer(respond) {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      while (buffered.length >= 4 && buffered.length >= buffered.readInt32LE(0)) {
+        const message = buffered.subarray(0, buffered.readInt32LE(0));
+        buffered = buffered.subarray(message.length);
+
+        const command = decodeDocument(message, 21);
+        commands.push(command);
+        const body = Buffer.concat([Buffer.alloc(4), Buffer.from([0]), encodeDocument(respond(command))]);
+        const header = Buffer.alloc(16);
+        header.writeInt32LE(16 + body.length, 0);
+        header.writeInt32LE(1, 4);
+        header.writeInt32LE(message.readInt32LE(4), 8);
+        header.writeInt32LE(2013, 12);
+        socket.write(Buffer.concat([header, body]));
+      }
+    });
+  });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, commands };
+}
+
+test('falls back to isMaster when the server does not know hello', async () => {
+  const { port, commands } = await startMongoServer((command) => {
+    if (command.hello) {
+      return { ok: 0, errmsg: "no such command: 'hello'", code: 59, codeName: 'CommandNotFound' };
+    }
+    if (command.isMaster) {
+      return { ismaster: true, setName: 'rs0', primary: 'a:27017', maxWireVersion: 8, ok: 1 };
+    }
+    return { version: '4.2.0', ok: 1 };
+  });
+
+  const report = await checkMongo('127.0.0.1', port, { expectedRole: 'primary', timeoutMs: 2000 });
+  assert.deepEqual(commands.map(command => Object.keys(command)[0]), ['hello', 'isMaster', 'buildInfo']);
+  assert.equal(report.role, 'primary');
+  assert.equal(report.serverVersion, '4.2.0');
+  assert.equal(report.maxWireVersion, 8);
+  assert.deepEqual(report.errors, []);
+});
+
+test('other hello failures are not retried', async () => {
+  const { port, commands } = await startMongoServer(() => ({ ok: 0, errmsg: 'not authorized', code: 13 }));
+
+  await assert.rejects(checkMongo('127.0.0.1', port, { timeoutMs: 2000 }), /MongoDB hello failed: not authorized/);
+  assert.equal(commands.length, 1);
+});
+
+test('tls "prefer" is refused instead of meaning "require"', async () => {
+  await assert.rejects(checkMongo('127.0.0.1', 27017, { tls: 'prefer' }), /tls must be true or false/);
+});
@@ -0,0 +1,127 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+
+const { checkMysql, parseHandshake, scrambleNative, scrambleCachingSha2 } = require('../mysqlCheck');
+
+const servers = [];
+after(() => {
+  for (const server of servers) {
+    server.close();
+  }
+});
+
+const hash = (algorithm, ...parts) => parts.reduce((h, part) => h.update(part), crypto.createHash(algorithm)).digest();
+const xor = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+
+const SCRAMBLE = Buffer.from('0123456789abcdefghij');
+
+/**
+ * Initial handshake (protocol 10) offering `plugin`
+ */
+function handshakePacket(plugin, scramble = SCRAMBLE) {
+  const capabilities = 0x00000200 | 0x00000800 | 0x00008000 | 0x00080000;
+  const fixed = Buffer.alloc(18);
+  fixed.writeUInt16LE(capabilities & 0xffff, 0);
+  fixed[2] = 45;
+  fixed.writeUInt16LE(0x0002, 3);
+  fixed.writeUInt16LE(capabilities >>> 16, 5);
+  fixed[7] = 21;
+  const connectionId = Buffer.alloc(4);
+  connectionId.writeUInt32LE(42);
+  return Buffer.concat([
+    Buffer.from([10]), Buffer.from('8.0.36\0'), connectionId,
+    scramble.subarray(0, 8), Buffer.from([0]), fixed,
+    scramble.subarray(8), Buffer.from([0]), Buffer.from(`${plugin}\0`),
+  ]);
+}
+
+test('parseHandshake reads version, connection ID, capabilities, scramble and plugin', () => {
+  const handshake = parseHandshake(handshakePacket('caching_sha2_password'));
+
+  assert.equal(handshake.serverVersion, '8.0.36');
+  assert.equal(handshake.connectionId, 42);
+  assert.equal(handshake.authPlugin, 'caching_sha2_password');
+  assert.deepEqual(handshake.scramble, SCRAMBLE);
+  assert.ok(handshake.capabilities & 0x00000800);
+  assert.throws(() => parseHandshake(Buffer.from([9])), /Not a MySQL server/);
+});
+
+test('scrambles verify the way the server checks them', () => {
+  // mysql_native_password: the server keeps SHA1(SHA1(password))
+  const storedNative = hash('sha1', hash('sha1', 'secret'));
+  const nativeStage1 = xor(scrambleNative('secret', SCRAMBLE), hash('sha1', SCRAMBLE, storedNative));
+  assert.deepEqual(hash('sha1', nativeStage1), storedNative);
+
+  // caching_sha2_password fast path: the server caches SHA256(SHA256(password))
+  const storedSha2 = hash('sha256', hash('sha256', 'secret'));
+  const sha2Stage1 = xor(scrambleCachingSha2('secret', SCRAMBLE), hash('sha256', storedSha2, SCRAMBLE));
+  assert.deepEqual(hash('sha256', sha2Stage1), storedSha2);
+});
+
+/**
+ * Stub offering `initialPlugin`, then switching the client to mysql_native_password
+ */
+async function startMysqlServer(initialPlugin, password) {
+  const seen = [];
+  const switchScramble = Buffer.from('ABCDEFGHIJKLMNOPQRST');
+  const server = net.createServer((socket) => {
+    let buffered = Buffer.alloc(0);
+    let step = 0;
+    const send = (sequence, payload) => {
+      const header = Buffer.alloc(4);
+      header.writeUIntLE(payload.length, 0, 3);
+      header[3] = sequence;
+      socket.write(Buffer.concat([header, payload]));
+    };
+    const ok = Buffer.from([0x00, 0x00, 0x00, 0x02, 0x00, 0x00, 0x00]);
+
+    send(0, handshakePacket(initialPlugin));
+    socket.on('data', (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      while (buffered.length >= 4 && buffered.length >= 4 + buffered.readUIntLE(0, 3)) {
+        const sequence = buffered[3];
+        const payload = buffered.subarray(4, 4 + buffered.readUIntLE(0, 3));
+        buffered = buffered.subarray(4 + payload.length);
+        step++;
+
+        if (step === 1) {
+          // Handshake response: 32-byte header, user, auth response, plugin name
+          const userEnd = payload.indexOf(0, 32);
+          const authLength = payload[userEnd + 1];
+          const pluginStart = userEnd + 2 + authLength;
+          seen.push({ user: payload.subarray(32, userEnd).toString(), plugin: payload.subarray(pluginStart, payload.indexOf(0, pluginStart)).toString() });
+          send(sequence + 1, Buffer.concat([Buffer.from([0xfe]), Buffer.from('mysql_native_password\0'), switchScramble, Buffer.from([0])]));
+        } else if (step === 2) {
+          const stored = hash('sha1', hash('sha1', password));
+          const stage1 = xor(payload, hash('sha1', switchScramble, stored));
+          const valid = payload.length === 20 && hash('sha1', stage1).equals(stored);
+          seen.push({ switchedResponseValid: valid });
+          send(sequence + 1, valid ? ok : Buffer.concat([Buffer.from([0xff, 0x15, 0x04]), Buffer.from('#28000Access denied')]));
+        } else if (payload[0] === 0x0e) {
+          send(sequence + 1, ok);
+        }
+      }
+    });
+  });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, seen };
+}
+
+test('an unsupported initial plugin is answered so the server can switch', async () => {
+  const { port, seen } = await startMysqlServer('sha256_password', 'secret');
+
+  const report = await checkMysql('127.0.0.1', port, { user: 'monitor', password: 'secret', timeoutMs: 2000 });
+  assert.deepEqual(seen, [{ user: 'monitor', plugin: 'mysql_native_password' }, { switchedResponseValid: true }]);
+  assert.equal(report.authenticated, true);
+  assert.equal(report.authPlugin, 'mysql_native_password');
+  assert.equal(report.serverVersion, '8.0.36');
+});
+
+test('a wrong password after the switch is reported', async () => {
+  const { port } = await startMysqlServer('sha256_password', 'secret');
+
+  await assert.rejects(checkMysql('127.0.0.1', port, { user: 'monitor', password: 'wrong', timeoutMs: 2000 }), /MySQL error 1045 \(28000\): Access denied/);
+});
@@ -0,0 +1,188 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+/**
+ * A fresh copy of the outbox module journaling to `dir` (a second call with the
+ * same dir is a probe restart)
+ */
+function loadOutboxModule(dir) {
+  process.env.PROBE_OUTBOX_DIR = dir;
+  delete require.cache[require.resolve('../outbox')];
+  return require('../outbox');
+}
+
+/**
+ * Ingest stub: `respond(body, requestNumber)` returns { status, headers }
+ */
+async function startReceiver(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      const body = JSON.parse(data);
+      requests.push({ at: Date.now(), headers: req.headers, body });
+      const { status, headers } = respond(body, requests.length);
+      res.writeHead(status, headers);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { requests, server, url: `http://127.0.0.1:${server.address().port}/ingest` };
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('delivers queued results and acknowledges them', async () => {
+  const outbox = loadOutboxModule(tempDir());
+  const receiver = await startReceiver(() => ({ status: 200 }));
+  try {
+    outbox.enqueueResult({ monitorId: 'a', status: 'up' });
+    outbox.enqueueResult({ monitorId: 'b', status: 'down' });
+    outbox.startDelivery({ ingestUrl: receiver.url, meta: { region: 'test' }, pollIntervalMs: 50 });
+
+    await waitFor(() => outbox.getOutboxStats().size === 0);
+    const delivered = receiver.requests.flatMap(request => request.body.results.map(entry => entry.result.monitorId));
+    assert.deepEqual(delivered.sort(), ['a', 'b']);
+    assert.equal(receiver.requests[0].body.region, 'test');
+    assert.equal(receiver.requests[0].headers['idempotency-key'], receiver.requests[0].body.batchId);
+  } finally {
+    outbox.stopDelivery();
+    receiver.server.close();
+  }
+});
+
+test('backs off on 5xx for as long as Retry-After asks', async () => {
+  const outbox = loadOutboxModule(tempDir());
+  const receiver = await startReceiver((body, n) => (n === 1 ? { status: 503, headers: { 'Retry-After': '1' } } : { status: 200 }));
+  try {
+    outbox.enqueueResult({ monitorId: 'a', status: 'up' });
+    outbox.startDelivery({ ingestUrl: receiver.url, pollIntervalMs: 50 });
+
+    await waitFor(() => receiver.requests.length === 1);
+    await waitFor(() => outbox.getOutboxStats().delivery.consecutiveFailures === 1);
+    assert.equal(outbox.getOutboxStats().size, 1);
+
+    await waitFor(() => outbox.getOutboxStats().size === 0);
+    assert.equal(receiver.requests.length, 2);
+    assert.ok(receiver.requests[1].at - receiver.requests[0].at >= 950, 'retried before Retry-After elapsed');
+    assert.equal(receiver.requests[1].body.batchId, receiver.requests[0].body.batchId);
+    assert.equal(outbox.getOutboxStats().delivery.consecutiveFailures, 0);
+  } finally {
+    outbox.stopDelivery();
+    receiver.server.close();
+  }
+});
+
+test('halves the batch on 413 and delivers every result', async () => {
+  const outbox = loadOutboxModule(tempDir());
+  const receiver = await startReceiver(body => ({ status: body.results.length > 2 ? 413 : 200 }));
+  try {
+    for (let i = 0; i < 8; i++) {
+      outbox.enqueueResult({ monitorId: `m${i}`, status: 'up' });
+    }
+    outbox.startDelivery({ ingestUrl: receiver.url, batchSize: 8, pollIntervalMs: 50 });
+
+    await waitFor(() => outbox.getOutboxStats().size === 0);
+    const accepted = receiver.requests.filter(request => request.body.results.length <= 2);
+    assert.deepEqual(accepted.flatMap(request => request.body.results.map(entry => entry.result.monitorId)), ['m0', 'm1', 'm2', 'm3', 'm4', 'm5', 'm6', 'm7']);
+    assert.equal(outbox.getOutboxStats().delivery.rejected, 0);
+  } finally {
+    outbox.stopDelivery();
+    receiver.server.close();
+  }
+});
+
+test('drops only the result a 422 refers to', async () => {
+  const outbox = loadOutboxModule(tempDir());
+  const receiver = await startReceiver(body => ({ status: body.results.some(entry => entry.result.monitorId === 'bad') ? 422 : 200 }));
+  try {
+    for (const monitorId of ['m0', 'm1', 'bad', 'm3', 'm4']) {
+      outbox.enqueueResult({ monitorId, status: 'up' });
+    }
+    outbox.startDelivery({ ingestUrl: receiver.url, batchSize: 5, pollIntervalMs: 50 });
+
+    await waitFor(() => outbox.getOutboxStats().size === 0);
+    const accepted = receiver.requests.filter(request => !request.body.results.some(entry => entry.result.monitorId === 'bad'));
+    assert.deepEqual(accepted.flatMap(request => request.body.results.map(entry => entry.result.monitorId)), ['m0', 'm1', 'm3', 'm4']);
+    assert.equal(outbox.getOutboxStats().delivery.rejected, 1);
+  } finally {
+    outbox.stopDelivery();
+    receiver.server.close();
+  }
+});
+
+test('replays the journal after a restart', async () => {
+  const dir = tempDir();
+  const before = loadOutboxModule(dir);
+  const kept = before.enqueueResult({ monitorId: 'kept', status: 'up' });
+  const drained = before.enqueueResult({ monitorId: 'drained', status: 'up' });
+  assert.deepEqual((await before.drainResults(1, async () => {})).map(entry => entry.id), [kept.id]);
+  const pending = before.enqueueResult({ monitorId: 'pending', status: 'down' });
+
+  const after = loadOutboxModule(dir);
+  assert.equal(after.loadOutbox(), 2);
+  assert.deepEqual(after.peekResults().map(entry => entry.id), [drained.id, pending.id]);
+
+  const receiver = await startReceiver(() => ({ status: 200 }));
+  try {
+    after.startDelivery({ ingestUrl: receiver.url, pollIntervalMs: 50 });
+    await waitFor(() => after.getOutboxStats().size === 0);
+    assert.deepEqual(receiver.requests[0].body.results.map(entry => entry.result.monitorId), ['drained', 'pending']);
+  } finally {
+    after.stopDelivery();
+    receiver.server.close();
+  }
+});
+
+test('keeps drained entries when the response can not be signed', async () => {
+  // The key file's directory is a regular file, so no key can be loaded or created
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'not-a-directory'), '');
+  process.env.PROBE_RESULT_KEY_FILE = path.join(dir, 'not-a-directory', 'result-signing-key.pem');
+  delete require.cache[require.resolve('../resultSigning')];
+  const { signResult } = require('../resultSigning');
+
+  const outbox = loadOutboxModule(dir);
+  outbox.enqueueResult({ monitorId: 'a', status: 'up' });
+  outbox.enqueueResult({ monitorId: 'b', status: 'up' });
+
+  await assert.rejects(outbox.drainResults(10, async (entries) => signResult({ entries }, { region: 'test' })), /EEXIST|ENOTDIR/);
+  assert.equal(outbox.getOutboxStats().size, 2);
+
+  const sent = [];
+  await outbox.drainResults(10, async (entries) => {
+    sent.push(...entries);
+  });
+  assert.deepEqual(sent.map(entry => entry.result.monitorId), ['a', 'b']);
+  assert.equal(outbox.getOutboxStats().size, 0);
+  assert.equal(loadOutboxModule(dir).loadOutbox(), 0);
+});
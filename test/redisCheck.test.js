@@ -0,0 +1,69 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const { checkRedis, encodeCommand, parseInfo } = require('../redisCheck');
+
+const servers = [];
+after(() => {
+  for (const server of servers) {
+    server.close();
+  }
+});
+
+test('encodeCommand writes a RESP array of bulk strings', () => {
+  assert.equal(encodeCommand(['AUTH', 'monitor', 'pässword']).toString('utf8'), '*3\r\n$4\r\nAUTH\r\n$7\r\nmonitor\r\n$9\r\npässword\r\n');
+  assert.equal(encodeCommand(['PING']).toString('utf8'), '*1\r\n$4\r\nPING\r\n');
+});
+
+test('parseInfo reads key:value lines and skips section headers', () => {
+  assert.deepEqual(parseInfo('# Server\r\nredis_version:7.2.4\r\n\r\n# Replication\r\nrole:slave\r\nmaster_host:10.0.0.1:6379\r\n'), {
+    redis_version: '7.2.4',
+    role: 'slave',
+    master_host: '10.0.0.1:6379',
+  });
+});
+
+/**
+ * RESP stub answering AUTH, PING, INFO and QUIT
+ */
+async function startRedisServer(info) {
+  const server = net.createServer((socket) => {
+    let buffered = '';
+    socket.on('data', (chunk) => {
+      buffered += chunk.toString('utf8');
+      // Every command sent by the check is a complete array in one write
+      const commands = buffered.split(/\*\d+\r\n/).filter(Boolean);
+      buffered = '';
+      for (const command of commands) {
+        const name = command.split('\r\n')[1];
+        if (name === 'AUTH') {
+          socket.write('+OK\r\n');
+        } else if (name === 'PING') {
+          socket.write('+PONG\r\n');
+        } else if (name === 'INFO') {
+          socket.write(`$${Buffer.byteLength(info)}\r\n${info}\r\n`);
+        } else if (name === 'QUIT') {
+          socket.end('+OK\r\n');
+        }
+      }
+    });
+  });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server.address().port;
+}
+
+test('checks a replica over RESP', async () => {
+  const port = await startRedisServer('# Server\r\nredis_version:7.2.4\r\nredis_mode:standalone\r\n# Replication\r\nrole:slave\r\nmaster_host:10.0.0.1\r\nmaster_link_status:up\r\nmaster_last_io_seconds_ago:30\r\n');
+
+  const report = await checkRedis('127.0.0.1', port, { password: 'secret', expectedRole: 'replica', maxReplicationLagSeconds: 10, timeoutMs: 2000 });
+  assert.equal(report.serverVersion, '7.2.4');
+  assert.equal(report.role, 'replica');
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, ['Last contact with master 30s ago exceeds 10s']);
+});
+
+test('tls "prefer" is refused instead of meaning "require"', async () => {
+  await assert.rejects(checkRedis('127.0.0.1', 6379, { tls: 'prefer' }), /tls must be true or false/);
+});
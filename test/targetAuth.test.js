@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildDigestAuthorization, pickDigestChallenge, signAwsRequest } = require('../targetAuth');
+
+// --- SigV4: AWS Signature Version 4 test suite ---------------------------------
+
+const AWS_CREDENTIALS = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+  region: 'us-east-1',
+  service: 'service',
+};
+const AWS_SIGNING_TIME = new Date('2015-08-30T12:36:00Z');
+
+const SIGV4_VECTORS = [
+  {
+    name: 'get-vanilla',
+    path: '/',
+    signature: '5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31',
+  },
+  {
+    name: 'get-vanilla-query-order-key',
+    path: '/?Param1=value2&Param1=Value1',
+    signature: 'eedbc4e291e521cf13422ffca22be7d2eb8146eecf653089df300a15b2382bd1',
+  },
+];
+
+for (const vector of SIGV4_VECTORS) {
+  test(`SigV4 ${vector.name}`, () => {
+    const headers = signAwsRequest({ url: `https://example.amazonaws.com${vector.path}`, method: 'GET', headers: {} }, AWS_CREDENTIALS, AWS_SIGNING_TIME);
+
+    assert.equal(headers['X-Amz-Date'], '20150830T123600Z');
+    assert.equal(headers.Authorization,
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, '
+      + `SignedHeaders=host;x-amz-date, Signature=${vector.signature}`);
+  });
+}
+
+// --- Digest: RFC 7616 section 3.9.1 -------------------------------------------
+
+const DIGEST_CREDENTIALS = { username: 'Mufasa', password: 'Circle of Life' };
+const DIGEST_REQUEST = { url: 'http://www.example.org/dir/index.html', method: 'GET' };
+const DIGEST_CNONCE = 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ';
+
+/**
+ * The example's challenge for one algorithm
+ */
+function digestChallenge(algorithm) {
+  return `Digest realm="http-auth@example.org", qop="auth, auth-int", algorithm=${algorithm}, `
+    + 'nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v", opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS"';
+}
+
+const DIGEST_VECTORS = [
+  { algorithm: 'MD5', response: '8ca523f5e9506fed4657c9700eebdbec' },
+  { algorithm: 'SHA-256', response: '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1' },
+];
+
+for (const vector of DIGEST_VECTORS) {
+  test(`Digest ${vector.algorithm} answers the RFC 7616 example`, () => {
+    const challenge = pickDigestChallenge(digestChallenge(vector.algorithm));
+    const header = buildDigestAuthorization(challenge, DIGEST_CREDENTIALS, DIGEST_REQUEST, DIGEST_CNONCE);
+
+    assert.equal(header, [
+      'Digest username="Mufasa"',
+      'realm="http-auth@example.org"',
+      'nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v"',
+      'uri="/dir/index.html"',
+      `algorithm=${vector.algorithm}`,
+      `response="${vector.response}"`,
+      'qop=auth',
+      'nc=00000001',
+      `cnonce="${DIGEST_CNONCE}"`,
+      'opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS"',
+    ].join(', '));
+  });
+}
+
+test('the strongest offered Digest algorithm is picked', () => {
+  const challenge = pickDigestChallenge([digestChallenge('MD5'), digestChallenge('SHA-256')]);
+
+  assert.equal(challenge.params.algorithm, 'SHA-256');
+  assert.equal(challenge.params.qop, 'auth, auth-int');
+});
@@ -0,0 +1,36 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { performRequestWithTiming } = require('../timingBreakdown');
+
+const servers = [];
+after(() => {
+  for (const server of servers) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+/**
+ * Server that sends headers and then one body byte every 100ms, forever
+ */
+async function startTricklingServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    const timer = setInterval(() => res.write('x'), 100);
+    res.on('close', () => clearInterval(timer));
+  });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}/`;
+}
+
+test('the idle timeout never fires on a trickling body, the signal ends it', async () => {
+  const url = await startTricklingServer();
+  const startedAt = Date.now();
+  const result = await performRequestWithTiming(url, { timeout: 1000, signal: AbortSignal.timeout(400) });
+
+  assert.equal(result.success, false);
+  assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt}ms`);
+});
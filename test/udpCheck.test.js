@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+
+const { runUdpCheck, validateUdpCheck } = require('../udpCheck');
+
+const sockets = [];
+after(() => {
+  for (const socket of sockets) {
+    socket.close();
+  }
+});
+
+/**
+ * UDP stub: `respond(message, datagramNumber)` returns the reply (or null to stay silent)
+ */
+async function startUdpServer(respond) {
+  const socket = dgram.createSocket('udp4');
+  let received = 0;
+  socket.on('message', (message, remote) => {
+    const reply = respond(message, ++received);
+    if (reply) {
+      socket.send(reply, remote.port, remote.address);
+    }
+  });
+  sockets.push(socket);
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  return socket.address().port;
+}
+
+test('expectHex matches on byte boundaries only', async () => {
+  // Hex "0abc" contains "ab" at an odd nibble offset, but not the byte 0xab
+  const port = await startUdpServer(() => Buffer.from([0x0a, 0xbc]));
+
+  const misaligned = await runUdpCheck('127.0.0.1', port, { payload: 'ping', expectHex: 'ab' }, { timeoutMs: 1000 });
+  assert.equal(misaligned.matched, false);
+  assert.equal(misaligned.ok, false);
+
+  const aligned = await runUdpCheck('127.0.0.1', port, { payload: 'ping', expectHex: 'bc' }, { timeoutMs: 1000 });
+  assert.equal(aligned.matched, true);
+  assert.equal(aligned.ok, true);
+});
+
+test('odd-length hex is rejected before anything is sent', () => {
+  assert.throws(() => validateUdpCheck({ expectHex: 'abc' }), /Invalid expectHex/);
+  assert.throws(() => validateUdpCheck({ payload: 'fff', payloadEncoding: 'hex' }), /Invalid payload/);
+  assert.throws(() => validateUdpCheck({ payload: 'zz', payloadEncoding: 'hex' }), /Invalid payload/);
+  assert.deepEqual(validateUdpCheck({ payload: 'ff ff 0a', payloadEncoding: 'hex' }).payload, Buffer.from([0xff, 0xff, 0x0a]));
+});
+
+test('a reply after a resend reports the time from the first and the last datagram', async () => {
+  const port = await startUdpServer((message, datagramNumber) => (datagramNumber === 2 ? Buffer.from('pong') : null));
+
+  const result = await runUdpCheck('127.0.0.1', port, { payload: 'ping', expect: 'pong', attempts: 2 }, { timeoutMs: 600 });
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.ok(result.totalMs >= 300, `totalMs ${result.totalMs}`);
+  assert.ok(result.rttMs < result.totalMs, `rttMs ${result.rttMs}, totalMs ${result.totalMs}`);
+});
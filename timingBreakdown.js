@@ -7,29 +7,130 @@
  * - TLS handshake time (HTTPS only)
  * - Time to first byte (TTFB)
  * - Content download time
+ * - TLS report for HTTPS (see tlsInspection.js)
+ * - Protocol preference: HTTP/1.1, HTTP/2, or negotiated via ALPN (see http2Request.js)
+ *
+ * All phases are measured with the monotonic high-resolution clock
+ * (performance.now) and reported in fractional milliseconds, so
+ * sub-millisecond phases on fast paths don't collapse to 0.
  */
 
 const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const { performance } = require('perf_hooks');
+const { inspectTlsSocket, watchOcspStapling, elapsedMs } = require('./tlsInspection');
+const { negotiateConnection, performHttp2Request } = require('./http2Request');
+
+const TIMING_PHASES = ['dnsMs', 'tcpMs', 'tlsMs', 'ttfbMs', 'downloadMs', 'totalMs'];
 
 /**
  * Performs HTTP request with detailed timing breakdown
  * @param {string} url - Target URL
- * @param {object} options - Request options (method, headers, timeout, etc.)
+ * @param {object} options - Request options (method, headers, timeout, lookup, readBody, etc.)
+ *   - lookup: custom DNS lookup passed to http.request (e.g. pinned to pre-resolved IPs)
+ *   - agent: http.Agent to use, or false for a fresh connection outside the pool
+ *   - inspectTls: attach a TLS report (`tls`) to HTTPS responses
+ *   - skipBodyFor: status codes whose body is drained instead of read (e.g. redirects)
+ *   - httpVersion: 'h1' (default), 'h2', or 'auto' (ALPN, h2 preferred; http:// stays on HTTP/1.1)
+ *   - body: request body (string or Buffer); its headers come from the caller (see requestBody.js)
+ *   - signal: AbortSignal that ends the request wherever it is (`timeout` only covers idle time)
  * @param {number} dnsTimeMs - DNS resolution time (measured separately)
- * @returns {Promise<object>} Response with timing breakdown
+ * @returns {Promise<object>} Response with timing breakdown and the protocol used
+ *
+ * Phases are sequential, so dnsMs + tcpMs + tlsMs + ttfbMs + downloadMs ≈ totalMs:
+ * - tcpMs:      socket assigned -> TCP connected
+ * - tlsMs:      TCP connected -> TLS handshake done
+ * - ttfbMs:     connection ready -> response headers received
+ * - downloadMs: response headers -> body fully received
  */
 async function performRequestWithTiming(url, options = {}, dnsTimeMs = 0) {
+  const httpVersion = options.httpVersion || 'h1';
+  if (httpVersion === 'h1' || (httpVersion === 'auto' && !/^https:/i.test(url))) {
+    return performHttp1Request(url, options, dnsTimeMs);
+  }
+  return performNegotiatedRequest(url, options, dnsTimeMs);
+}
+
+/**
+ * Connect first and let ALPN pick the protocol, then run the request over
+ * HTTP/2 or (for 'auto') over HTTP/1.1 on the same connection
+ */
+async function performNegotiatedRequest(url, options, dnsTimeMs) {
+  const startTime = performance.now();
+  const timings = {
+    dnsMs: dnsTimeMs,
+    tcpMs: null,
+    tlsMs: null,
+    ttfbMs: null,
+    downloadMs: null,
+    totalMs: null,
+    reusedConnection: false
+  };
+
+  let connection = null;
+  try {
+    const parsedUrl = new URL(url);
+    connection = await negotiateConnection(parsedUrl, options);
+
+    if (connection.protocol !== 'h2') {
+      return performHttp1Request(url, options, dnsTimeMs, connection);
+    }
+
+    timings.tcpMs = connection.tcpMs;
+    timings.tlsMs = connection.tlsMs;
+    const response = await performHttp2Request(parsedUrl, connection, options);
+    timings.ttfbMs = elapsedMs(connection.readyTime, response.firstByteTime);
+    timings.downloadMs = elapsedMs(response.firstByteTime, response.endTime);
+    timings.totalMs = Math.round((dnsTimeMs + elapsedMs(connection.startTime, response.endTime)) * 1000) / 1000;
+
+    return {
+      success: true,
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: response.body,
+      remoteAddress: connection.remoteAddress,
+      tls: connection.tls,
+      protocol: 'h2',
+      timings
+    };
+  } catch (error) {
+    if (connection) {
+      timings.tcpMs = connection.tcpMs;
+      timings.tlsMs = connection.tlsMs;
+      connection.socket.destroy();
+    }
+    timings.totalMs = Math.round((dnsTimeMs + elapsedMs(startTime)) * 1000) / 1000;
+
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 0,
+      remoteAddress: connection ? connection.remoteAddress : null,
+      timings
+    };
+  }
+}
+
+/**
+ * HTTP/1.x request through http/https. A pre-negotiated connection (ALPN
+ * settled on http/1.1) is used as the request's socket instead of connecting.
+ */
+function performHttp1Request(url, options, dnsTimeMs, connection = null) {
   return new Promise((resolve) => {
+    const startTime = connection ? connection.startTime : performance.now();
     const timings = {
-      startTime: Date.now(),
       dnsMs: dnsTimeMs,
       tcpMs: null,
       tlsMs: null,
       ttfbMs: null,
       downloadMs: null,
-      totalMs: null
+      totalMs: null,
+      reusedConnection: false
+    };
+
+    const finish = () => {
+      timings.totalMs = Math.round((dnsTimeMs + elapsedMs(startTime)) * 1000) / 1000;
     };
 
     try {
@@ -47,26 +148,42 @@ async function performRequestWithTiming(url, options = {}, dnsTimeMs = 0) {
         rejectUnauthorized: options.rejectUnauthorized !== false
       };
 
+      if (options.lookup) {
+        requestOptions.lookup = options.lookup;
+      }
+
+      if (options.signal) {
+        requestOptions.signal = options.signal;
+      }
+
+      if (connection) {
+        requestOptions.createConnection = () => connection.socket;
+      } else if (options.agent !== undefined) {
+        requestOptions.agent = options.agent;
+      }
+
+      const inspectTls = isHttps && options.inspectTls === true;
+      if (inspectTls) {
+        requestOptions.requestOCSP = true;
+      }
+
       let socketAssignedTime = null;
-      let tcpConnectedTime = null;
-      let tlsConnectedTime = null;
-      let firstByteTime = null;
-      let downloadStartTime = null;
+      let connectionReadyTime = null;
+      let remoteAddress = null;
+      let tlsReport = undefined;
+      const tlsHostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
 
       const req = httpModule.request(requestOptions, (res) => {
         // Mark first byte received (TTFB)
-        if (!firstByteTime) {
-          firstByteTime = Date.now();
-          timings.ttfbMs = firstByteTime - timings.startTime;
-        }
+        const firstByteTime = performance.now();
+        timings.ttfbMs = elapsedMs(connectionReadyTime || socketAssignedTime || startTime, firstByteTime);
 
-        let body = '';
-        let firstChunk = true;
+        const skipBody = (options.skipBodyFor || []).includes(res.statusCode);
+        let body = skipBody ? undefined : '';
 
         res.on('data', (chunk) => {
-          if (firstChunk) {
-            downloadStartTime = Date.now();
-            firstChunk = false;
+          if (skipBody) {
+            return;
           }
           try {
             body += chunk.toString().slice(0, 10000); // Limit to 10KB
@@ -76,23 +193,17 @@ async function performRequestWithTiming(url, options = {}, dnsTimeMs = 0) {
         });
 
         res.on('end', () => {
-          const endTime = Date.now();
-
-          // Calculate download time
-          if (downloadStartTime) {
-            timings.downloadMs = endTime - downloadStartTime;
-          } else {
-            timings.downloadMs = 0; // Empty response
-          }
-
-          // Total time (excluding DNS, which is measured separately)
-          timings.totalMs = endTime - timings.startTime;
+          timings.downloadMs = elapsedMs(firstByteTime);
+          finish();
 
           resolve({
             success: true,
             statusCode: res.statusCode,
             headers: res.headers,
             body,
+            remoteAddress,
+            tls: tlsReport,
+            protocol: `http/${res.httpVersion}`,
             timings
           });
         });
@@ -100,63 +211,70 @@ async function performRequestWithTiming(url, options = {}, dnsTimeMs = 0) {
 
       // Track socket assignment
       req.on('socket', (socket) => {
-        socketAssignedTime = Date.now();
+        socketAssignedTime = performance.now();
 
-        // Socket already connected (reused from pool)
-        if (socket.connecting === false) {
-          tcpConnectedTime = socketAssignedTime;
+        // Connected and negotiated before the request was created
+        if (connection) {
+          connectionReadyTime = connection.readyTime;
+          remoteAddress = connection.remoteAddress;
+          timings.tcpMs = connection.tcpMs;
+          timings.tlsMs = connection.tlsMs;
+          tlsReport = connection.tls;
+        } else if (socket.connecting === false) {
+          // Socket already connected (reused from pool)
+          connectionReadyTime = socketAssignedTime;
+          remoteAddress = socket.remoteAddress || null;
+          timings.reusedConnection = true;
           timings.tcpMs = 0; // Reused connection
-
-          if (isHttps && socket.encrypted) {
-            tlsConnectedTime = socketAssignedTime;
-            timings.tlsMs = 0; // Reused TLS session
+          timings.tlsMs = isHttps ? 0 : null; // Reused TLS session
+          if (inspectTls) {
+            // Stapling happened on an earlier request; it isn't visible any more
+            tlsReport = inspectTlsSocket(socket, tlsHostname);
           }
         } else {
           // Track TCP connection
           socket.once('connect', () => {
-            tcpConnectedTime = Date.now();
-            timings.tcpMs = tcpConnectedTime - socketAssignedTime;
+            const tcpConnectedTime = performance.now();
+            connectionReadyTime = tcpConnectedTime;
+            remoteAddress = socket.remoteAddress || null;
+            timings.tcpMs = elapsedMs(socketAssignedTime, tcpConnectedTime);
           });
 
           // Track TLS handshake (HTTPS only)
           if (isHttps) {
+            const ocspStapled = inspectTls ? watchOcspStapling(socket) : null;
+
             socket.once('secureConnect', () => {
-              tlsConnectedTime = Date.now();
-              timings.tlsMs = tlsConnectedTime - (tcpConnectedTime || socketAssignedTime);
+              const tlsConnectedTime = performance.now();
+              timings.tlsMs = elapsedMs(connectionReadyTime || socketAssignedTime, tlsConnectedTime);
+              connectionReadyTime = tlsConnectedTime;
+              if (inspectTls) {
+                tlsReport = inspectTlsSocket(socket, tlsHostname, { ocspStapled: ocspStapled() });
+              }
             });
           }
         }
       });
 
       req.on('error', (error) => {
-        const endTime = Date.now();
-        timings.totalMs = endTime - timings.startTime;
+        finish();
 
         resolve({
           success: false,
           error: error.message,
           statusCode: 0,
+          remoteAddress,
           timings
         });
       });
 
       req.on('timeout', () => {
-        req.destroy();
-        const endTime = Date.now();
-        timings.totalMs = endTime - timings.startTime;
-
-        resolve({
-          success: false,
-          error: 'Request timeout',
-          statusCode: 0,
-          timings
-        });
+        req.destroy(new Error('Request timeout'));
       });
 
-      req.end();
+      req.end(options.body);
     } catch (error) {
-      const endTime = Date.now();
-      timings.totalMs = endTime - timings.startTime;
+      finish();
 
       resolve({
         success: false,
@@ -168,6 +286,31 @@ async function performRequestWithTiming(url, options = {}, dnsTimeMs = 0) {
   });
 }
 
+/**
+ * Sum per-hop timings into a single breakdown for a redirect chain
+ * @param {Array<object>} hopTimings - timings objects from performRequestWithTiming
+ * @returns {object|null} Summed phases plus hop count
+ */
+function summarizeTimings(hopTimings) {
+  const hops = hopTimings.filter(Boolean);
+  if (hops.length === 0) {
+    return null;
+  }
+
+  const summary = { hops: hops.length };
+  for (const phase of TIMING_PHASES) {
+    const values = hops.map(t => t[phase]).filter(v => typeof v === 'number');
+    summary[phase] = values.length > 0
+      ? Math.round(values.reduce((sum, v) => sum + v, 0) * 1000) / 1000
+      : null;
+  }
+
+  return summary;
+}
+
 module.exports = {
-  performRequestWithTiming
+  TIMING_PHASES,
+  performRequestWithTiming,
+  summarizeTimings,
+  elapsedMs
 };
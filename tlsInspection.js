@@ -0,0 +1,268 @@
+/**
+ * TLS Inspection for StatusBeacon Probe
+ *
+ * Reports what a TLS endpoint actually negotiated and presented:
+ * - Protocol version, cipher suite and ALPN protocol
+ * - Full certificate chain (subject, issuer, SANs, validity, fingerprints)
+ * - Days until the leaf certificate expires
+ * - Hostname match, self-signed and incomplete-chain detection
+ * - OCSP stapling presence
+ *
+ * Used for every HTTPS check and by the standalone `tls` monitor type.
+ */
+
+const tls = require('tls');
+const { performance } = require('perf_hooks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// OpenSSL verification errors that mean the server didn't send its intermediates
+const INCOMPLETE_CHAIN_ERRORS = [
+  'UNABLE_TO_GET_ISSUER_CERT',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+];
+
+const SELF_SIGNED_ERRORS = [
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+];
+
+/**
+ * Milliseconds between two performance.now() readings, to microsecond precision.
+ * The one copy every module uses: timingBreakdown.js re-exports it, and it lives
+ * here because timingBreakdown.js and http2Request.js both build on this module.
+ */
+function elapsedMs(from, to = performance.now()) {
+  return Math.round((to - from) * 1000) / 1000;
+}
+
+/**
+ * Render a certificate subject/issuer object as "CN=example.com, O=Example"
+ */
+function formatDistinguishedName(name) {
+  if (!name) {
+    return null;
+  }
+  return Object.entries(name)
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('+') : value}`)
+    .join(', ');
+}
+
+/**
+ * Split Node's "DNS:a.com, DNS:b.com, IP Address:1.2.3.4" into a list
+ */
+function parseSubjectAltNames(subjectaltname) {
+  if (!subjectaltname) {
+    return [];
+  }
+  return subjectaltname.split(/,\s*/).map(entry => entry.trim()).filter(Boolean);
+}
+
+function daysUntil(date, now = Date.now()) {
+  return Math.floor((date.getTime() - now) / DAY_MS);
+}
+
+/**
+ * Walk a detailed peer certificate into a flat list, leaf first
+ */
+function collectChain(peerCertificate) {
+  const chain = [];
+  const seen = new Set();
+  let cert = peerCertificate;
+
+  while (cert && cert.fingerprint256 && !seen.has(cert.fingerprint256)) {
+    seen.add(cert.fingerprint256);
+    chain.push(cert);
+    cert = cert.issuerCertificate;
+  }
+
+  return chain;
+}
+
+function describeCertificate(cert) {
+  const validTo = new Date(cert.valid_to);
+  return {
+    subject: formatDistinguishedName(cert.subject),
+    issuer: formatDistinguishedName(cert.issuer),
+    subjectAltNames: parseSubjectAltNames(cert.subjectaltname),
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: validTo.toISOString(),
+    daysUntilExpiry: daysUntil(validTo),
+    serialNumber: cert.serialNumber,
+    fingerprint256: cert.fingerprint256,
+    isCA: cert.ca === true,
+  };
+}
+
+/**
+ * Build a TLS report from a connected TLS socket
+ *
+ * @param {tls.TLSSocket} socket - Socket that finished its handshake
+ * @param {string} hostname - Name the certificate should be valid for
+ * @param {object} extra - { ocspStapled } (only known if the caller watched the handshake)
+ * @returns {object} TLS report
+ */
+function inspectTlsSocket(socket, hostname, extra = {}) {
+  const peerCertificate = socket.getPeerCertificate(true);
+  const chain = peerCertificate && peerCertificate.fingerprint256
+    ? collectChain(peerCertificate).map(describeCertificate)
+    : [];
+  const cipher = socket.getCipher();
+
+  let authorizationError = socket.authorizationError || null;
+  if (authorizationError && typeof authorizationError !== 'string') {
+    authorizationError = authorizationError.code || authorizationError.message;
+  }
+
+  let hostnameError = null;
+  if (chain.length > 0) {
+    const identityError = tls.checkServerIdentity(hostname, peerCertificate);
+    hostnameError = identityError ? identityError.message : null;
+  }
+
+  const leaf = chain[0] || null;
+
+  return {
+    protocol: socket.getProtocol(),
+    cipher: cipher ? { name: cipher.name, standardName: cipher.standardName, version: cipher.version } : null,
+    alpnProtocol: socket.alpnProtocol || null,
+    authorized: socket.authorized === true,
+    authorizationError,
+    hostname,
+    hostnameMatch: leaf ? hostnameError === null : false,
+    hostnameError,
+    selfSigned: SELF_SIGNED_ERRORS.includes(authorizationError) || (chain.length === 1 && leaf.subject === leaf.issuer),
+    incompleteChain: INCOMPLETE_CHAIN_ERRORS.includes(authorizationError),
+    ocspStapled: extra.ocspStapled ?? null,
+    validTo: leaf ? leaf.validTo : null,
+    daysUntilExpiry: leaf ? leaf.daysUntilExpiry : null,
+    chain,
+  };
+}
+
+/**
+ * Watch a TLS socket for a stapled OCSP response (call before the handshake finishes)
+ * @returns {function} () => boolean - whether a stapled response was received
+ */
+function watchOcspStapling(socket) {
+  let stapled = false;
+  socket.once('OCSPResponse', (response) => {
+    stapled = Boolean(response && response.length > 0);
+  });
+  return () => stapled;
+}
+
+/**
+ * Connect to host:port, complete a TLS handshake and report on it.
+ * Certificates are never rejected here - problems are reported instead,
+ * so an expired or self-signed certificate can still be inspected.
+ *
+ * @param {string} host - Host to connect to
+ * @param {number} port - Port (default 443)
+ * @param {object} options - { servername, timeout, lookup, alpnProtocols, dnsTimeMs }
+ * @returns {Promise<object>} { tls, remoteAddress, timings: { dnsMs, tcpMs, tlsMs, totalMs } }
+ */
+function inspectTlsEndpoint(host, port = 443, options = {}) {
+  return new Promise((resolve, reject) => {
+    const timeout = options.timeout || 10000;
+    const dnsMs = options.dnsTimeMs || 0;
+    const startTime = performance.now();
+    let connectedTime = null;
+
+    const socket = tls.connect({
+      host,
+      port,
+      servername: options.servername,
+      lookup: options.lookup,
+      rejectUnauthorized: false,
+      requestOCSP: true,
+      ALPNProtocols: options.alpnProtocols || ['h2', 'http/1.1'],
+    });
+
+    const ocspStapled = watchOcspStapling(socket);
+
+    const timer = setTimeout(() => {
+      socket.destroy(new Error(`TLS handshake with ${host}:${port} timed out after ${timeout}ms`));
+    }, timeout);
+
+    socket.once('connect', () => {
+      connectedTime = performance.now();
+    });
+
+    socket.once('secureConnect', () => {
+      clearTimeout(timer);
+      const secureTime = performance.now();
+      const report = inspectTlsSocket(socket, options.servername || host, { ocspStapled: ocspStapled() });
+      const remoteAddress = socket.remoteAddress || null;
+      socket.end();
+
+      resolve({
+        tls: report,
+        remoteAddress,
+        timings: {
+          dnsMs,
+          tcpMs: elapsedMs(startTime, connectedTime || secureTime),
+          tlsMs: elapsedMs(connectedTime || startTime, secureTime),
+          totalMs: Math.round((dnsMs + elapsedMs(startTime, secureTime)) * 1000) / 1000,
+        },
+      });
+    });
+
+    socket.on('error', (error) => {
+      clearTimeout(timer);
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Turn a TLS report into a status using the check's thresholds
+ *
+ * @param {object} report - From inspectTlsSocket / inspectTlsEndpoint
+ * @param {object} tlsCheck - { expiryDegradedDays, expiryDownDays }
+ * @param {object} options - { ignoreSslErrors } - don't fail on untrusted or mismatched certificates
+ * @returns {{ status: 'up' | 'degraded' | 'down', errors: string[] }}
+ */
+function evaluateTlsReport(report, tlsCheck = {}, options = {}) {
+  const downErrors = [];
+  const degradedErrors = [];
+
+  if (!options.ignoreSslErrors) {
+    // Node reports a hostname mismatch as an authorization error too; report it once
+    if (!report.authorized && report.authorizationError !== 'ERR_TLS_CERT_ALTNAME_INVALID') {
+      downErrors.push(`Certificate not trusted: ${report.authorizationError || 'unknown reason'}`);
+    }
+    if (!report.hostnameMatch) {
+      downErrors.push(report.hostnameError || `Certificate does not match ${report.hostname}`);
+    }
+  }
+
+  const days = report.daysUntilExpiry;
+  if (days !== null) {
+    if (days < 0) {
+      downErrors.push(`Certificate expired ${-days} day(s) ago (${report.validTo})`);
+    } else if (tlsCheck.expiryDownDays !== undefined && days <= tlsCheck.expiryDownDays) {
+      downErrors.push(`Certificate expires in ${days} day(s) (${report.validTo})`);
+    } else if (tlsCheck.expiryDegradedDays !== undefined && days <= tlsCheck.expiryDegradedDays) {
+      degradedErrors.push(`Certificate expires in ${days} day(s) (${report.validTo})`);
+    }
+  }
+
+  if (downErrors.length > 0) {
+    return { status: 'down', errors: downErrors };
+  }
+  if (degradedErrors.length > 0) {
+    return { status: 'degraded', errors: degradedErrors };
+  }
+  return { status: 'up', errors: [] };
+}
+
+module.exports = {
+  inspectTlsSocket,
+  watchOcspStapling,
+  inspectTlsEndpoint,
+  evaluateTlsReport,
+  elapsedMs,
+};
@@ -0,0 +1,150 @@
+/**
+ * HTTPS / Mutual TLS Listener for StatusBeacon Probe
+ *
+ * Serves the probe API over HTTPS when a certificate is configured:
+ * - Server certificate and key from PEM files
+ * - Optional client-CA bundle: clients must present a certificate signed by
+ *   it, and anything else is rejected during the handshake (mutual TLS)
+ * - Certificates hot-reload when the files change (no restart on renewal)
+ *
+ * Configuration:
+ *   PROBE_TLS_CERT      = path to the server certificate (PEM, chain included)
+ *   PROBE_TLS_KEY       = path to the server private key (PEM)
+ *   PROBE_TLS_CLIENT_CA = path to the CA bundle client certificates must chain to
+ *
+ * Without PROBE_TLS_CERT the probe keeps serving plain HTTP.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const TLS_CERT_FILE = process.env.PROBE_TLS_CERT || '';
+const TLS_KEY_FILE = process.env.PROBE_TLS_KEY || '';
+const TLS_CLIENT_CA_FILE = process.env.PROBE_TLS_CLIENT_CA || '';
+
+// How often certificate files are polled for changes, and how long to wait for
+// a renewal to finish writing every file before reloading
+const WATCH_INTERVAL_MS = 10000;
+const RELOAD_DELAY_MS = 1000;
+
+const listenerState = {
+  mode: 'http',
+  loadedAt: null,
+  reloads: 0,
+  lastReloadError: null,
+};
+
+function isTlsEnabled() {
+  return Boolean(TLS_CERT_FILE);
+}
+
+function isMutualTlsEnabled() {
+  return isTlsEnabled() && Boolean(TLS_CLIENT_CA_FILE);
+}
+
+/**
+ * Read the certificate files into secure context options
+ */
+function loadSecureContextOptions() {
+  if (!TLS_KEY_FILE) {
+    throw new Error('PROBE_TLS_KEY is required when PROBE_TLS_CERT is set');
+  }
+
+  const options = {
+    cert: fs.readFileSync(TLS_CERT_FILE),
+    key: fs.readFileSync(TLS_KEY_FILE),
+  };
+  if (TLS_CLIENT_CA_FILE) {
+    options.ca = fs.readFileSync(TLS_CLIENT_CA_FILE);
+  }
+  return options;
+}
+
+/**
+ * Poll the certificate files and swap the server's secure context when they change.
+ * A broken renewal (unreadable file, key not matching cert) keeps the old context.
+ */
+function watchCertificates(server) {
+  let reloadTimer = null;
+
+  const reload = () => {
+    reloadTimer = null;
+    try {
+      server.setSecureContext(loadSecureContextOptions());
+      listenerState.loadedAt = new Date().toISOString();
+      listenerState.reloads++;
+      listenerState.lastReloadError = null;
+      console.log('[TLS] Reloaded listener certificates');
+    } catch (error) {
+      listenerState.lastReloadError = error.message;
+      console.error('[TLS] Certificate reload failed, keeping previous certificates:', error.message);
+    }
+  };
+
+  const onChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+      return;
+    }
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, RELOAD_DELAY_MS);
+  };
+
+  for (const file of [TLS_CERT_FILE, TLS_KEY_FILE, TLS_CLIENT_CA_FILE].filter(Boolean)) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+  }
+}
+
+/**
+ * Create the server the API listens on: HTTPS (optionally mutual TLS) when
+ * configured, plain HTTP otherwise
+ * @param {function} app - Express app / request handler
+ */
+function createProbeServer(app) {
+  if (!isTlsEnabled()) {
+    listenerState.mode = 'http';
+    return http.createServer(app);
+  }
+
+  const mutual = isMutualTlsEnabled();
+  const server = https.createServer({
+    ...loadSecureContextOptions(),
+    minVersion: 'TLSv1.2',
+    requestCert: mutual,
+    rejectUnauthorized: mutual,
+  }, app);
+
+  listenerState.mode = mutual ? 'mtls' : 'https';
+  listenerState.loadedAt = new Date().toISOString();
+
+  // Failed handshakes (e.g. no client certificate) never reach Express - log them here
+  server.on('tlsClientError', (error, socket) => {
+    console.warn(`[TLS] Rejected connection from ${socket.remoteAddress || 'unknown address'}: ${error.code || error.message}`);
+  });
+
+  watchCertificates(server);
+  return server;
+}
+
+/**
+ * Subject CN of the verified client certificate on a request, if any
+ */
+function getClientCertificateName(req) {
+  if (!req.socket || typeof req.socket.getPeerCertificate !== 'function' || !req.socket.authorized) {
+    return null;
+  }
+  const cert = req.socket.getPeerCertificate();
+  return cert && cert.subject ? cert.subject.CN || null : null;
+}
+
+function getListenerStats() {
+  return { ...listenerState };
+}
+
+module.exports = {
+  createProbeServer,
+  isTlsEnabled,
+  isMutualTlsEnabled,
+  getClientCertificateName,
+  getListenerStats,
+};
@@ -0,0 +1,315 @@
+/**
+ * Multi-Step Transactions for StatusBeacon Probe
+ *
+ * Runs an ordered list of HTTP steps as one synthetic check (log in, then call the API, ...):
+ * - {{variable}} templates in each step's URL, headers and body (see requestBody.js)
+ * - Variables extracted from responses by JSON path, regex or header, for later steps
+ * - Per-step assertions: status, content (see contentValidation.js) and response time
+ * - Every step and redirect hop shares the monitor's cookie jar (see cookieJar.js)
+ * - Stops at the first failing step and reports which one it was
+ */
+
+const { followRedirects } = require('./redirectTracking');
+const { summarizeTimings } = require('./timingBreakdown');
+const { validateContent } = require('./contentValidation');
+const { clearCookies } = require('./cookieJar');
+const { buildRequestBody, applyBodyHeaders } = require('./requestBody');
+
+const MAX_STEPS = parseInt(process.env.PROBE_TRANSACTION_MAX_STEPS || '10', 10);
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Substitute {{name}} in a string; unknown variables are an error, not an empty string
+ */
+function renderTemplate(template, variables) {
+  return template.replace(TEMPLATE_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(`Unknown variable {{${name}}}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Render every string inside a value (JSON bodies keep their shape)
+ */
+function renderValue(value, variables) {
+  if (typeof value === 'string') {
+    return renderTemplate(value, variables);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * Walk a dotted path ("data.items.0.id", optionally "$."-prefixed) into parsed JSON
+ */
+function readJsonPath(json, path) {
+  const segments = path.replace(/^\$\.?/, '').split('.').filter(Boolean);
+  let value = json;
+  for (const segment of segments) {
+    if (value === null || typeof value !== 'object' || !(segment in value)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Pull one variable out of a response
+ *
+ * @param {object} spec - { json: path } | { regex: pattern, group } | { header: name }
+ * @param {object} response - { headers, body }
+ * @returns {string|undefined} Extracted value, or undefined when it isn't there
+ */
+function extractValue(spec, response) {
+  const body = response.body || '';
+
+  if (spec.json !== undefined) {
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch {
+      throw new Error('response body is not JSON');
+    }
+    const value = readJsonPath(json, spec.json);
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  if (spec.regex !== undefined) {
+    const match = new RegExp(spec.regex).exec(body);
+    if (!match) {
+      return undefined;
+    }
+    // The first capture group by default, the whole match when there are none
+    return match[spec.group ?? (match.length > 1 ? 1 : 0)];
+  }
+
+  if (spec.header !== undefined) {
+    const value = (response.headers || {})[spec.header.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  throw new Error('expected one of json, regex or header');
+}
+
+/**
+ * Run one step and return its result; a failed step has `passed: false` and an `error`.
+ * The step is aborted at `deadline` or at its own timeout, whichever comes first.
+ */
+async function runStep(step, index, variables, options, deadline) {
+  const name = step.name || `Step ${index + 1}`;
+  const method = (step.method || 'GET').toUpperCase();
+  const result = {
+    name,
+    method,
+    url: null,
+    statusCode: null,
+    responseTimeMs: null,
+    redirectCount: 0,
+    requestSize: undefined,
+    httpProtocol: undefined,
+    timingBreakdown: null,
+    extracted: [],
+    validationErrors: undefined,
+    passed: false,
+    error: null,
+    degraded: null,
+    egressBlocked: undefined,
+    tls: undefined,
+  };
+
+  let requestBody;
+  let headers;
+  try {
+    if (!step.url) {
+      throw new Error('url is required');
+    }
+    result.url = renderTemplate(step.url, variables);
+    requestBody = buildRequestBody(renderValue(step.body, variables));
+    headers = applyBodyHeaders({
+      ...options.headers,
+      ...renderValue(step.headers || {}, variables),
+    }, requestBody);
+    result.requestSize = requestBody ? requestBody.size : undefined;
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+
+  if (deadline !== undefined && Date.now() >= deadline) {
+    result.error = `Transaction timeout of ${options.timeoutMs}ms reached before the step started`;
+    return result;
+  }
+
+  // Hop timeouts only cover idle time, so a server trickling bytes could run past
+  // them; the step is aborted outright at the transaction deadline (or its own timeout)
+  const stepStartedAt = Date.now();
+  const limits = [];
+  if (deadline !== undefined) {
+    limits.push({ at: deadline, message: `Transaction timeout of ${options.timeoutMs}ms reached during the step` });
+  }
+  if (step.timeout) {
+    limits.push({ at: stepStartedAt + step.timeout * 1000, message: `Step timeout of ${step.timeout}s reached` });
+  }
+  const limit = limits.sort((a, b) => a.at - b.at)[0];
+  const controller = new AbortController();
+  const abortTimer = limit ? setTimeout(() => controller.abort(), Math.max(limit.at - stepStartedAt, 0)) : null;
+
+  let redirectResult;
+  try {
+    redirectResult = await followRedirects(result.url, {
+      method,
+      headers,
+      body: requestBody ? requestBody.body : undefined,
+      timeout: step.timeout ? step.timeout * 1000 : options.timeoutMs,
+      deadline,
+      resolvers: options.resolvers,
+      resolve: options.resolve,
+      rejectUnauthorized: options.rejectUnauthorized,
+      useDnsCache: options.useDnsCache,
+      agent: options.agent,
+      httpVersion: options.httpVersion,
+      cookieJar: { monitorId: options.monitorId, ttlMs: options.cookieTtlMs },
+      auth: step.auth === false ? null : options.auth,
+      signal: controller.signal,
+    }, step.followRedirects === false ? 0 : undefined);
+  } catch (error) {
+    // Bad pinning overrides, failed OAuth2 token requests
+    result.error = controller.signal.aborted ? limit.message : error.message;
+    return result;
+  } finally {
+    clearTimeout(abortTimer);
+  }
+
+  const { finalResponse, redirectChain } = redirectResult;
+  result.statusCode = finalResponse?.statusCode || null;
+  result.responseTimeMs = redirectResult.totalRedirectTime;
+  result.redirectCount = redirectResult.redirectCount;
+  result.httpProtocol = finalResponse?.protocol;
+  result.timingBreakdown = summarizeTimings(redirectChain.map(hop => hop.timings));
+  result.egressBlocked = finalResponse?.egressBlocked || undefined;
+  result.tls = finalResponse?.tls;
+
+  const requestError = finalResponse
+    ? finalResponse.error || null
+    : (redirectResult.isLoop ? `Redirect loop detected at ${redirectResult.loopDetectedAt}` : redirectResult.error || null);
+  if (requestError) {
+    result.error = controller.signal.aborted ? limit.message : requestError;
+    return result;
+  }
+
+  const expectedStatus = step.expectedStatus ?? 200;
+  const allowedStatuses = Array.isArray(expectedStatus) ? expectedStatus : [expectedStatus];
+  if (!allowedStatuses.includes(result.statusCode)) {
+    result.error = `Expected status ${allowedStatuses.join(' or ')}, got ${result.statusCode}`;
+    return result;
+  }
+
+  if (step.maxResponseTimeMs && result.responseTimeMs > step.maxResponseTimeMs) {
+    result.error = `Response time ${result.responseTimeMs}ms exceeded limit ${step.maxResponseTimeMs}ms`;
+    return result;
+  }
+
+  if (step.contentValidation) {
+    const validation = await validateContent(finalResponse.body || '', step.contentValidation);
+    if (!validation.passed) {
+      result.validationErrors = validation.errors;
+      result.error = `Content validation failed: ${validation.errors.join(', ')}`;
+      return result;
+    }
+  }
+
+  // Values are kept out of the result: extracted tokens are often credentials
+  for (const [variable, spec] of Object.entries(step.extract || {})) {
+    let value;
+    try {
+      value = extractValue(spec || {}, finalResponse);
+    } catch (error) {
+      result.error = `Could not extract ${variable}: ${error.message}`;
+      return result;
+    }
+    if (value === undefined) {
+      result.error = `Could not extract ${variable}: no match`;
+      return result;
+    }
+    variables[variable] = value;
+    result.extracted.push(variable);
+  }
+
+  if (step.degradedThresholdMs && result.responseTimeMs > step.degradedThresholdMs) {
+    result.degraded = `Response time ${result.responseTimeMs}ms exceeded threshold ${step.degradedThresholdMs}ms`;
+  }
+
+  result.passed = true;
+  return result;
+}
+
+/**
+ * Run a transaction's steps in order, stopping at the first failure.
+ * `timeoutMs` bounds the whole transaction: each step gets what is left of it.
+ *
+ * @param {object} transaction - { steps, variables, resetCookies }
+ * @param {object} options - { monitorId, headers, timeoutMs, resolvers, resolve, rejectUnauthorized, useDnsCache, agent, httpVersion, cookieTtlMs, auth }
+ * @returns {Promise<object>} { passed, failedStep, failedStepIndex, error, steps, stepsRun, totalMs }
+ */
+async function runTransaction(transaction, options = {}) {
+  const steps = transaction && transaction.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('transaction.steps must be a non-empty array');
+  }
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`transaction.steps has ${steps.length} steps (max ${MAX_STEPS})`);
+  }
+
+  // Start from a logged-out session instead of one left over from the last run
+  if (transaction.resetCookies) {
+    clearCookies(options.monitorId);
+  }
+
+  const deadline = options.timeoutMs ? Date.now() + options.timeoutMs : undefined;
+  const variables = { ...(transaction.variables || {}) };
+  const results = [];
+  let totalMs = 0;
+
+  for (let index = 0; index < steps.length; index++) {
+    const result = await runStep(steps[index], index, variables, options, deadline);
+    results.push(result);
+    totalMs += result.responseTimeMs || 0;
+
+    if (!result.passed) {
+      return {
+        passed: false,
+        failedStep: result.name,
+        failedStepIndex: index,
+        error: result.error,
+        steps: results,
+        stepsRun: results.length,
+        totalMs: Math.round(totalMs * 1000) / 1000,
+      };
+    }
+  }
+
+  return {
+    passed: true,
+    failedStep: null,
+    failedStepIndex: null,
+    error: null,
+    steps: results,
+    stepsRun: results.length,
+    totalMs: Math.round(totalMs * 1000) / 1000,
+  };
+}
+
+module.exports = {
+  runTransaction,
+};
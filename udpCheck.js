@@ -0,0 +1,329 @@
+/**
+ * UDP Checks for StatusBeacon Probe
+ *
+ * Request/response checks for UDP services (game servers, NTP, DNS, syslog
+ * relays, custom protocols):
+ * - Sends a text, hex or base64 payload and waits for a reply
+ * - Matches the reply against a keyword, regex or hex pattern
+ * - Round-trip time for the reply
+ * - Built-in NTP and DNS payloads that also validate the reply
+ * - ICMP port unreachable reported distinctly (the socket is connected, so
+ *   the kernel surfaces it as ECONNREFUSED)
+ * - Optional resends, since a single lost datagram isn't an outage
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const { performance } = require('perf_hooks');
+const { encodeQuery, decodeMessage } = require('./dnsWire');
+const { elapsedMs } = require('./timingBreakdown');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 5;
+const MAX_REPORTED_BYTES = 512;
+
+// Seconds between the NTP epoch (1900) and the Unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+function readNtpTimestamp(buf, offset) {
+  const seconds = buf.readUInt32BE(offset);
+  const fraction = buf.readUInt32BE(offset + 4);
+  return (seconds - NTP_EPOCH_OFFSET) * 1000 + (fraction / 0x100000000) * 1000;
+}
+
+/**
+ * Built-in payloads. build() returns { payload, validate }, where validate(reply, context)
+ * returns { error, details } for a reply to that payload.
+ */
+const PRESETS = {
+  // SNTP client request (RFC 4330): LI 0, version 4, mode 3 (client)
+  ntp: {
+    defaultPort: 123,
+    build: () => {
+      const payload = Buffer.alloc(48);
+      payload[0] = 0x23;
+      return {
+        payload,
+        validate: (reply, { sentAt, rttMs }) => {
+          if (reply.length < 48) {
+            return { error: `NTP reply too short (${reply.length} bytes)` };
+          }
+          const mode = reply[0] & 0x07;
+          const stratum = reply[1];
+          const referenceId = stratum <= 1
+            ? reply.subarray(12, 16).toString('ascii').replace(/\0+$/, '')
+            : Array.from(reply.subarray(12, 16)).join('.');
+
+          if (mode !== 4 && mode !== 5) {
+            return { error: `Not an NTP server reply (mode ${mode})` };
+          }
+          if (stratum === 0) {
+            return { error: `NTP server sent kiss-o'-death (${referenceId || 'no code'})` };
+          }
+
+          // Server transmit time against the midpoint of our round trip
+          const serverTime = readNtpTimestamp(reply, 40);
+          return {
+            details: {
+              version: (reply[0] >> 3) & 0x07,
+              stratum,
+              referenceId,
+              leapIndicator: reply[0] >> 6,
+              serverTime: new Date(serverTime).toISOString(),
+              offsetMs: Math.round((serverTime - (sentAt + rttMs / 2)) * 1000) / 1000,
+            },
+          };
+        },
+      };
+    },
+  },
+  dns: {
+    defaultPort: 53,
+    build: (options) => {
+      const { id, message } = encodeQuery(options.dnsName || '.', options.dnsType || 'NS');
+      return {
+        payload: message,
+        validate: (reply) => {
+          let decoded;
+          try {
+            decoded = decodeMessage(reply);
+          } catch (error) {
+            return { error: `Malformed DNS reply: ${error.message}` };
+          }
+          if (decoded.id !== id || !decoded.flags.qr) {
+            return { error: 'Reply is not a response to the DNS query' };
+          }
+          const details = { rcode: decoded.rcodeName, answers: decoded.answers.length };
+          // The server is alive, but not answering properly
+          if (decoded.rcodeName === 'SERVFAIL' || decoded.rcodeName === 'REFUSED') {
+            return { error: `DNS server answered ${decoded.rcodeName}`, details };
+          }
+          return { details };
+        },
+      };
+    },
+  },
+};
+
+/**
+ * Normalize a hex string (whitespace allowed), rejecting anything that isn't whole bytes.
+ * Buffer.from() would otherwise silently drop a trailing nibble.
+ */
+function parseHex(value, field) {
+  const hex = String(value).replace(/\s+/g, '').toLowerCase();
+  if (!/^([0-9a-f]{2})+$/.test(hex)) {
+    throw new Error(`Invalid ${field}: ${value} (expected hex bytes, e.g. "ffff0a")`);
+  }
+  return hex;
+}
+
+function encodePayload(payload, encoding = 'utf8') {
+  if (!['utf8', 'hex', 'base64'].includes(encoding)) {
+    throw new Error(`Unsupported payloadEncoding: ${encoding} (expected utf8, hex or base64)`);
+  }
+  if (encoding === 'hex' && payload !== '') {
+    return Buffer.from(parseHex(payload, 'payload'), 'hex');
+  }
+  return Buffer.from(payload, encoding);
+}
+
+/**
+ * Build the reply assertion from { expect, expectRegex, expectHex }
+ * @returns {{ test: function, description: string } | null}
+ */
+function buildMatcher(udpCheck) {
+  if (udpCheck.expectHex) {
+    const hex = parseHex(udpCheck.expectHex, 'expectHex');
+    const bytes = Buffer.from(hex, 'hex');
+    return { test: reply => reply.includes(bytes), description: `contain bytes ${hex}` };
+  }
+  if (udpCheck.expectRegex) {
+    let regex;
+    try {
+      regex = new RegExp(udpCheck.expectRegex);
+    } catch (error) {
+      throw new Error(`Invalid expectRegex: ${error.message}`);
+    }
+    return { test: reply => regex.test(reply.toString('utf8')), description: `match /${udpCheck.expectRegex}/` };
+  }
+  if (udpCheck.expect) {
+    return { test: reply => reply.toString('utf8').includes(udpCheck.expect), description: `contain "${udpCheck.expect}"` };
+  }
+  return null;
+}
+
+/**
+ * Check a udpCheck config without sending anything. Throws on the first problem
+ * (unknown preset, bad encoding, odd-length hex, invalid regex).
+ * @returns {{ preset: object | null, built: object | null, payload: Buffer, matcher: object | null }}
+ */
+function validateUdpCheck(udpCheck = {}) {
+  const preset = udpCheck.preset ? PRESETS[udpCheck.preset] : null;
+  if (udpCheck.preset && !preset) {
+    throw new Error(`Unknown UDP preset: ${udpCheck.preset} (expected ${Object.keys(PRESETS).join(', ')})`);
+  }
+
+  const built = preset ? preset.build(udpCheck) : null;
+  const payload = built ? built.payload : encodePayload(udpCheck.payload || '', udpCheck.payloadEncoding);
+  return { preset, built, payload, matcher: buildMatcher(udpCheck) };
+}
+
+/**
+ * Printable rendering of a reply, for logs and results
+ */
+function describeReply(reply) {
+  const shown = reply.subarray(0, MAX_REPORTED_BYTES);
+  return {
+    replyBytes: reply.length,
+    replyHex: shown.toString('hex'),
+    replyText: shown.toString('utf8').replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f\ufffd]/g, '.'),
+  };
+}
+
+/**
+ * Send the payload on a connected socket and wait for one datagram back,
+ * resending up to `attempts` times. `rttMs` counts from the last datagram sent
+ * (a late reply to an earlier one can make it look short); `totalMs` counts from
+ * the first.
+ */
+function exchangeDatagram(ip, port, payload, attempts, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(ip) ? 'udp6' : 'udp4');
+    const attemptTimeoutMs = Math.max(Math.floor(timeoutMs / attempts), 1);
+    let attempt = 0;
+    let firstSentAt = 0;
+    let sentAt = 0;
+    let sentAtWall = 0;
+    let timer = null;
+    let settled = false;
+
+    const done = (error, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.close();
+      if (error) {
+        error.attempts = attempt;
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const send = () => {
+      attempt++;
+      sentAt = performance.now();
+      if (attempt === 1) {
+        firstSentAt = sentAt;
+      }
+      sentAtWall = Date.now();
+      socket.send(payload, (error) => {
+        if (error) {
+          done(error);
+        }
+      });
+      timer = setTimeout(() => {
+        if (attempt < attempts) {
+          send();
+        } else {
+          const error = new Error(`No reply from ${ip}:${port} within ${timeoutMs}ms (${attempts} ${attempts === 1 ? 'datagram' : 'datagrams'} sent)`);
+          error.code = 'ETIMEDOUT';
+          done(error);
+        }
+      }, attemptTimeoutMs);
+    };
+
+    socket.on('message', (reply) => {
+      done(null, { reply, rttMs: elapsedMs(sentAt), totalMs: elapsedMs(firstSentAt), sentAt: sentAtWall, attempts: attempt });
+    });
+
+    socket.on('error', (error) => {
+      if (error.code === 'ECONNREFUSED') {
+        const unreachable = new Error(`Port unreachable: ${ip}:${port} rejected the datagram (ICMP port unreachable)`);
+        unreachable.code = 'PORT_UNREACHABLE';
+        return done(unreachable);
+      }
+      done(error);
+    });
+
+    socket.connect(port, ip, send);
+  });
+}
+
+/**
+ * Run a UDP request/response check against one address
+ *
+ * @param {string} ip - Address to send to (already resolved and egress-checked)
+ * @param {number} port - UDP port
+ * @param {object} udpCheck - { preset, payload, payloadEncoding, expect, expectRegex, expectHex, attempts, dnsName, dnsType }
+ * @param {object} options - { timeoutMs }
+ * @returns {Promise<object>} { ok, error, portUnreachable, rttMs, totalMs, attempts, matched, replyHex, replyText, ... }
+ */
+async function runUdpCheck(ip, port, udpCheck = {}, options = {}) {
+  const { built, payload, matcher } = validateUdpCheck(udpCheck);
+  const attempts = Math.min(Math.max(Math.floor(udpCheck.attempts || 1), 1), MAX_ATTEMPTS);
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  let exchange;
+  try {
+    exchange = await exchangeDatagram(ip, port, payload, attempts, timeoutMs);
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      portUnreachable: error.code === 'PORT_UNREACHABLE',
+      timedOut: error.code === 'ETIMEDOUT',
+      rttMs: null,
+      totalMs: null,
+      attempts: error.attempts || attempts,
+    };
+  }
+
+  const result = {
+    ok: true,
+    error: null,
+    portUnreachable: false,
+    timedOut: false,
+    rttMs: exchange.rttMs,
+    totalMs: exchange.totalMs,
+    attempts: exchange.attempts,
+    preset: udpCheck.preset || null,
+    matched: null,
+    expectation: matcher ? matcher.description : null,
+    ...describeReply(exchange.reply),
+  };
+
+  if (built) {
+    const validation = built.validate(exchange.reply, { sentAt: exchange.sentAt, rttMs: exchange.rttMs });
+    result[udpCheck.preset] = validation.details || null;
+    if (validation.error) {
+      result.ok = false;
+      result.error = validation.error;
+    }
+  }
+
+  if (result.ok && matcher) {
+    result.matched = matcher.test(exchange.reply);
+    if (!result.matched) {
+      result.ok = false;
+      result.error = `Expected reply to ${matcher.description}, got: ${JSON.stringify(result.replyText.slice(0, 200))}`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Default port for a preset, if any
+ */
+function getPresetPort(presetName) {
+  return PRESETS[presetName] ? PRESETS[presetName].defaultPort : null;
+}
+
+module.exports = {
+  runUdpCheck,
+  validateUdpCheck,
+  getPresetPort,
+};
@@ -0,0 +1,557 @@
+/**
+ * WebSocket Checks for StatusBeacon Probe
+ *
+ * Checks a WebSocket endpoint end to end instead of just its upgrade URL:
+ * - Upgrade handshake over ws:// and wss://, with custom headers and subprotocols
+ * - Optional message exchange: send text, JSON or binary, then wait for a reply
+ *   matching a keyword, a regex or JSON field values
+ * - Handshake timing breakdown and a round-trip time per message
+ * - Clean close: close frame 1000, then a short wait for the server's close frame
+ *
+ * A minimal RFC 6455 client (fragmentation, ping/pong, no extensions), so the
+ * connection goes through the same pinned lookup and egress policy as other checks.
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { inspectTlsSocket } = require('./tlsInspection');
+const { elapsedMs } = require('./timingBreakdown');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGES = 10;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const DEFAULT_REPLY_TIMEOUT_MS = 5000;
+const CLOSE_WAIT_MS = 1000;
+// Replies are kept in the result up to this many characters
+const REPLY_PREVIEW_CHARS = 500;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+/**
+ * Encode a client frame (always final, always masked)
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, 0x80 | payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  const mask = crypto.randomBytes(4);
+  return Buffer.concat([header, mask, Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]))]);
+}
+
+function closePayload(code) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  return payload;
+}
+
+/**
+ * Parse server frames into whole messages; answers pings and records the close frame
+ */
+function createFrameReader(socket, head) {
+  let buffer = head && head.length > 0 ? Buffer.from(head) : Buffer.alloc(0);
+  const messages = [];
+  let fragments = null;
+  let closeFrame = null;
+  let failure = null;
+  let ended = false;
+  let wake = null;
+
+  const notify = () => {
+    if (wake) {
+      const resolve = wake;
+      wake = null;
+      resolve();
+    }
+  };
+
+  function handleFrame(fin, opcode, payload) {
+    if (opcode === OPCODE_PING) {
+      socket.write(encodeFrame(OPCODE_PONG, payload));
+      return;
+    }
+    if (opcode === OPCODE_PONG) {
+      return;
+    }
+    if (opcode === OPCODE_CLOSE) {
+      closeFrame = {
+        code: payload.length >= 2 ? payload.readUInt16BE(0) : null,
+        reason: payload.subarray(2).toString('utf8'),
+      };
+      return;
+    }
+
+    if (opcode === OPCODE_TEXT || opcode === OPCODE_BINARY) {
+      fragments = { type: opcode === OPCODE_TEXT ? 'text' : 'binary', parts: [], size: 0 };
+    } else if (opcode !== OPCODE_CONTINUATION || !fragments) {
+      throw new Error(`Unexpected WebSocket frame (opcode 0x${opcode.toString(16)})`);
+    }
+
+    fragments.parts.push(payload);
+    fragments.size += payload.length;
+    if (fragments.size > MAX_MESSAGE_BYTES) {
+      throw new Error(`Message exceeds ${MAX_MESSAGE_BYTES} bytes`);
+    }
+    if (fin) {
+      messages.push({ type: fragments.type, data: Buffer.concat(fragments.parts), receivedAt: performance.now() });
+      fragments = null;
+    }
+  }
+
+  function parse() {
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (buffer.length < 4) {
+          return;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) {
+          return;
+        }
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (length > MAX_MESSAGE_BYTES) {
+        throw new Error(`Frame of ${length} bytes exceeds ${MAX_MESSAGE_BYTES} bytes`);
+      }
+
+      const maskOffset = offset;
+      if (masked) {
+        offset += 4;
+      }
+      if (buffer.length < offset + length) {
+        return;
+      }
+
+      let payload = buffer.subarray(offset, offset + length);
+      if (masked) {
+        const mask = buffer.subarray(maskOffset, maskOffset + 4);
+        payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+      }
+      buffer = buffer.subarray(offset + length);
+      handleFrame(fin, opcode, payload);
+    }
+  }
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      parse();
+    } catch (error) {
+      failure = failure || error;
+      socket.destroy();
+    }
+    notify();
+  };
+  const onEnd = () => {
+    ended = true;
+    notify();
+  };
+  const onError = (error) => {
+    failure = failure || error;
+    notify();
+  };
+
+  socket.on('data', onData);
+  socket.on('end', onEnd);
+  socket.on('close', onEnd);
+  socket.on('error', onError);
+
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  if (buffer.length > 0) {
+    parse();
+  }
+
+  return {
+    closeFrame: () => closeFrame,
+
+    /**
+     * Next whole message, or null when none arrives within timeoutMs
+     */
+    async nextMessage(timeoutMs) {
+      const deadline = performance.now() + timeoutMs;
+      while (messages.length === 0) {
+        if (failure) {
+          throw failure;
+        }
+        if (closeFrame) {
+          throw new Error(`Server closed the connection (${closeFrame.code || 'no code'}${closeFrame.reason ? ` ${closeFrame.reason}` : ''})`);
+        }
+        if (ended) {
+          throw new Error('Connection closed without a close frame');
+        }
+        const remaining = deadline - performance.now();
+        if (remaining <= 0) {
+          return null;
+        }
+        await sleep(remaining);
+      }
+      return messages.shift();
+    },
+
+    /**
+     * Drop messages that arrived unasked; returns how many there were
+     */
+    discard() {
+      return messages.splice(0).length;
+    },
+
+    /**
+     * Wait for the server's close frame (or the connection ending); true if it came in time
+     */
+    async waitForClose(timeoutMs) {
+      const deadline = performance.now() + timeoutMs;
+      while (!closeFrame && !ended && !failure) {
+        const remaining = deadline - performance.now();
+        if (remaining <= 0) {
+          return false;
+        }
+        await sleep(remaining);
+      }
+      return Boolean(closeFrame || ended);
+    },
+
+    isOpen: () => !closeFrame && !ended && !failure,
+
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeListener('end', onEnd);
+      socket.removeListener('close', onEnd);
+      socket.removeListener('error', onError);
+    },
+  };
+}
+
+/**
+ * Check a dotted path -> value map against a JSON reply
+ */
+function matchesJson(text, expected) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return false;
+  }
+
+  return Object.entries(expected).every(([path, value]) => {
+    let current = json;
+    for (const key of path.split('.')) {
+      if (current && typeof current === 'object' && key in current) {
+        current = current[key];
+      } else {
+        return false;
+      }
+    }
+    return JSON.stringify(current) === JSON.stringify(value);
+  });
+}
+
+/**
+ * Build the reply assertion from { expect, expectRegex, expectJson } - all given ones must hold
+ * @returns {{ test: function, description: string } | null}
+ */
+function buildMatcher(step) {
+  const checks = [];
+  if (step.expect) {
+    checks.push({ test: text => text.includes(step.expect), description: `contain "${step.expect}"` });
+  }
+  if (step.expectRegex) {
+    let regex;
+    try {
+      regex = new RegExp(step.expectRegex);
+    } catch (error) {
+      throw new Error(`Invalid expectRegex: ${error.message}`);
+    }
+    checks.push({ test: text => regex.test(text), description: `match /${step.expectRegex}/` });
+  }
+  if (step.expectJson && typeof step.expectJson === 'object') {
+    checks.push({ test: text => matchesJson(text, step.expectJson), description: `have JSON ${JSON.stringify(step.expectJson)}` });
+  }
+
+  if (checks.length === 0) {
+    return null;
+  }
+  return {
+    test: text => checks.every(check => check.test(text)),
+    description: checks.map(check => check.description).join(' and '),
+  };
+}
+
+/**
+ * Normalize the configured messages into steps
+ */
+function buildSteps(messages = []) {
+  if (messages.length > MAX_MESSAGES) {
+    throw new Error(`At most ${MAX_MESSAGES} messages per WebSocket check`);
+  }
+
+  return messages.map((message) => {
+    const encoding = message.sendEncoding || 'utf8';
+    let payload = null;
+    if (message.send !== undefined && message.send !== null) {
+      const text = typeof message.send === 'string' ? message.send : JSON.stringify(message.send);
+      payload = encoding === 'utf8' ? Buffer.from(text, 'utf8') : Buffer.from(text, encoding);
+    }
+
+    return {
+      payload,
+      opcode: encoding === 'utf8' ? OPCODE_TEXT : OPCODE_BINARY,
+      matcher: buildMatcher(message),
+      waitForReply: message.waitForReply !== false,
+      timeoutMs: message.timeoutMs || DEFAULT_REPLY_TIMEOUT_MS,
+    };
+  });
+}
+
+/**
+ * Text messages as UTF-8, binary ones as hex - both for assertions and in the result
+ */
+function messageText(message) {
+  return message.type === 'text' ? message.data.toString('utf8') : message.data.toString('hex');
+}
+
+function previewMessage(text) {
+  return text.length > REPLY_PREVIEW_CHARS ? `${text.slice(0, REPLY_PREVIEW_CHARS)}...` : text;
+}
+
+/**
+ * Upgrade handshake. Resolves with the upgraded socket once the server accepted.
+ */
+function openWebSocket(target, key, subprotocols, options, marks) {
+  const secure = target.protocol === 'wss:' || target.protocol === 'https:';
+  const servername = options.servername || target.hostname;
+
+  const request = (secure ? https : http).request({
+    hostname: target.hostname,
+    port: target.port || (secure ? 443 : 80),
+    path: `${target.pathname}${target.search}`,
+    method: 'GET',
+    headers: {
+      ...options.headers,
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Version': '13',
+      'Sec-WebSocket-Key': key,
+      ...(subprotocols.length > 0 ? { 'Sec-WebSocket-Protocol': subprotocols.join(', ') } : {}),
+    },
+    lookup: options.lookup,
+    agent: false,
+    servername: net.isIP(servername) ? undefined : servername,
+    rejectUnauthorized: false,
+  });
+
+  const upgraded = new Promise((resolve, reject) => {
+    request.on('socket', (socket) => {
+      socket.once('connect', () => { marks.connected = performance.now(); });
+      socket.once('secureConnect', () => { marks.secured = performance.now(); });
+    });
+    request.on('upgrade', (response, socket, head) => {
+      marks.upgraded = performance.now();
+      resolve({ response, socket, head, tls: secure ? inspectTlsSocket(socket, servername) : null });
+    });
+    request.on('response', (response) => {
+      response.resume();
+      const error = new Error(`WebSocket upgrade rejected: HTTP ${response.statusCode}`);
+      error.statusCode = response.statusCode;
+      reject(error);
+    });
+    request.on('error', reject);
+  });
+
+  request.end();
+  return { request, upgraded };
+}
+
+/**
+ * Run a WebSocket check
+ *
+ * @param {string} url - ws:// or wss:// URL (http:// and https:// are treated alike)
+ * @param {object} websocket - { subprotocols, messages: [{ send, sendEncoding, expect, expectRegex, expectJson, timeoutMs, waitForReply }] }
+ * @param {object} options - { lookup, timeoutMs, headers, servername }
+ * @returns {Promise<object>} { ok, error, statusCode, subprotocol, messages, closeCode, cleanClose, tls, timings }
+ */
+async function runWebSocketCheck(url, websocket = {}, options = {}) {
+  const target = new URL(url);
+  if (!['ws:', 'wss:', 'http:', 'https:'].includes(target.protocol)) {
+    throw new Error(`Unsupported WebSocket URL scheme: ${target.protocol}`);
+  }
+
+  const subprotocols = Array.isArray(websocket.subprotocols) ? websocket.subprotocols : [];
+  const steps = buildSteps(websocket.messages);
+  const key = crypto.randomBytes(16).toString('base64');
+  const timeoutMs = options.timeoutMs || 10000;
+  const startTime = performance.now();
+  const marks = {};
+  let socket = null;
+
+  const { request, upgraded } = openWebSocket(target, key, subprotocols, options, marks);
+  const deadline = setTimeout(() => {
+    const error = new Error(`WebSocket check of ${target.host} timed out after ${timeoutMs}ms`);
+    request.destroy(error);
+    if (socket) {
+      socket.destroy(error);
+    }
+  }, timeoutMs);
+
+  try {
+    const handshake = await upgraded;
+    socket = handshake.socket;
+    socket.setNoDelay(true);
+
+    const expectedAccept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    if (handshake.response.headers['sec-websocket-accept'] !== expectedAccept) {
+      throw new Error('Invalid Sec-WebSocket-Accept in the upgrade response');
+    }
+    if (handshake.response.headers['sec-websocket-extensions']) {
+      throw new Error(`Server enabled extensions that were not offered: ${handshake.response.headers['sec-websocket-extensions']}`);
+    }
+    const subprotocol = handshake.response.headers['sec-websocket-protocol'] || null;
+    if (subprotocol && !subprotocols.includes(subprotocol)) {
+      throw new Error(`Server selected subprotocol "${subprotocol}" that was not offered`);
+    }
+    if (!subprotocol && subprotocols.length > 0) {
+      throw new Error(`Server accepted none of the subprotocols: ${subprotocols.join(', ')}`);
+    }
+
+    const reader = createFrameReader(socket, handshake.head);
+    const exchanges = [];
+    let error = null;
+
+    for (const [index, step] of steps.entries()) {
+      const entry = {
+        step: index + 1,
+        sentBytes: step.payload ? step.payload.length : 0,
+        expectation: step.matcher ? step.matcher.description : null,
+        matched: null,
+        reply: null,
+        rttMs: null,
+        skipped: 0,
+      };
+      exchanges.push(entry);
+
+      // Messages that arrived before this one was sent aren't its reply
+      if (step.payload) {
+        entry.skipped += reader.discard();
+      }
+      const sentAt = performance.now();
+      if (step.payload) {
+        socket.write(encodeFrame(step.opcode, step.payload));
+      }
+      if (!step.waitForReply) {
+        continue;
+      }
+
+      try {
+        while (true) {
+          const message = await reader.nextMessage(sentAt + step.timeoutMs - performance.now());
+          if (!message) {
+            error = `Message ${entry.step}: no reply${step.matcher ? ` matching (${entry.expectation})` : ''} within ${step.timeoutMs}ms`;
+            entry.matched = step.matcher ? false : null;
+            break;
+          }
+
+          const text = messageText(message);
+          entry.reply = previewMessage(text);
+          if (!step.matcher || step.matcher.test(text)) {
+            entry.matched = step.matcher ? true : null;
+            // A pushed message may already have been waiting when the step started
+            entry.rttMs = elapsedMs(sentAt, Math.max(sentAt, message.receivedAt));
+            break;
+          }
+          entry.skipped++;
+        }
+      } catch (readError) {
+        error = `Message ${entry.step}: ${readError.message}`;
+      }
+
+      if (error) {
+        if (entry.matched === false && entry.reply !== null) {
+          error = `Message ${entry.step}: expected reply to ${entry.expectation}, got: ${entry.reply.slice(0, 200)}`;
+        }
+        break;
+      }
+    }
+    const messagesDone = performance.now();
+
+    // Close handshake: send 1000, give the server a moment to answer with its own close frame
+    let cleanClose = false;
+    if (reader.isOpen()) {
+      socket.write(encodeFrame(OPCODE_CLOSE, closePayload(1000)));
+      cleanClose = await reader.waitForClose(CLOSE_WAIT_MS);
+    } else if (reader.closeFrame()) {
+      socket.write(encodeFrame(OPCODE_CLOSE, closePayload(reader.closeFrame().code || 1000)));
+    }
+    const closeFrame = reader.closeFrame();
+    const doneTime = performance.now();
+    reader.detach();
+    socket.end();
+    socket.on('error', () => {});
+
+    const connectedAt = marks.connected || startTime;
+    return {
+      ok: error === null,
+      error,
+      statusCode: handshake.response.statusCode,
+      subprotocol,
+      messages: exchanges,
+      closeCode: closeFrame ? closeFrame.code : null,
+      closeReason: closeFrame && closeFrame.reason ? closeFrame.reason : null,
+      cleanClose,
+      tls: handshake.tls,
+      timings: {
+        connectMs: elapsedMs(startTime, connectedAt),
+        tlsMs: marks.secured ? elapsedMs(connectedAt, marks.secured) : null,
+        upgradeMs: elapsedMs(marks.secured || connectedAt, marks.upgraded),
+        handshakeMs: elapsedMs(startTime, marks.upgraded),
+        messagesMs: elapsedMs(marks.upgraded, messagesDone),
+        closeMs: elapsedMs(messagesDone, doneTime),
+        totalMs: elapsedMs(startTime, doneTime),
+      },
+    };
+  } catch (error) {
+    request.destroy();
+    if (socket) {
+      socket.destroy();
+    }
+    throw error;
+  } finally {
+    clearTimeout(deadline);
+  }
+}
+
+module.exports = {
+  runWebSocketCheck,
+};